@@ -5,17 +5,49 @@ import rateLimit from 'express-rate-limit';
 import 'dotenv/config';
 
 // Import configurations
-import { upload } from './utils/multer.js';
+import { upload, cohortUpload, linkedinUpload } from './utils/multer.js';
 import { supabase } from './config/supabase.js';
 
 // Import services
-import { processResume } from './services/resumeService.js';
+import { enqueueResumeJob, enqueueCohortJob, getJobForUser, isJobFinished, jobQueue } from './services/jobService.js';
+import { cohortReportToCsv } from './services/cohortService.js';
 import { getLeetCodeStats } from './services/leetcodeService.js';
-import { createUserProfile, updateUserProfile } from './services/userProfileService.js';
+import { createUserProfile, updateUserProfile, getProfileCompleteness, getSkillLevels } from './services/userProfileService.js';
 import { analyzeSkillGaps } from './services/skillGapService.js';
+import { findMentorMatches, getMentorPreferences, setMentorOptOut } from './services/mentorMatchService.js';
+import { exportUserData, deleteUserData } from './services/accountService.js';
+import {
+  validateSkillLevelOverride,
+  setSkillLevelOverride,
+  removeSkillLevelOverride
+} from './services/skillLevelService.js';
+import { createStudyGroups, listStudyGroups, getUserStudyGroups, MAX_STUDY_GROUP_USERS } from './services/studyGroupService.js';
 import { searchSimilarSkills } from './services/skillSearchService.js';
+import { searchProfiles } from './services/profileSearchService.js';
 import { convertToStandalone } from './services/convertToStandaloneService.js';
-import { atsScore } from './services/atsService.js';
+import { atsScoreForJobDescription } from './services/atsService.js';
+import { getAtsScoreHistory } from './services/atsHistoryService.js';
+import {
+  saveJobDescription,
+  listJobDescriptions,
+  getJobDescription,
+  deleteJobDescription,
+  MAX_JOB_DESCRIPTION_LENGTH
+} from './services/jobDescriptionService.js';
+import { parseJobDescription } from './services/jobDescriptionParserService.js';
+import {
+  listResumeVersions,
+  getResumeVersion,
+  activateResumeVersion,
+  diffResumeVersions
+} from './services/resumeVersionService.js';
+import { getBulletSuggestions, applyBulletSuggestions } from './services/bulletRewriteService.js';
+import { generateResumePdf } from './services/resumePdfService.js';
+import { importJsonResume, exportJsonResume } from './services/jsonResumeService.js';
+import { importLinkedInExport } from './services/linkedinImportService.js';
+import { RESUME_TEMPLATES, DEFAULT_RESUME_TEMPLATE } from './utils/resumePdf.js';
+import { resolveVectorWeights } from './utils/profileVectors.js';
+import { validateProfilePatch } from './utils/profileMerge.js';
 import { json } from 'stream/consumers';
 
 const app = express();
@@ -58,6 +90,16 @@ async function authenticate(req, res, next) {
   }
 }
 
+// Admins are users with app_metadata.role = 'admin' in Supabase, or listed in ADMIN_USER_IDS
+const ADMIN_USER_IDS = (process.env.ADMIN_USER_IDS || '').split(',').map(id => id.trim()).filter(Boolean);
+
+function requireAdmin(req, res, next) {
+  if (req.user?.app_metadata?.role === 'admin' || ADMIN_USER_IDS.includes(req.user?.id)) {
+    return next();
+  }
+  return res.status(403).json({ error: 'Admin access required' });
+}
+
 // Routes
 
 // Health check
@@ -69,25 +111,37 @@ app.get('/health', (req, res) => {
   });
 });
 
-// Resume processing endpoint
+// Resume processing endpoint: queues the resume and returns a job to poll (GET /jobs/:id) or follow (GET /jobs/:id/events)
 app.post('/upload-resume', authenticate, upload.single('resume'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No file uploaded' });
     }
 
-    console.log(`Processing uploaded file: ${req.file.filename}`);
+    console.log(`Queueing uploaded file: ${req.file.filename}`);
     const user_id = req.user.id; // Get authenticated user ID
-    const profileData = await processResume(req.file.path, user_id);
-    // Clean up uploaded file
-    fs.unlinkSync(req.file.path);
-    res.json({
+    const mode = req.body?.mode || req.query.mode;
+    if (mode && !['llm', 'offline'].includes(mode)) {
+      fs.unlinkSync(req.file.path);
+      return res.status(400).json({ error: 'mode must be "llm" or "offline"' });
+    }
+
+    // The job removes the uploaded file once it has been processed
+    const job = await enqueueResumeJob(req.file.path, user_id, {
+      originalName: req.file.originalname,
+      mode
+    });
+
+    res.status(202).json({
       success: true,
-      profile: profileData
+      job_id: job.id,
+      stage: job.stage,
+      status_url: `/jobs/${job.id}`,
+      events_url: `/jobs/${job.id}/events`
     });
 
   } catch (error) {
-    console.error('Error processing resume:', error);
+    console.error('Error queueing resume:', error);
     // Clean up file if it exists
     if (req.file?.path && fs.existsSync(req.file.path)) {
       fs.unlinkSync(req.file.path);
@@ -99,6 +153,275 @@ app.post('/upload-resume', authenticate, upload.single('resume'), async (req, re
   }
 });
 
+// Job status: stage is queued, parsing, structuring, storing, done or failed
+app.get('/jobs/:id', authenticate, async (req, res) => {
+  try {
+    const job = await getJobForUser(req.params.id, req.user.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json({
+      success: true,
+      job
+    });
+
+  } catch (error) {
+    console.error('Error fetching job:', error);
+    return res.status(500).json({
+        error: 'Failed to fetch job',
+        details: error.message
+    });
+  }
+});
+
+// Server-Sent Events stream of a job's stage changes, closed once the job is done or failed
+app.get('/jobs/:id/events', authenticate, async (req, res) => {
+  try {
+    const job = await getJobForUser(req.params.id, req.user.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+
+    const send = current => {
+      res.write(`event: stage\ndata: ${JSON.stringify(current)}\n\n`);
+      if (isJobFinished(current)) {
+        close();
+        res.end();
+      }
+    };
+    // Comment lines keep proxies from closing an idle stream
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+    const unsubscribe = jobQueue.subscribe(job.id, send);
+    const close = () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    };
+    req.on('close', close);
+
+    // Re-read after subscribing so a change made in between is not missed
+    send(await jobQueue.get(job.id) || job);
+
+  } catch (error) {
+    console.error('Error streaming job events:', error);
+    if (!res.headersSent) {
+      return res.status(500).json({
+          error: 'Failed to stream job events',
+          details: error.message
+      });
+    }
+    res.end();
+  }
+});
+
+// Bulk cohort onboarding: zip of resumes ('resumes') + CSV with file_name,user_id[,name,goal] ('mapping')
+app.post('/admin/cohorts', authenticate, requireAdmin, cohortUpload, async (req, res) => {
+  const uploads = [req.files?.resumes?.[0], req.files?.mapping?.[0]].filter(Boolean);
+  try {
+    if (uploads.length < 2) {
+      uploads.forEach(file => fs.unlinkSync(file.path));
+      return res.status(400).json({ error: 'Both a zip of resumes ("resumes") and a CSV mapping ("mapping") are required' });
+    }
+
+    const mode = req.body?.mode || req.query.mode;
+    if (mode && !['llm', 'offline'].includes(mode)) {
+      uploads.forEach(file => fs.unlinkSync(file.path));
+      return res.status(400).json({ error: 'mode must be "llm" or "offline"' });
+    }
+
+    // The job removes both uploads once the cohort has been processed
+    const job = await enqueueCohortJob(req.files.resumes[0].path, req.files.mapping[0].path, req.user.id, {
+      goal: req.body?.goal || null,
+      mode
+    });
+
+    res.status(202).json({
+      success: true,
+      job_id: job.id,
+      stage: job.stage,
+      status_url: `/jobs/${job.id}`,
+      events_url: `/jobs/${job.id}/events`,
+      report_url: `/admin/cohorts/${job.id}/report`
+    });
+
+  } catch (error) {
+    console.error('Error queueing cohort onboarding:', error);
+    uploads.filter(file => fs.existsSync(file.path)).forEach(file => fs.unlinkSync(file.path));
+    res.status(500).json({
+      error: 'Failed to start cohort onboarding',
+      details: error.message
+    });
+  }
+});
+
+// Per-file onboarding report as JSON (default) or CSV (?format=csv)
+app.get('/admin/cohorts/:id/report', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const job = await getJobForUser(req.params.id, req.user.id);
+    if (!job || job.type !== 'cohort') {
+      return res.status(404).json({ error: 'Cohort job not found' });
+    }
+    if (job.status === 'failed') {
+      return res.status(422).json({ error: 'Cohort onboarding failed', details: job.error });
+    }
+    if (job.status !== 'done') {
+      return res.status(409).json({ error: 'Cohort onboarding is still running', stage: job.stage, progress: job.progress });
+    }
+
+    if (req.query.format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="cohort-${job.id}.csv"`);
+      return res.send(cohortReportToCsv(job.result.report));
+    }
+
+    res.json({
+      success: true,
+      job_id: job.id,
+      summary: job.result.summary,
+      report: job.result.report
+    });
+
+  } catch (error) {
+    console.error('Error fetching cohort report:', error);
+    return res.status(500).json({
+        error: 'Failed to fetch cohort report',
+        details: error.message
+    });
+  }
+});
+
+// Form study groups from users with a learning goal:
+// { group_size, max_group_size, excluded_pairs: [[user_id, user_id]], user_ids }
+app.post('/admin/study-groups', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const { group_size = 4, max_group_size, excluded_pairs = [], user_ids } = req.body || {};
+
+    if (!Number.isInteger(group_size) || group_size < 2 || group_size > 20) {
+      return res.status(400).json({ error: 'group_size must be an integer between 2 and 20' });
+    }
+    const maxGroupSize = max_group_size === undefined ? group_size + 1 : max_group_size;
+    if (!Number.isInteger(maxGroupSize) || maxGroupSize < group_size || maxGroupSize > 20) {
+      return res.status(400).json({ error: 'max_group_size must be an integer between group_size and 20' });
+    }
+    if (!Array.isArray(excluded_pairs) || !excluded_pairs.every(pair => Array.isArray(pair) && pair.length === 2 && pair.every(id => typeof id === 'string'))) {
+      return res.status(400).json({ error: 'excluded_pairs must be an array of [user_id, user_id] pairs' });
+    }
+    if (user_ids !== undefined && (!Array.isArray(user_ids) || user_ids.length === 0 || user_ids.length > MAX_STUDY_GROUP_USERS || !user_ids.every(id => typeof id === 'string'))) {
+      return res.status(400).json({ error: `user_ids must be a non-empty array of at most ${MAX_STUDY_GROUP_USERS} user IDs` });
+    }
+
+    const result = await createStudyGroups({
+      userIds: user_ids || null,
+      groupSize: group_size,
+      maxGroupSize,
+      excludedPairs: excluded_pairs,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Error forming study groups:', error);
+    return res.status(500).json({
+        error: 'Failed to form study groups',
+        details: error.message
+    });
+  }
+});
+
+// Study groups of one run (?run_id=...), or of the latest run
+app.get('/admin/study-groups', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const result = await listStudyGroups(req.query.run_id || null);
+    if (!result) {
+      return res.status(404).json({ error: 'No study groups found' });
+    }
+
+    res.json({
+      success: true,
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Error listing study groups:', error);
+    return res.status(500).json({
+        error: 'Failed to list study groups',
+        details: error.message
+    });
+  }
+});
+
+// The caller's study groups, newest first
+app.get('/study-groups', authenticate, async (req, res) => {
+  try {
+    const groups = await getUserStudyGroups(req.user.id);
+
+    res.json({
+      success: true,
+      groups
+    });
+
+  } catch (error) {
+    console.error('Error fetching study groups:', error);
+    return res.status(500).json({
+        error: 'Failed to fetch study groups',
+        details: error.message
+    });
+  }
+});
+
+// Everything stored for the caller (Supabase rows, Qdrant payloads, upload file names) as one JSON download
+app.get('/me/export', authenticate, async (req, res) => {
+  try {
+    const archive = await exportUserData(req.user.id);
+
+    res.setHeader('Content-Disposition', `attachment; filename="skillmap-export-${req.user.id}.json"`);
+    res.json(archive);
+
+  } catch (error) {
+    console.error('Error exporting user data:', error);
+    return res.status(500).json({
+        error: 'Failed to export user data',
+        details: error.message
+    });
+  }
+});
+
+// Delete everything stored for the caller and report what was removed and what (if anything) is left
+app.delete('/me', authenticate, async (req, res) => {
+  try {
+    const report = await deleteUserData(req.user.id);
+    if (!report.verified) {
+      return res.status(500).json({
+        error: 'Account deletion could not be verified',
+        report
+      });
+    }
+
+    res.json({
+      success: true,
+      report
+    });
+
+  } catch (error) {
+    console.error('Error deleting user data:', error);
+    return res.status(500).json({
+        error: 'Failed to delete user data',
+        details: error.message
+    });
+  }
+});
+
 //Leetcode Endpoint
 //add auth
 app.post('/leetcode-stats', async (req, res) => {
@@ -150,13 +473,72 @@ app.post('/user-profile', authenticate, async (req, res) => {
   }
 });
 
+// Partial profile update: { name, goal, inferred_areas_of_strength, skills: { upsert, remove },
+// projects: { upsert, remove }, experience: { upsert, remove } }, merged into the stored profile
+app.patch('/user-profile', authenticate, async (req, res) => {
+  try {
+    const errors = validateProfilePatch(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid profile update', details: errors });
+    }
+
+    const result = await updateUserProfile(req.user.id, req.body);
+    if (!result) {
+      return res.status(404).json({ error: 'User profile not found. Create it with POST /user-profile first.' });
+    }
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('Error patching user profile:', error);
+    res.status(500).json({
+      error: 'Failed to update user profile',
+      details: error.message
+    });
+  }
+});
+
+// Completeness percentage of the caller's profile with the next actions that would raise it most
+app.get('/profile-completeness', authenticate, async (req, res) => {
+  try {
+    const completeness = await getProfileCompleteness(req.user.id);
+    if (!completeness) {
+      return res.status(404).json({ error: 'User profile not found. Create it with POST /user-profile first.' });
+    }
+
+    res.json({
+      success: true,
+      ...completeness
+    });
+
+  } catch (error) {
+    console.error('Error scoring profile completeness:', error);
+    res.status(500).json({
+      error: 'Failed to score profile completeness',
+      details: error.message
+    });
+  }
+});
+
 // Skill gap analysis
 app.post('/analyze-skill-gaps', authenticate, async (req, res) => {
   try {
     
     const user_id = req.user.id; // Use authenticated user ID
     console.log(`Analyzing skill gaps for user ID: ${user_id}`);
-    const analysis = await analyzeSkillGaps(user_id);
+
+    // Optionally analyze against a job posting ({ job_description_id } or { job_description } text) instead of the learning goal
+    const { job_description_id, job_description } = req.body || {};
+    let jobDescription = null;
+    if (job_description_id || job_description) {
+      const text = await resolveJobDescriptionText(user_id, { job_description_id, description: job_description });
+      if (text.error) {
+        return res.status(text.status).json({ error: text.error });
+      }
+      jobDescription = await parseJobDescription(text.description);
+    }
+
+    const analysis = await analyzeSkillGaps(user_id, { jobDescription });
 
     if (!analysis) {
       return res.status(404).json({ error: 'User not found' });
@@ -173,140 +555,499 @@ app.post('/analyze-skill-gaps', authenticate, async (req, res) => {
   }
 });
 
-// Skill similarity search
-app.post('/search-skills', async (req, res) => {
+// Peer mentors for the caller's skill gaps, ranked; ?mutual_only=true keeps matches the caller can help back
+app.get('/matches/mentors', authenticate, async (req, res) => {
   try {
-    const { query, limit = 10 } = req.body;
-    
-    if (!query) {
-      return res.status(400).json({ error: 'Query is required' });
+    const limit = req.query.limit === undefined ? 10 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 50) {
+      return res.status(400).json({ error: 'limit must be an integer between 1 and 50' });
     }
-    
-    const results = await searchSimilarSkills(query, limit);
-    
+
+    const result = await findMentorMatches(req.user.id, {
+      limit,
+      mutualOnly: req.query.mutual_only === 'true'
+    });
+    if (!result) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
     res.json({
       success: true,
-      query,
-      results
+      ...result
     });
-    
+
   } catch (error) {
-    console.error('Error searching skills:', error);
-    res.status(500).json({ 
-      error: 'Failed to search skills',
-      details: error.message 
+    console.error('Error matching mentors:', error);
+    res.status(500).json({
+      error: 'Failed to match mentors',
+      details: error.message
     });
   }
 });
 
-// Convert goal to standalone question
-app.post('/convert-to-standalone', async (req, res) => {
+// Whether the caller is hidden from other users' mentor matches
+app.get('/matches/preferences', authenticate, async (req, res) => {
   try {
-    const { goal } = req.body;
-
-    if (!goal) {
-      return res.status(400).json({ error: 'Goal is required' });
-    }
-
-    const goalResponse = await convertToStandalone(goal);
+    const preferences = await getMentorPreferences(req.user.id);
 
     res.json({
       success: true,
-      goalResponse
+      ...preferences
     });
 
   } catch (error) {
-    console.error('Error converting to standalone question:', error);
-    return res.status(500).json({ 
-        error: 'Failed to convert to standalone question',
-        details: error.message
+    console.error('Error reading mentor preferences:', error);
+    res.status(500).json({
+      error: 'Failed to read mentor preferences',
+      details: error.message
     });
   }
 });
 
-// Temporary Route to fetch ATS score
-app.get('/ats-score', authenticate, async (req, res) => {
+// Opt out of (or back into) mentor matching: { opted_out: true }
+app.put('/matches/preferences', authenticate, async (req, res) => {
   try {
-    const user_id = req.user.id;
-    const { data: atsScore } = await supabase
-      .from('resumes')
-      .select('ats_score')
-      .eq('userid', user_id)
-      .single();
-
-    if (!atsScore) {
-      return res.status(404).json({ error: 'ATS score not found' });
+    const { opted_out } = req.body || {};
+    if (typeof opted_out !== 'boolean') {
+      return res.status(400).json({ error: 'opted_out must be true or false' });
     }
 
+    const preferences = await setMentorOptOut(req.user.id, opted_out);
+
     res.json({
       success: true,
-      atsScore
+      ...preferences
     });
 
   } catch (error) {
-    console.error('Error fetching ATS score:', error);
-    return res.status(500).json({ 
-        error: 'Failed to fetch ATS score',
-        details: error.message
+    console.error('Error storing mentor preferences:', error);
+    res.status(500).json({
+      error: 'Failed to store mentor preferences',
+      details: error.message
     });
   }
 });
 
-//Temporary route to fetch user skills
-app.get('/skills', authenticate, async (req, res) => {
+// Inferred level per skill with its evidence and confidence; ?leetcode_username= fetches LeetCode stats live
+app.get('/skill-levels', authenticate, async (req, res) => {
   try {
-    const user_id = req.user.id;
-    const { data: skills } = await supabase
-      .from('skills')
-      .select('*')
-      .eq('userid', user_id);
-
-    if (!skills) {
-      return res.status(404).json({ error: 'Skills not found' });
+    const result = await getSkillLevels(req.user.id, {
+      leetcodeUsername: req.query.leetcode_username || null
+    });
+    if (!result) {
+      return res.status(404).json({ error: 'User not found' });
     }
-    console.log("Fetched skills for user:", skills);
+
     res.json({
       success: true,
-      skills
+      ...result
     });
 
   } catch (error) {
-    console.error('Error fetching skills:', error);
-    return res.status(500).json({ 
-        error: 'Failed to fetch skills',
-        details: error.message
+    console.error('Error inferring skill levels:', error);
+    res.status(500).json({
+      error: 'Failed to infer skill levels',
+      details: error.message
     });
   }
 });
 
-app.get('/experience', authenticate, async (req, res) => {
+// Override the inferred level of a skill: { level, reason }; the profile's stored level follows it
+app.put('/skill-levels/:skill', authenticate, async (req, res) => {
   try {
-    const user_id = req.user.id;
-    const { data: resume_text } = await supabase
-      .from('resumes')
-      .select('resume_text')
-      .eq('userid', user_id);
-
-    if (!resume_text) {
-      return res.status(404).json({ error: 'Resume not found' });
+    const errors = validateSkillLevelOverride(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid override', details: errors });
     }
 
-    // resume_text is an array containing objects with resume_text property
-    const resumeData = Array.isArray(resume_text) && resume_text.length > 0 ? resume_text[0] : resume_text;
-    if (!resumeData || !resumeData.resume_text) {
-      return res.status(404).json({ error: 'Resume text not found' });
+    // Only skills GET /skill-levels returns can be overridden
+    const current = await getSkillLevels(req.user.id);
+    if (!current) {
+      return res.status(404).json({ error: 'User profile not found' });
     }
-
-    // Parse the resume text and extract the experience object
-    let experience = null;
-    try {
-      const parsed = JSON.parse(resumeData.resume_text);
-      experience = parsed.experience || [];
-    } catch (err) {
-      return res.status(400).json({ error: 'Resume text is not valid JSON', details: err.message });
+    const skillName = req.params.skill.trim().toLowerCase();
+    if (!current.skills.some(skill => skill.skill.toLowerCase() === skillName)) {
+      return res.status(400).json({ error: 'Invalid override', details: [`${req.params.skill} is not a skill in your profile`] });
     }
 
-    console.log("Fetched experience for user:", experience);
+    const override = await setSkillLevelOverride(req.user.id, req.params.skill, req.body);
+    // Writes the new effective level back to the profile
+    const levels = await getSkillLevels(req.user.id);
+
+    res.json({
+      success: true,
+      override,
+      skill: levels?.skills.find(skill => skill.skill.toLowerCase() === override.skill_name.toLowerCase()) || null
+    });
+
+  } catch (error) {
+    console.error('Error storing skill level override:', error);
+    res.status(500).json({
+      error: 'Failed to store skill level override',
+      details: error.message
+    });
+  }
+});
+
+// Drop an override so the inferred level applies again
+app.delete('/skill-levels/:skill', authenticate, async (req, res) => {
+  try {
+    const removed = await removeSkillLevelOverride(req.user.id, req.params.skill);
+    if (!removed) {
+      return res.status(404).json({ error: 'No override for this skill' });
+    }
+    const levels = await getSkillLevels(req.user.id);
+
+    res.json({
+      success: true,
+      skill: levels?.skills.find(skill => skill.skill.toLowerCase() === req.params.skill.trim().toLowerCase()) || null
+    });
+
+  } catch (error) {
+    console.error('Error removing skill level override:', error);
+    res.status(500).json({
+      error: 'Failed to remove skill level override',
+      details: error.message
+    });
+  }
+});
+
+// Skill similarity search
+app.post('/search-skills', async (req, res) => {
+  try {
+    const { query, limit = 10 } = req.body;
+    
+    if (!query) {
+      return res.status(400).json({ error: 'Query is required' });
+    }
+    
+    const results = await searchSimilarSkills(query, limit);
+    
+    res.json({
+      success: true,
+      query,
+      results
+    });
+    
+  } catch (error) {
+    console.error('Error searching skills:', error);
+    res.status(500).json({ 
+      error: 'Failed to search skills',
+      details: error.message 
+    });
+  }
+});
+
+// Search user profiles by section: { query, vectors: ["projects"] or { "projects": 2, "skills": 1 }, limit }
+app.post('/search-profiles', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const { query, vectors, limit = 10, min_completeness } = req.body || {};
+
+    if (!query || typeof query !== 'string') {
+      return res.status(400).json({ error: 'Query is required' });
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+      return res.status(400).json({ error: 'limit must be an integer between 1 and 100' });
+    }
+    if (min_completeness !== undefined && (!Number.isInteger(min_completeness) || min_completeness < 0 || min_completeness > 100)) {
+      return res.status(400).json({ error: 'min_completeness must be an integer between 0 and 100' });
+    }
+
+    let weights = null;
+    if (vectors !== undefined) {
+      const resolved = resolveVectorWeights(vectors);
+      if (resolved.error) {
+        return res.status(400).json({ error: resolved.error });
+      }
+      weights = resolved.weights;
+    }
+
+    const filter = min_completeness !== undefined
+      ? { must: [{ key: 'profile_completeness', range: { gte: min_completeness } }] }
+      : null;
+    const results = await searchProfiles(query, { weights, limit, filter });
+
+    res.json({
+      success: true,
+      query,
+      results
+    });
+
+  } catch (error) {
+    console.error('Error searching profiles:', error);
+    res.status(500).json({
+      error: 'Failed to search profiles',
+      details: error.message
+    });
+  }
+});
+
+// Convert goal to standalone question
+app.post('/convert-to-standalone', async (req, res) => {
+  try {
+    const { goal } = req.body;
+
+    if (!goal) {
+      return res.status(400).json({ error: 'Goal is required' });
+    }
+
+    const goalResponse = await convertToStandalone(goal);
+
+    res.json({
+      success: true,
+      goalResponse
+    });
+
+  } catch (error) {
+    console.error('Error converting to standalone question:', error);
+    return res.status(500).json({ 
+        error: 'Failed to convert to standalone question',
+        details: error.message
+    });
+  }
+});
+
+// ATS scores over time with the change between consecutive entries, e.g.
+// /ats-score/history?target_type=job_description&job_description_id=...&limit=50
+app.get('/ats-score/history', authenticate, async (req, res) => {
+  try {
+    const { target_type, job_description_id } = req.query;
+    if (target_type && !['goal', 'job_description'].includes(target_type)) {
+      return res.status(400).json({ error: 'target_type must be goal or job_description' });
+    }
+
+    const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 500) {
+      return res.status(400).json({ error: 'limit must be an integer between 1 and 500' });
+    }
+
+    const history = await getAtsScoreHistory(req.user.id, {
+      targetType: target_type || null,
+      jobDescriptionId: job_description_id || null,
+      limit
+    });
+
+    res.json({
+      success: true,
+      ...history
+    });
+
+  } catch (error) {
+    console.error('Error fetching ATS score history:', error);
+    return res.status(500).json({ 
+        error: 'Failed to fetch ATS score history',
+        details: error.message
+    });
+  }
+});
+
+// Score the stored resume against a job description: pasted text ({ description }) or a saved one ({ job_description_id })
+app.post('/ats-score/job-description', authenticate, async (req, res) => {
+  try {
+    const user_id = req.user.id;
+    const { job_description_id, description, title, company, save = false } = req.body || {};
+
+    const text = await resolveJobDescriptionText(user_id, { job_description_id, description });
+    if (text.error) {
+      return res.status(text.status).json({ error: text.error });
+    }
+    let jobDescription = text.saved;
+    if (!jobDescription) {
+      jobDescription = save
+        ? await saveJobDescription(user_id, { title, company, description })
+        : { id: null, title: title || null, company: company || null, description };
+    }
+
+    const result = await atsScoreForJobDescription(user_id, jobDescription.description, {
+      jobDescriptionId: jobDescription.id,
+      title: jobDescription.title
+    });
+    if (!result) {
+      return res.status(404).json({ error: 'No parsed resume found. Please upload a resume first.' });
+    }
+    const { description: _description, ...jobDescriptionSummary } = jobDescription;
+
+    res.json({
+      success: true,
+      job_description: jobDescriptionSummary,
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Error scoring against job description:', error);
+    return res.status(500).json({
+        error: 'Failed to score resume against job description',
+        details: error.message
+    });
+  }
+});
+
+// Parse a posting ({ description } or a saved { job_description_id }) into title, seniority, years,
+// domain and required/preferred taxonomy skills
+app.post('/job-descriptions/parse', authenticate, async (req, res) => {
+  try {
+    const { job_description_id, description } = req.body || {};
+    const text = await resolveJobDescriptionText(req.user.id, { job_description_id, description });
+    if (text.error) {
+      return res.status(text.status).json({ error: text.error });
+    }
+
+    const parsed = await parseJobDescription(text.description);
+
+    res.json({
+      success: true,
+      job_description_id: job_description_id || null,
+      ...parsed
+    });
+
+  } catch (error) {
+    console.error('Error parsing job description:', error);
+    return res.status(500).json({
+        error: 'Failed to parse job description',
+        details: error.message
+    });
+  }
+});
+
+// Saved job descriptions
+app.post('/job-descriptions', authenticate, async (req, res) => {
+  try {
+    const { title, company, description } = req.body || {};
+    if (!description || typeof description !== 'string' || !description.trim()) {
+      return res.status(400).json({ error: 'description is required' });
+    }
+    if (description.length > MAX_JOB_DESCRIPTION_LENGTH) {
+      return res.status(400).json({ error: `description must be at most ${MAX_JOB_DESCRIPTION_LENGTH} characters` });
+    }
+
+    const jobDescription = await saveJobDescription(req.user.id, { title, company, description });
+
+    res.status(201).json({
+      success: true,
+      job_description: jobDescription
+    });
+
+  } catch (error) {
+    console.error('Error saving job description:', error);
+    return res.status(500).json({
+        error: 'Failed to save job description',
+        details: error.message
+    });
+  }
+});
+
+app.get('/job-descriptions', authenticate, async (req, res) => {
+  try {
+    const jobDescriptions = await listJobDescriptions(req.user.id);
+
+    res.json({
+      success: true,
+      job_descriptions: jobDescriptions
+    });
+
+  } catch (error) {
+    console.error('Error listing job descriptions:', error);
+    return res.status(500).json({
+        error: 'Failed to list job descriptions',
+        details: error.message
+    });
+  }
+});
+
+app.get('/job-descriptions/:id', authenticate, async (req, res) => {
+  try {
+    const jobDescription = await getJobDescription(req.user.id, req.params.id);
+    if (!jobDescription) {
+      return res.status(404).json({ error: 'Job description not found' });
+    }
+
+    res.json({
+      success: true,
+      job_description: jobDescription
+    });
+
+  } catch (error) {
+    console.error('Error fetching job description:', error);
+    return res.status(500).json({
+        error: 'Failed to fetch job description',
+        details: error.message
+    });
+  }
+});
+
+app.delete('/job-descriptions/:id', authenticate, async (req, res) => {
+  try {
+    const deleted = await deleteJobDescription(req.user.id, req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Job description not found' });
+    }
+
+    res.json({ success: true });
+
+  } catch (error) {
+    console.error('Error deleting job description:', error);
+    return res.status(500).json({
+        error: 'Failed to delete job description',
+        details: error.message
+    });
+  }
+});
+
+//Temporary route to fetch user skills
+app.get('/skills', authenticate, async (req, res) => {
+  try {
+    const user_id = req.user.id;
+    const { data: skills } = await supabase
+      .from('skills')
+      .select('*')
+      .eq('userid', user_id);
+
+    if (!skills) {
+      return res.status(404).json({ error: 'Skills not found' });
+    }
+    console.log("Fetched skills for user:", skills);
+    res.json({
+      success: true,
+      skills
+    });
+
+  } catch (error) {
+    console.error('Error fetching skills:', error);
+    return res.status(500).json({ 
+        error: 'Failed to fetch skills',
+        details: error.message
+    });
+  }
+});
+
+app.get('/experience', authenticate, async (req, res) => {
+  try {
+    const user_id = req.user.id;
+    const { data: resume_text } = await supabase
+      .from('resumes')
+      .select('resume_text')
+      .eq('userid', user_id);
+
+    if (!resume_text) {
+      return res.status(404).json({ error: 'Resume not found' });
+    }
+
+    // resume_text is an array containing objects with resume_text property
+    const resumeData = Array.isArray(resume_text) && resume_text.length > 0 ? resume_text[0] : resume_text;
+    if (!resumeData || !resumeData.resume_text) {
+      return res.status(404).json({ error: 'Resume text not found' });
+    }
+
+    // Parse the resume text and extract the experience object
+    let experience = null;
+    try {
+      const parsed = JSON.parse(resumeData.resume_text);
+      experience = parsed.experience || [];
+    } catch (err) {
+      return res.status(400).json({ error: 'Resume text is not valid JSON', details: err.message });
+    }
+
+    console.log("Fetched experience for user:", experience);
 
     res.json({
       success: true,
@@ -323,6 +1064,297 @@ app.get('/experience', authenticate, async (req, res) => {
 
 });
 
+// Resume version history
+app.get('/resume-versions', authenticate, async (req, res) => {
+  try {
+    const versions = await listResumeVersions(req.user.id);
+
+    res.json({
+      success: true,
+      versions
+    });
+
+  } catch (error) {
+    console.error('Error listing resume versions:', error);
+    return res.status(500).json({
+        error: 'Failed to list resume versions',
+        details: error.message
+    });
+  }
+});
+
+// Structured diff between two versions, e.g. /resume-versions/diff?from=1&to=3
+app.get('/resume-versions/diff', authenticate, async (req, res) => {
+  try {
+    const from = parseVersionNumber(req.query.from);
+    const to = parseVersionNumber(req.query.to);
+    if (!from || !to) {
+      return res.status(400).json({ error: 'from and to must be resume version numbers' });
+    }
+
+    const diff = await diffResumeVersions(req.user.id, from, to);
+    if (!diff) {
+      return res.status(404).json({ error: 'Resume version not found' });
+    }
+
+    res.json({
+      success: true,
+      ...diff
+    });
+
+  } catch (error) {
+    console.error('Error diffing resume versions:', error);
+    return res.status(500).json({
+        error: 'Failed to diff resume versions',
+        details: error.message
+    });
+  }
+});
+
+app.get('/resume-versions/:version', authenticate, async (req, res) => {
+  try {
+    const versionNumber = parseVersionNumber(req.params.version);
+    if (!versionNumber) {
+      return res.status(400).json({ error: 'Version must be a positive integer' });
+    }
+
+    const version = await getResumeVersion(req.user.id, versionNumber);
+    if (!version) {
+      return res.status(404).json({ error: 'Resume version not found' });
+    }
+
+    res.json({
+      success: true,
+      version
+    });
+
+  } catch (error) {
+    console.error('Error fetching resume version:', error);
+    return res.status(500).json({
+        error: 'Failed to fetch resume version',
+        details: error.message
+    });
+  }
+});
+
+// Roll back to an earlier version by making it the active one
+app.post('/resume-versions/:version/activate', authenticate, async (req, res) => {
+  try {
+    const versionNumber = parseVersionNumber(req.params.version);
+    if (!versionNumber) {
+      return res.status(400).json({ error: 'Version must be a positive integer' });
+    }
+
+    const version = await activateResumeVersion(req.user.id, versionNumber);
+    if (!version) {
+      return res.status(404).json({ error: 'Resume version not found' });
+    }
+
+    res.json({
+      success: true,
+      version
+    });
+
+  } catch (error) {
+    console.error('Error activating resume version:', error);
+    return res.status(500).json({
+        error: 'Failed to activate resume version',
+        details: error.message
+    });
+  }
+});
+
+// Render the active resume to a PDF download, optionally tailored to a saved job description
+// ({ job_description_id }), pasted text ({ target }) or the stored goal ({ use_goal: true })
+app.post('/resume-pdf', authenticate, async (req, res) => {
+  try {
+    const { template = DEFAULT_RESUME_TEMPLATE, job_description_id, target, use_goal = false } = req.body || {};
+    if (!RESUME_TEMPLATES[template]) {
+      return res.status(400).json({ error: `template must be one of: ${Object.keys(RESUME_TEMPLATES).join(', ')}` });
+    }
+    if (target !== undefined && (typeof target !== 'string' || target.length > MAX_JOB_DESCRIPTION_LENGTH)) {
+      return res.status(400).json({ error: `target must be text of at most ${MAX_JOB_DESCRIPTION_LENGTH} characters` });
+    }
+
+    const result = await generateResumePdf(req.user.id, {
+      template,
+      target: { jobDescriptionId: job_description_id, text: target, useGoal: use_goal === true }
+    });
+    if (!result) {
+      return res.status(404).json({
+        error: job_description_id ? 'Job description not found' : 'No parsed resume found. Please upload a resume first.'
+      });
+    }
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${result.file_name}"`);
+    res.setHeader('X-Resume-Version', String(result.version.version));
+    res.send(Buffer.from(result.pdf));
+
+  } catch (error) {
+    console.error('Error generating resume PDF:', error);
+    return res.status(500).json({
+        error: 'Failed to generate resume PDF',
+        details: error.message
+    });
+  }
+});
+
+// Import a JSON Resume document (https://jsonresume.org/schema) as a new resume version, skipping document parsing
+app.post('/json-resume', authenticate, async (req, res) => {
+  try {
+    const result = await importJsonResume(req.user.id, req.body);
+    if (result.errors) {
+      return res.status(422).json({ error: 'Invalid JSON Resume document', details: result.errors });
+    }
+
+    res.status(201).json({
+      success: true,
+      version: result.version.version,
+      profile: result.profile
+    });
+
+  } catch (error) {
+    console.error('Error importing JSON Resume:', error);
+    return res.status(500).json({
+        error: 'Failed to import JSON Resume',
+        details: error.message
+    });
+  }
+});
+
+// Export the active resume (or ?version=N) as a JSON Resume document
+app.get('/json-resume', authenticate, async (req, res) => {
+  try {
+    let version = null;
+    if (req.query.version !== undefined) {
+      version = parseVersionNumber(req.query.version);
+      if (!version) {
+        return res.status(400).json({ error: 'Version must be a positive integer' });
+      }
+    }
+
+    const document = await exportJsonResume(req.user.id, { version });
+    if (!document) {
+      return res.status(404).json({ error: version ? 'Resume version not found' : 'No parsed resume found. Please upload a resume first.' });
+    }
+
+    res.json(document);
+
+  } catch (error) {
+    console.error('Error exporting JSON Resume:', error);
+    return res.status(500).json({
+        error: 'Failed to export JSON Resume',
+        details: error.message
+    });
+  }
+});
+
+// Import a LinkedIn data export archive ('archive') as a new resume version, without calling an LLM
+app.post('/import/linkedin', authenticate, linkedinUpload, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No LinkedIn data export uploaded' });
+    }
+
+    const result = await importLinkedInExport(req.file.path, req.user.id, {
+      originalName: req.file.originalname
+    });
+
+    res.status(201).json({
+      success: true,
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Error importing LinkedIn export:', error);
+    if (error.message.startsWith('Not a LinkedIn data export') || error.message.startsWith('Invalid zip')) {
+      return res.status(422).json({ error: 'Invalid LinkedIn data export', details: error.message });
+    }
+    return res.status(500).json({
+        error: 'Failed to import LinkedIn export',
+        details: error.message
+    });
+  } finally {
+    if (req.file?.path && fs.existsSync(req.file.path)) {
+      fs.unlinkSync(req.file.path);
+    }
+  }
+});
+
+// Weak experience/project bullets in the active resume, with suggested rewrites
+app.get('/bullet-suggestions', authenticate, async (req, res) => {
+  try {
+    const result = await getBulletSuggestions(req.user.id);
+    if (!result) {
+      return res.status(404).json({ error: 'No parsed resume found. Please upload a resume first.' });
+    }
+
+    res.json({
+      success: true,
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Error suggesting bullet rewrites:', error);
+    return res.status(500).json({
+        error: 'Failed to suggest bullet rewrites',
+        details: error.message
+    });
+  }
+});
+
+// Accept rewrites: { accepted: [{ bullet_id, text, original }] } saves them as a new resume version
+app.post('/bullet-suggestions/accept', authenticate, async (req, res) => {
+  try {
+    const { accepted } = req.body || {};
+    if (!Array.isArray(accepted) || accepted.length === 0) {
+      return res.status(400).json({ error: 'accepted must be a non-empty array of { bullet_id, text }' });
+    }
+
+    const result = await applyBulletSuggestions(req.user.id, accepted);
+    if (!result.version) {
+      return res.status(409).json({ error: 'None of the accepted rewrites could be applied', rejected: result.rejected });
+    }
+
+    res.json({
+      success: true,
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Error applying bullet rewrites:', error);
+    return res.status(500).json({
+        error: 'Failed to apply bullet rewrites',
+        details: error.message
+    });
+  }
+});
+
+// Job description text from a saved posting (returned as { description, saved }) or the request body;
+// { error, status } when neither is usable
+async function resolveJobDescriptionText(userId, { job_description_id, description }) {
+  if (job_description_id) {
+    const saved = await getJobDescription(userId, job_description_id);
+    return saved ? { description: saved.description, saved } : { error: 'Job description not found', status: 404 };
+  }
+  if (!description || typeof description !== 'string' || !description.trim()) {
+    return { error: 'Job description text or job_description_id is required', status: 400 };
+  }
+  if (description.length > MAX_JOB_DESCRIPTION_LENGTH) {
+    return { error: `description must be at most ${MAX_JOB_DESCRIPTION_LENGTH} characters`, status: 400 };
+  }
+  return { description };
+}
+
+function parseVersionNumber(value) {
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 ? number : null;
+}
+
 // Error handling middleware
 app.use((error, req, res, next) => {
   console.error('Unhandled error:', error);
@@ -338,10 +1370,43 @@ app.use('*', (req, res) => {
     error: 'Endpoint not found',
     availableEndpoints: [
       'GET /health',
+      'GET /me/export',
+      'DELETE /me',
       'POST /upload-resume',
+      'GET /jobs/:id',
+      'GET /jobs/:id/events',
+      'POST /admin/cohorts',
+      'GET /admin/cohorts/:id/report',
+      'POST /admin/study-groups',
+      'GET /admin/study-groups',
+      'GET /study-groups',
       'POST /user-profile', 
+      'PATCH /user-profile',
+      'GET /profile-completeness',
       'POST /analyze-skill-gaps',
-      'POST /search-skills'
+      'GET /matches/mentors',
+      'GET /matches/preferences',
+      'PUT /matches/preferences',
+      'GET /skill-levels',
+      'PUT /skill-levels/:skill',
+      'DELETE /skill-levels/:skill',
+      'POST /search-skills',
+      'POST /search-profiles',
+      'GET /ats-score/history',
+      'POST /ats-score/job-description',
+      'GET /job-descriptions',
+      'POST /job-descriptions',
+      'POST /job-descriptions/parse',
+      'GET /resume-versions',
+      'GET /resume-versions/diff',
+      'GET /resume-versions/:version',
+      'POST /resume-versions/:version/activate',
+      'POST /resume-pdf',
+      'POST /json-resume',
+      'GET /json-resume',
+      'POST /import/linkedin',
+      'GET /bullet-suggestions',
+      'POST /bullet-suggestions/accept'
     ]
   });
 });
@@ -352,7 +1417,9 @@ app.listen(PORT, () => {
   console.log(`📍 Health check: http://localhost:${PORT}/health`);
   console.log(`📝 API Documentation:`);
   console.log(`   📄 Resume upload: POST /upload-resume`);
+  console.log(`   ⏳ Job status: GET /jobs/:id`);
   console.log(`   👤 User profile: POST /user-profile`);
   console.log(`   🔍 Skill gaps: POST /analyze-skill-gaps`);
   console.log(`   🔎 Search skills: POST /search-skills`);
+  console.log(`   🗂️  Resume versions: GET /resume-versions`);
 });
@@ -0,0 +1,91 @@
+import fs from 'fs';
+import path from 'path';
+import { qdrant } from '../config/qdrant.js';
+import { ensureCollection, usesNamedVectors } from '../utils/vectorStore.js';
+import { profileVectorsConfig, splitProfileText } from '../utils/profileVectors.js';
+import { embedSections } from '../services/userProfileService.js';
+import 'dotenv/config';
+
+const COLLECTION_NAME = 'user_profiles';
+const BACKUP_DIR = './backups';
+const PAGE_SIZE = 100;
+
+/**
+ * Convert user_profiles from one vector per profile to named section vectors.
+ * Qdrant cannot change a collection's vectors in place, so every point is re-embedded from its
+ * profile_text first, the old points are written to a backup file, and the collection is recreated.
+ * Pass --dry-run to only report what would be migrated.
+ */
+async function migrateProfileVectors() {
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    const collections = await qdrant.getCollections();
+    if (!collections.collections.some(collection => collection.name === COLLECTION_NAME)) {
+      console.log(`Collection ${COLLECTION_NAME} does not exist - nothing to migrate`);
+      return;
+    }
+    if (await usesNamedVectors(COLLECTION_NAME)) {
+      console.log(`Collection ${COLLECTION_NAME} already uses named vectors - nothing to migrate`);
+      return;
+    }
+
+    const points = await readAllPoints();
+    console.log(`📦 Found ${points.length} single-vector profiles`);
+    if (dryRun) {
+      console.log('Dry run - no changes made');
+      return;
+    }
+
+    // Embed everything before touching the collection, so a failed request leaves it as it was
+    const migrated = [];
+    for (const point of points) {
+      const vectors = await embedSections(splitProfileText(point.payload?.profile_text));
+      migrated.push({
+        id: point.id,
+        vector: vectors,
+        payload: { ...point.payload, profile_vectors: Object.keys(vectors) }
+      });
+      console.log(`  ✓ Embedded ${Object.keys(vectors).length} sections for: ${point.payload?.user_name || point.id}`);
+    }
+
+    fs.mkdirSync(BACKUP_DIR, { recursive: true });
+    const backupPath = path.join(BACKUP_DIR, `${COLLECTION_NAME}-${Date.now()}.json`);
+    fs.writeFileSync(backupPath, JSON.stringify(points));
+    console.log(`💾 Backed up the old points to ${backupPath}`);
+
+    await qdrant.deleteCollection(COLLECTION_NAME);
+    await ensureCollection(COLLECTION_NAME, { vectors: profileVectorsConfig() });
+
+    for (let start = 0; start < migrated.length; start += PAGE_SIZE) {
+      await qdrant.upsert(COLLECTION_NAME, {
+        wait: true,
+        points: migrated.slice(start, start + PAGE_SIZE)
+      });
+    }
+
+    console.log(`✅ Migrated ${migrated.length} profiles in ${COLLECTION_NAME} to named vectors`);
+
+  } catch (error) {
+    console.error('❌ Error migrating profile vectors:', error);
+    process.exit(1);
+  }
+}
+
+async function readAllPoints() {
+  const points = [];
+  let offset = undefined;
+  do {
+    const page = await qdrant.scroll(COLLECTION_NAME, {
+      limit: PAGE_SIZE,
+      offset,
+      with_payload: true,
+      with_vector: true
+    });
+    points.push(...page.points);
+    offset = page.next_page_offset ?? undefined;
+  } while (offset !== undefined);
+  return points;
+}
+
+migrateProfileVectors();
@@ -0,0 +1,272 @@
+import fs from 'fs';
+import path from 'path';
+import { qdrant } from '../config/qdrant.js';
+import { supabase } from '../config/supabase.js';
+import { UPLOAD_DIR } from '../utils/multer.js';
+
+// Everything stored per user. Tables are listed in deletion order: rows that reference other
+// tables (score history -> versions and job descriptions, resumes -> active version) go first.
+const USER_TABLES = [
+  'ats_score_history',
+  'resumes',
+  'resume_versions',
+  'job_descriptions',
+  'skills',
+  'mentor_preferences',
+  'skill_level_overrides'
+];
+const USER_COLLECTIONS = ['user_profiles', 'user_leetcode_embeddings'];
+// Study groups hold several users, so a user is removed from them rather than the rows deleted
+const STUDY_GROUPS_TABLE = 'study_groups';
+const PAGE_SIZE = 256;
+// Uploads from before the user id prefix were named "<timestamp>-<random>-<original name>"
+const LEGACY_UPLOAD_REGEX = /^\d{13}-\d+-(.+)$/;
+
+/**
+ * Collect everything stored for a user into one archive
+ * @param {string} userId - User ID
+ * @returns {Object} { exported_at, user_id, supabase: { table: rows }, qdrant: { collection: payloads },
+ * uploads: [file names], errors } where errors holds the stores that could not be read
+ */
+export async function exportUserData(userId) {
+  const archive = {
+    exported_at: new Date().toISOString(),
+    user_id: userId,
+    supabase: {},
+    qdrant: {},
+    uploads: [],
+    errors: {}
+  };
+
+  try {
+    const legacy = await findLegacyUploads(userId);
+    archive.uploads = [...listUserUploads(userId), ...legacy.owned];
+    if (legacy.unverifiable.length > 0) archive.unverifiable_uploads = legacy.unverifiable.length;
+  } catch (error) {
+    archive.uploads = listUserUploads(userId);
+    archive.errors.uploads = error.message;
+  }
+
+  for (const table of USER_TABLES) {
+    const { data, error } = await supabase.from(table).select('*').eq('userid', userId);
+    if (error) {
+      archive.errors[table] = error.message;
+    } else {
+      archive.supabase[table] = data || [];
+    }
+  }
+
+  const { data: groups, error: groupsError } = await supabase
+    .from(STUDY_GROUPS_TABLE)
+    .select('*')
+    .contains('member_ids', [userId]);
+  if (groupsError) {
+    archive.errors[STUDY_GROUPS_TABLE] = groupsError.message;
+  } else {
+    archive.supabase[STUDY_GROUPS_TABLE] = groups || [];
+  }
+
+  for (const collection of USER_COLLECTIONS) {
+    try {
+      const points = await scrollUserPoints(collection, userId);
+      archive.qdrant[collection] = points.map(point => ({ id: point.id, payload: point.payload }));
+    } catch (error) {
+      archive.errors[collection] = error.message;
+    }
+  }
+
+  console.log(`Exported data for user: ${userId}`);
+  return archive;
+}
+
+/**
+ * Delete everything stored for a user, then check that nothing is left
+ * @param {string} userId - User ID
+ * @returns {Object} Verification report: { user_id, deleted_at, verified, supabase, qdrant, study_groups, uploads }
+ * with the deleted and remaining count per store; verified is true only when every store is empty and no
+ * legacy upload was left unverifiable
+ */
+export async function deleteUserData(userId) {
+  const report = {
+    user_id: userId,
+    deleted_at: new Date().toISOString(),
+    verified: false,
+    supabase: {},
+    qdrant: {},
+    study_groups: null,
+    uploads: null
+  };
+
+  // Legacy uploads are traced through resume_versions.file_name, so look them up before the rows go
+  let legacy;
+  try {
+    legacy = await findLegacyUploads(userId);
+  } catch (error) {
+    legacy = { owned: [], unverifiable: [], error: error.message };
+  }
+
+  for (const table of USER_TABLES) {
+    const { count, error } = await supabase
+      .from(table)
+      .delete({ count: 'exact' })
+      .eq('userid', userId);
+    report.supabase[table] = error
+      ? { deleted: 0, error: error.message }
+      : { deleted: count || 0 };
+  }
+
+  report.study_groups = await leaveStudyGroups(userId);
+
+  for (const collection of USER_COLLECTIONS) {
+    try {
+      const points = await scrollUserPoints(collection, userId);
+      if (points.length > 0) {
+        await qdrant.delete(collection, { wait: true, points: points.map(point => point.id) });
+      }
+      report.qdrant[collection] = { deleted: points.length };
+    } catch (error) {
+      report.qdrant[collection] = { deleted: 0, error: error.message };
+    }
+  }
+
+  const files = [...listUserUploads(userId), ...legacy.owned];
+  for (const file of files) {
+    fs.rmSync(path.join(UPLOAD_DIR, file), { force: true });
+  }
+  report.uploads = { deleted: files.length, unverifiable: legacy.unverifiable.length };
+  if (legacy.error) report.uploads.error = legacy.error;
+
+  await verifyDeletion(userId, report, legacy.owned);
+  console.log(`Deleted data for user: ${userId} (verified: ${report.verified})`);
+  return report;
+}
+
+// Re-read every store and record what is left
+async function verifyDeletion(userId, report, legacyFiles) {
+  let clean = true;
+  const check = (entry, remaining, error) => {
+    entry.remaining = error ? null : remaining;
+    if (error) entry.verify_error = error;
+    if (error || remaining > 0 || entry.error) clean = false;
+  };
+
+  for (const table of USER_TABLES) {
+    const { count, error } = await supabase
+      .from(table)
+      .select('*', { count: 'exact', head: true })
+      .eq('userid', userId);
+    check(report.supabase[table], count || 0, error?.message);
+  }
+
+  const { count: groupCount, error: groupError } = await supabase
+    .from(STUDY_GROUPS_TABLE)
+    .select('*', { count: 'exact', head: true })
+    .contains('member_ids', [userId]);
+  check(report.study_groups, groupCount || 0, groupError?.message);
+
+  for (const collection of USER_COLLECTIONS) {
+    try {
+      const points = await scrollUserPoints(collection, userId);
+      check(report.qdrant[collection], points.length, null);
+    } catch (error) {
+      check(report.qdrant[collection], 0, error.message);
+    }
+  }
+
+  const remainingLegacy = legacyFiles.filter(file => fs.existsSync(path.join(UPLOAD_DIR, file))).length;
+  check(report.uploads, listUserUploads(userId).length + remainingLegacy, null);
+  // Legacy uploads that cannot be traced may still hold this user's resume
+  report.verified = clean && report.uploads.unverifiable === 0;
+}
+
+async function leaveStudyGroups(userId) {
+  const { data: groups, error } = await supabase
+    .from(STUDY_GROUPS_TABLE)
+    .select('id, member_ids, members, anchor_id')
+    .contains('member_ids', [userId]);
+  if (error) {
+    return { removed_from: 0, error: error.message };
+  }
+
+  let left = 0;
+  for (const group of groups || []) {
+    const { error: updateError } = await supabase
+      .from(STUDY_GROUPS_TABLE)
+      .update({
+        member_ids: group.member_ids.filter(id => id !== userId),
+        members: (group.members || []).filter(member => member.user_id !== userId),
+        anchor_id: group.anchor_id === userId ? null : group.anchor_id
+      })
+      .eq('id', group.id);
+    if (updateError) {
+      return { removed_from: left, error: updateError.message };
+    }
+    left++;
+  }
+  return { removed_from: left };
+}
+
+async function scrollUserPoints(collection, userId) {
+  const collections = await qdrant.getCollections();
+  if (!collections.collections.some(existing => existing.name === collection)) return [];
+
+  const points = [];
+  let offset = undefined;
+  do {
+    const page = await qdrant.scroll(collection, {
+      limit: PAGE_SIZE,
+      offset,
+      filter: {
+        must: [{ key: 'user_id', match: { value: userId } }]
+      },
+      with_payload: true,
+      with_vector: false
+    });
+    points.push(...page.points);
+    offset = page.next_page_offset ?? undefined;
+  } while (offset !== undefined);
+  return points;
+}
+
+// Uploads are named "<user id>-<timestamp>-...", see utils/multer.js
+function listUserUploads(userId) {
+  if (!fs.existsSync(UPLOAD_DIR)) return [];
+  return fs.readdirSync(UPLOAD_DIR).filter(file => file.startsWith(`${userId}-`));
+}
+
+// Legacy uploads carry no user id. One whose original name only this user's resume versions use is
+// theirs; one whose name no version records, or other users' versions record too, cannot be traced
+// and is reported as unverifiable. Names only other users' versions record are left out.
+async function findLegacyUploads(userId) {
+  if (!fs.existsSync(UPLOAD_DIR)) return { owned: [], unverifiable: [] };
+  const legacy = fs.readdirSync(UPLOAD_DIR)
+    .map(file => ({ file, originalName: file.match(LEGACY_UPLOAD_REGEX)?.[1] }))
+    .filter(upload => upload.originalName);
+  if (legacy.length === 0) return { owned: [], unverifiable: [] };
+
+  const { data, error } = await supabase
+    .from('resume_versions')
+    .select('userid, file_name')
+    .in('file_name', [...new Set(legacy.map(upload => upload.originalName))]);
+  if (error) {
+    throw new Error(`Failed to trace legacy uploads: ${error.message}`);
+  }
+
+  const owners = new Map();
+  for (const row of data || []) {
+    if (!owners.has(row.file_name)) owners.set(row.file_name, new Set());
+    owners.get(row.file_name).add(row.userid);
+  }
+
+  const owned = [];
+  const unverifiable = [];
+  for (const { file, originalName } of legacy) {
+    const users = owners.get(originalName);
+    if (!users || (users.has(userId) && users.size > 1)) {
+      unverifiable.push(file);
+    } else if (users.has(userId)) {
+      owned.push(file);
+    }
+  }
+  return { owned, unverifiable };
+}
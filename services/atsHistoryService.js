@@ -0,0 +1,121 @@
+import { supabase } from '../config/supabase.js';
+import { listResumeVersions } from './resumeVersionService.js';
+
+// Every ATS computation is appended here, so users can see whether their edits moved the score.
+// resumes.ats_score still holds the latest goal-based score for existing readers.
+const TABLE = 'ats_score_history';
+const HISTORY_COLUMNS = 'id, score, components, target_type, target, job_description_id, resume_version_id, llm_score, created_at';
+
+// Longest target text stored with an entry; job descriptions are referenced by id and title instead
+const MAX_TARGET_LENGTH = 500;
+
+/**
+ * Append an ATS computation to the user's history
+ * @param {string} userId - User ID
+ * @param {Object} result - { score, components, llm_score } from the ATS service
+ * @param {Object} context - { targetType: 'goal' | 'job_description', target, jobDescriptionId, resumeVersionId }
+ * @returns {Object} The stored entry
+ */
+export async function recordAtsScore(userId, result, { targetType, target = null, jobDescriptionId = null, resumeVersionId = null }) {
+  const { data, error } = await supabase
+    .from(TABLE)
+    .insert({
+      userid: userId,
+      score: result.score,
+      components: summarizeComponents(result.components),
+      target_type: targetType,
+      target: target ? String(target).slice(0, MAX_TARGET_LENGTH) : null,
+      job_description_id: jobDescriptionId,
+      resume_version_id: resumeVersionId,
+      llm_score: result.llm_score ?? null
+    })
+    .select(HISTORY_COLUMNS)
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to record ATS score: ${error.message}`);
+  }
+  return data;
+}
+
+/**
+ * A user's ATS scores over time, oldest first, with the change between consecutive entries
+ * @param {string} userId - User ID
+ * @param {Object} filters - { targetType, jobDescriptionId, limit } (limit keeps the most recent entries)
+ * @returns {Object} { entries, deltas, latest } where each delta is
+ * { from_id, to_id, score_delta, component_deltas, same_target, resume_version_changed }
+ */
+export async function getAtsScoreHistory(userId, { targetType = null, jobDescriptionId = null, limit = 100 } = {}) {
+  let query = supabase
+    .from(TABLE)
+    .select(HISTORY_COLUMNS)
+    .eq('userid', userId);
+
+  if (targetType) query = query.eq('target_type', targetType);
+  if (jobDescriptionId) query = query.eq('job_description_id', jobDescriptionId);
+
+  const [{ data, error }, versions] = await Promise.all([
+    query.order('created_at', { ascending: false }).limit(limit),
+    listResumeVersions(userId)
+  ]);
+
+  if (error) {
+    throw new Error(`Failed to fetch ATS score history: ${error.message}`);
+  }
+
+  // Resolve version ids to the numbers the user sees in /resume-versions
+  const versionNumbers = new Map(versions.map(version => [version.id, version.version]));
+  const entries = (data || [])
+    .reverse()
+    .map(entry => ({ ...entry, resume_version: versionNumbers.get(entry.resume_version_id) ?? null }));
+
+  return {
+    entries,
+    deltas: computeDeltas(entries),
+    latest: entries[entries.length - 1] || null
+  };
+}
+
+/**
+ * Change in score and in each component between consecutive entries
+ * @param {Array} entries - History entries, oldest first
+ * @returns {Array} One delta per pair of consecutive entries
+ */
+export function computeDeltas(entries) {
+  const deltas = [];
+
+  for (let i = 1; i < entries.length; i++) {
+    const previous = entries[i - 1];
+    const current = entries[i];
+
+    const componentDeltas = {};
+    for (const [name, component] of Object.entries(current.components || {})) {
+      const before = previous.components?.[name]?.score;
+      componentDeltas[name] = typeof component?.score === 'number' && typeof before === 'number'
+        ? component.score - before
+        : null;
+    }
+
+    deltas.push({
+      from_id: previous.id,
+      to_id: current.id,
+      score_delta: current.score - previous.score,
+      component_deltas: componentDeltas,
+      // A score change between different targets says little about the resume itself
+      same_target: previous.target_type === current.target_type
+        && (previous.job_description_id || previous.target) === (current.job_description_id || current.target),
+      resume_version_changed: previous.resume_version_id !== current.resume_version_id
+    });
+  }
+
+  return deltas;
+}
+
+// Keep the score, weight and reasons of each component, without the keyword lists
+function summarizeComponents(components = {}) {
+  const summary = {};
+  for (const [name, component] of Object.entries(components)) {
+    summary[name] = { score: component.score, weight: component.weight, reasons: component.reasons };
+  }
+  return summary;
+}
@@ -1,56 +1,176 @@
 import { openai } from "../config/openai.js";
 import { supabase } from '../config/supabase.js';
+import { createRedactor } from '../utils/piiRedactor.js';
+import { scoreResume, findMissingTaxonomySkills } from '../utils/atsScoring.js';
+import { parseResumeText } from './resumeVersionService.js';
+import { recordAtsScore } from './atsHistoryService.js';
 
+// The ATS score is computed deterministically from the parsed resume (utils/atsScoring.js):
+// keyword coverage against the goal, section completeness, date consistency, quantified bullets,
+// length and action verbs. An LLM opinion can be requested as an extra signal but never changes the score.
+const LLM_SIGNAL_ENABLED = process.env.ATS_LLM_SIGNAL === 'true';
 
-// This is the first version of the ATS service
-// It uses OpenAI to evaluate resumes against job descriptions and provide an ATS score
-// Future versions may include more advanced features like keyword extraction, improving vague phrases, etc.
+/**
+ * Score the user's active resume against their current goal
+ * @param {string} user_id - User ID
+ * @param {Object} options - { useLlm } to also ask the LLM for its own 0-100 estimate (default: ATS_LLM_SIGNAL)
+ * @returns {Object|null} { score, components, target, llm_score, computed_at }, or null if the user has no parsed resume
+ */
+export async function atsScore(user_id, { useLlm = LLM_SIGNAL_ENABLED } = {}) {
+    try {
+        const active = await fetchActiveResume(user_id);
+        if (!active) return null;
+        const { resume, resume_text, current_goal, active_version_id } = active;
+
+        const result = scoreResume(resume, { target: current_goal || '' });
+        const llmScore = useLlm ? await llmAtsSignal(resume_text, current_goal) : null;
+
+        const scored = {
+            ...result,
+            target: current_goal || null,
+            llm_score: llmScore,
+            computed_at: new Date().toISOString()
+        };
+        await recordHistory(user_id, scored, {
+            targetType: 'goal',
+            target: current_goal || null,
+            resumeVersionId: active_version_id
+        });
+
+        return scored;
+
+    } catch (error) {
+        console.error('Error finding ats score:', error);
+        throw new Error(`Failed to find ats score: ${error.message}`);
+    }
+}
 
-export async function atsScore(user_id) {
+/**
+ * Score the user's active resume against a job description
+ * @param {string} user_id - User ID
+ * @param {string} jobDescription - Job description text
+ * @param {Object} options - { useLlm } to also ask the LLM for its own 0-100 estimate (default: ATS_LLM_SIGNAL),
+ * { jobDescriptionId, title } of a saved or pasted job description for the score history
+ * @returns {Object|null} { score, components, matched_keywords, missing_keywords, missing_skills, llm_score, computed_at },
+ * or null if the user has no parsed resume
+ */
+export async function atsScoreForJobDescription(user_id, jobDescription, { useLlm = LLM_SIGNAL_ENABLED, jobDescriptionId = null, title = null } = {}) {
     try {
-        // Validate the input
-        if (!user_id || typeof user_id !== 'string') {
-            throw new Error('Invalid user_id input. Please provide a valid string.');
+        if (!jobDescription || typeof jobDescription !== 'string' || !jobDescription.trim()) {
+            throw new Error('Invalid job description. Please provide the job description text.');
         }
 
-        const { data, error: userError } = await supabase
-            .from('resumes')
-            .select('resume_text, current_goal')
-            .eq('userid', user_id)
-            .single();
+        const active = await fetchActiveResume(user_id);
+        if (!active) return null;
+        const { resume, resume_text, active_version_id } = active;
+        const result = scoreResume(resume, { target: jobDescription });
+        const llmScore = useLlm ? await llmAtsSignal(resume_text, jobDescription) : null;
 
-        if (userError) {
-            console.error('Error fetching user profile:', userError);
-            throw new Error(`Failed to fetch user profile: ${userError.message}`);
-        }
+        const scored = {
+            ...result,
+            matched_keywords: result.components.keywords.matched,
+            missing_keywords: result.components.keywords.missing,
+            missing_skills: findMissingTaxonomySkills(resume, jobDescription),
+            llm_score: llmScore,
+            computed_at: new Date().toISOString()
+        };
+        await recordHistory(user_id, scored, {
+            targetType: 'job_description',
+            target: title || jobDescription,
+            jobDescriptionId,
+            resumeVersionId: active_version_id
+        });
 
-        const { resume_text, current_goal } = data;
+        return scored;
 
-        if (!resume_text || typeof resume_text !== 'string') {
-            throw new Error('Invalid resume_text input. Please provide a valid string.');
-        }
+    } catch (error) {
+        console.error('Error scoring resume against job description:', error);
+        throw new Error(`Failed to score resume against job description: ${error.message}`);
+    }
+}
 
-        if (!current_goal || typeof current_goal !== 'string') {
-            throw new Error('Invalid current_goal input. Please provide a valid string.');
-        }
+/**
+ * Fetch and parse the user's active resume
+ * @param {string} user_id - User ID
+ * @returns {Object|null} { resume, resume_text, current_goal, active_version_id }, or null if the user has
+ * no resumes row or no parsed resume in it
+ */
+async function fetchActiveResume(user_id) {
+    // Validate the input
+    if (!user_id || typeof user_id !== 'string') {
+        throw new Error('Invalid user_id input. Please provide a valid string.');
+    }
+
+    const { data, error: userError } = await supabase
+        .from('resumes')
+        .select('resume_text, current_goal, active_version_id')
+        .eq('userid', user_id)
+        .maybeSingle();
+
+    if (userError) {
+        console.error('Error fetching user profile:', userError);
+        throw new Error(`Failed to fetch user profile: ${userError.message}`);
+    }
+
+    const resume = parseResumeText(data?.resume_text);
+    if (!resume) return null;
+
+    return {
+        resume,
+        resume_text: data.resume_text,
+        current_goal: data.current_goal,
+        active_version_id: data.active_version_id || null
+    };
+}
+
+/**
+ * Append a computation to the score history; a failed write is logged but does not fail the score
+ */
+async function recordHistory(user_id, scored, context) {
+    try {
+        await recordAtsScore(user_id, scored, context);
+    } catch (error) {
+        console.warn('Could not record ATS score history:', error.message);
+    }
+}
+
+/**
+ * Ask the LLM for its own ATS estimate
+ * @param {string|Object} resumeText - Stored resume
+ * @param {string} goal - Goal or job description
+ * @returns {number|null} 0-100, or null when unavailable or the answer holds no number
+ */
+async function llmAtsSignal(resumeText, goal) {
+    if (!goal) return null;
+
+    try {
+        // The name and contact details play no part in the score, keep them out of the prompt
+        const name = parseResumeText(resumeText)?.name;
+        const redactor = createRedactor({ knownValues: { name: name ? [name] : [] } });
+        const text = typeof resumeText === 'string' ? resumeText : JSON.stringify(resumeText);
+        const redactedResume = redactor.redact(text);
+        const redactedGoal = redactor.redact(goal);
+        console.log('PII redacted from ATS prompt:', redactor.audit().redacted);
 
-        // Call OpenAI API to get ATS score
         const response = await openai.chat.completions.create({
         model: "gpt-3.5-turbo",
         messages: [
-            { 
-            role: "system", 
-            content: "You are an AI assistant that evaluates resumes against job descriptions to provide an ATS score. The score is a percentage indicating how well the resume matches the job description. Example: 'Resume: [resume text] Job Description: [job description text]' -> '85'" 
+            {
+            role: "system",
+            content: "You are an AI assistant that evaluates resumes against job descriptions to provide an ATS score. The score is a percentage indicating how well the resume matches the job description. Reply with the number only. Example: 'Resume: [resume text] Job Description: [job description text]' -> '85'"
             },
-            { role: "user", content: `Resume: ${resume_text} Job Description: ${current_goal}` }
+            { role: "user", content: `Resume: ${redactedResume} Job Description: ${redactedGoal}` }
         ],
         max_tokens: 300,
         });
 
-        return response.choices[0].message.content;
+        // The model sometimes answers with a sentence, take the first number in range
+        const answer = response.choices[0].message.content || '';
+        const number = (answer.match(/\d+(?:\.\d+)?/g) || []).map(Number).find(value => value >= 0 && value <= 100);
+        return number === undefined ? null : Math.round(number);
 
     } catch (error) {
-        console.error('Error finding ats score:', error);
-        throw new Error(`Failed to find ats score: ${error.message}`);
+        console.warn('LLM ATS signal unavailable:', error.message);
+        return null;
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,193 @@
+import { openai } from '../config/openai.js';
+import { createRedactor } from '../utils/piiRedactor.js';
+import { analyzeBullet, rewriteBulletWithRules } from '../utils/bulletAnalyzer.js';
+import { getActiveResume, saveResumeVersion } from './resumeVersionService.js';
+
+// Sections whose descriptions are split into bullets, one bullet per line
+const BULLET_SECTIONS = ['experience', 'projects'];
+// Most bullets sent to the LLM in one request; the rest still get rule-based suggestions
+const MAX_LLM_BULLETS = 30;
+
+/**
+ * Find weak bullets in the user's active resume and suggest rewrites
+ * @param {string} userId - User ID
+ * @param {Object} options - { useLlm } to add LLM rewrites on top of the rule-based ones (default: true)
+ * @returns {Object|null} { version_id, bullets_checked, suggestions } where each suggestion is
+ * { bullet_id, section, entry, original, issues, suggestions }, or null if the user has no parsed resume
+ */
+export async function getBulletSuggestions(userId, { useLlm = true } = {}) {
+  const active = await getActiveResume(userId);
+  if (!active) return null;
+
+  const bullets = collectBullets(active.resume);
+  const flagged = bullets
+    .map(bullet => ({ ...bullet, issues: analyzeBullet(bullet.text) }))
+    .filter(bullet => bullet.issues.length > 0);
+
+  const llmRewrites = useLlm ? await rewriteBulletsWithLlm(flagged.slice(0, MAX_LLM_BULLETS), active.resume?.name) : {};
+
+  const suggestions = flagged.map(bullet => {
+    const candidates = [rewriteBulletWithRules(bullet.text), ...(llmRewrites[bullet.bullet_id] || [])];
+    const unique = [...new Map(
+      candidates
+        .filter(candidate => typeof candidate === 'string' && candidate.trim() && candidate.trim() !== bullet.text)
+        .map(candidate => [candidate.trim().toLowerCase(), candidate.trim()])
+    ).values()];
+
+    return {
+      bullet_id: bullet.bullet_id,
+      section: bullet.section,
+      entry: bullet.entry,
+      original: bullet.text,
+      issues: bullet.issues,
+      suggestions: unique
+    };
+  });
+
+  console.log(`Flagged ${suggestions.length} of ${bullets.length} resume bullets for user: ${userId}`);
+
+  return {
+    version_id: active.active_version_id,
+    bullets_checked: bullets.length,
+    suggestions
+  };
+}
+
+/**
+ * Write accepted rewrites back to the resume as a new version
+ * @param {string} userId - User ID
+ * @param {Array} accepted - [{ bullet_id, text, original }]; when original is given it must still match
+ * the bullet, so a suggestion made for an older version is not applied to a different line
+ * @returns {Object} { version, applied, rejected } with the reason for each rejected entry
+ */
+export async function applyBulletSuggestions(userId, accepted) {
+  const active = await getActiveResume(userId);
+  if (!active) {
+    throw new Error('No parsed resume found for user. Please upload a resume first.');
+  }
+
+  const resume = structuredClone(active.resume);
+  const applied = [];
+  const rejected = [];
+
+  for (const { bullet_id, text, original } of accepted) {
+    const location = parseBulletId(bullet_id);
+    const entry = location && resume[location.section]?.[location.entryIndex];
+    const lines = typeof entry?.description === 'string' ? entry.description.split('\n') : [];
+    const current = lines[location?.lineIndex];
+
+    if (current === undefined || !current.trim()) {
+      rejected.push({ bullet_id, reason: 'Bullet not found in the active resume' });
+    } else if (typeof text !== 'string' || !text.trim()) {
+      rejected.push({ bullet_id, reason: 'Replacement text is empty' });
+    } else if (original !== undefined && stripBulletMarker(current) !== String(original).trim()) {
+      rejected.push({ bullet_id, reason: 'Bullet has changed since the suggestion was made' });
+    } else {
+      // Keep the line's own bullet marker ("- ", "• ") so the description keeps its layout
+      lines[location.lineIndex] = `${bulletMarker(current)}${text.trim()}`;
+      entry.description = lines.join('\n');
+      applied.push({ bullet_id, original: stripBulletMarker(current), text: text.trim() });
+    }
+  }
+
+  if (applied.length === 0) {
+    return { version: null, applied, rejected };
+  }
+
+  const version = await saveResumeVersion(userId, resume, { extractionMethod: 'bullet_rewrite' });
+  console.log(`Applied ${applied.length} bullet rewrites for user: ${userId}`);
+
+  return { version, applied, rejected };
+}
+
+/**
+ * Bullets of the experience and project descriptions, with ids of the form section.entry.line
+ */
+function collectBullets(resume) {
+  const bullets = [];
+
+  for (const section of BULLET_SECTIONS) {
+    const entries = Array.isArray(resume?.[section]) ? resume[section] : [];
+    entries.forEach((entry, entryIndex) => {
+      if (typeof entry?.description !== 'string') return;
+
+      entry.description.split('\n').forEach((line, lineIndex) => {
+        const text = stripBulletMarker(line);
+        if (!text) return;
+        bullets.push({
+          bullet_id: `${section}.${entryIndex}.${lineIndex}`,
+          section,
+          entry: section === 'experience'
+            ? [entry.role, entry.company].filter(Boolean).join(' @ ')
+            : entry.name || null,
+          text
+        });
+      });
+    });
+  }
+
+  return bullets;
+}
+
+/**
+ * Ask the LLM for rewrites of the flagged bullets
+ * @param {Array} bullets - Flagged bullets with their issues
+ * @param {string} candidateName - Name on the resume, redacted from the prompt
+ * @returns {Object} Rewrites keyed by bullet_id; empty when the LLM is unavailable
+ */
+async function rewriteBulletsWithLlm(bullets, candidateName) {
+  if (bullets.length === 0) return {};
+
+  try {
+    const redactor = createRedactor({ knownValues: { name: candidateName ? [candidateName] : [] } });
+    const items = bullets.map(bullet => ({
+      id: bullet.bullet_id,
+      text: redactor.redact(bullet.text),
+      issues: bullet.issues.map(issue => issue.type)
+    }));
+
+    const response = await openai.chat.completions.create({
+      model: 'gpt-3.5-turbo',
+      messages: [
+        {
+          role: 'system',
+          content: `You rewrite resume bullets so they start with a strong action verb, use active voice, drop filler words and show impact.
+Never invent numbers, metrics, tools or facts that are not in the original. Where a metric would help, use a placeholder such as [X%] or [N users] for the candidate to fill in.
+Keep any tokens like [EMAIL_1] exactly as they are.
+Return only JSON of the form {"rewrites": [{"id": "...", "suggestions": ["...", "..."]}]} with one or two suggestions per bullet.`
+        },
+        { role: 'user', content: JSON.stringify(items) }
+      ],
+      temperature: 0.4
+    });
+    console.log('PII redacted from bullet rewrite prompt:', redactor.audit().redacted);
+
+    const content = response.choices[0].message.content || '';
+    const parsed = JSON.parse(content.slice(content.indexOf('{'), content.lastIndexOf('}') + 1));
+    const rewrites = {};
+    for (const rewrite of Array.isArray(parsed?.rewrites) ? parsed.rewrites : []) {
+      if (typeof rewrite?.id !== 'string' || !Array.isArray(rewrite.suggestions)) continue;
+      rewrites[rewrite.id] = rewrite.suggestions
+        .filter(suggestion => typeof suggestion === 'string')
+        .map(suggestion => redactor.restore(suggestion));
+    }
+    return rewrites;
+
+  } catch (error) {
+    console.warn('LLM bullet rewrites unavailable, using rule-based suggestions only:', error.message);
+    return {};
+  }
+}
+
+function parseBulletId(bulletId) {
+  const match = String(bulletId || '').match(/^(experience|projects)\.(\d+)\.(\d+)$/);
+  return match ? { section: match[1], entryIndex: Number(match[2]), lineIndex: Number(match[3]) } : null;
+}
+
+function bulletMarker(line) {
+  return (line.match(/^\s*(?:[-•*▪●◦]\s*)?/) || [''])[0];
+}
+
+function stripBulletMarker(line) {
+  return line.slice(bulletMarker(line).length).trim();
+}
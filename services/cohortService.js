@@ -0,0 +1,183 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { readZipEntries } from '../utils/zipReader.js';
+import { parseCsv, toCsv } from '../utils/csv.js';
+import { mapWithConcurrency } from '../utils/concurrency.js';
+import { validateResume } from '../utils/resumeSchema.js';
+import { processResume } from './resumeService.js';
+import { createUserProfile } from './userProfileService.js';
+
+// Resumes processed at once within one cohort; each one makes several OpenAI calls
+const COHORT_CONCURRENCY = Number(process.env.COHORT_CONCURRENCY) || 3;
+const MAX_COHORT_SIZE = 500;
+
+export const COHORT_REPORT_COLUMNS = [
+  'file_name', 'user_id', 'status', 'name', 'extraction_method', 'version', 'skills_count', 'error'
+];
+
+/**
+ * Onboard a cohort: parse every resume in a zip and create the mapped user's profile
+ * @param {string} zipPath - Path to the zip of resumes
+ * @param {string} mappingPath - Path to the CSV with file_name and user_id columns (optional name and goal)
+ * @param {Object} options - { goal } used for rows without one, { mode } passed to processResume,
+ * and job callbacks { setStage, setProgress }
+ * @returns {Object} { summary, report } with one report row per file: status is success, parse_failed,
+ * validation_failed or profile_failed
+ */
+export async function onboardCohort(zipPath, mappingPath, { goal = null, mode = 'llm', setStage = () => {}, setProgress = () => {} } = {}) {
+  await setStage('validating');
+
+  const entries = readZipEntries(fs.readFileSync(zipPath))
+    // Skip folders and the metadata macOS adds to zips
+    .filter(entry => !entry.isDirectory && !entry.name.startsWith('__MACOSX/') && !path.basename(entry.name).startsWith('.'));
+  const mapping = parseCsv(fs.readFileSync(mappingPath, 'utf8'));
+
+  if (mapping.length === 0) {
+    throw new Error('Mapping CSV has no rows');
+  }
+  if (!('user_id' in mapping[0]) || !('file_name' in mapping[0])) {
+    throw new Error('Mapping CSV must have file_name and user_id columns');
+  }
+  if (mapping.length > MAX_COHORT_SIZE) {
+    throw new Error(`Cohorts are limited to ${MAX_COHORT_SIZE} resumes, the mapping has ${mapping.length}`);
+  }
+
+  const { rows, report } = matchMapping(entries, mapping);
+  console.log(`Onboarding cohort: ${rows.length} resumes to process, ${report.length} rejected during validation`);
+
+  await setStage('processing');
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cohort-'));
+  const progress = { processed: 0, total: rows.length, succeeded: 0, failed: 0 };
+  await setProgress({ ...progress });
+
+  try {
+    const results = await mapWithConcurrency(rows, COHORT_CONCURRENCY, async (row, index) => {
+      const result = await onboardMember(row, tempDir, index, { goal, mode });
+      progress.processed++;
+      progress[result.status === 'success' ? 'succeeded' : 'failed']++;
+      await setProgress({ ...progress });
+      return result;
+    });
+    report.push(...results);
+  } finally {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+
+  const summary = { total: report.length };
+  for (const status of ['success', 'parse_failed', 'validation_failed', 'profile_failed']) {
+    summary[status] = report.filter(row => row.status === status).length;
+  }
+  console.log('Cohort onboarding finished:', summary);
+
+  return { summary, report };
+}
+
+/**
+ * Render a cohort report for download
+ * @param {Array} report - Report rows from onboardCohort
+ * @returns {string} CSV text
+ */
+export function cohortReportToCsv(report) {
+  return toCsv(report, COHORT_REPORT_COLUMNS);
+}
+
+/**
+ * Pair CSV rows with zip entries; anything that cannot be paired is reported as validation_failed
+ * @returns {Object} { rows: [{ entry, fileName, userId, name, goal }], report: rejected report rows }
+ */
+function matchMapping(entries, mapping) {
+  const entriesByName = new Map();
+  for (const entry of entries) {
+    entriesByName.set(path.basename(entry.name).toLowerCase(), entry);
+  }
+
+  const rows = [];
+  const report = [];
+  const seenFiles = new Set();
+  const seenUsers = new Set();
+
+  for (const row of mapping) {
+    const fileName = path.basename(row.file_name || '');
+    const userId = row.user_id || '';
+    const reject = error => report.push(reportRow({ fileName, userId, status: 'validation_failed', error }));
+
+    if (!fileName || !userId) {
+      reject('file_name and user_id are required');
+    } else if (seenFiles.has(fileName.toLowerCase())) {
+      reject('file_name appears more than once in the mapping');
+    } else if (seenUsers.has(userId)) {
+      reject('user_id appears more than once in the mapping');
+    } else if (!entriesByName.has(fileName.toLowerCase())) {
+      reject('file not found in zip');
+    } else if (entriesByName.get(fileName.toLowerCase()).encrypted) {
+      reject('file is encrypted');
+    } else {
+      rows.push({ entry: entriesByName.get(fileName.toLowerCase()), fileName, userId, name: row.name || null, goal: row.goal || null });
+    }
+
+    if (fileName) seenFiles.add(fileName.toLowerCase());
+    if (userId) seenUsers.add(userId);
+  }
+
+  for (const [key, entry] of entriesByName) {
+    if (!seenFiles.has(key)) {
+      report.push(reportRow({ fileName: path.basename(entry.name), userId: null, status: 'validation_failed', error: 'no user_id mapping for file' }));
+    }
+  }
+
+  return { rows, report };
+}
+
+async function onboardMember(row, tempDir, index, { goal, mode }) {
+  const { fileName, userId } = row;
+
+  let processed;
+  const filePath = path.join(tempDir, `${index}-${fileName.replace(/[^\w.-]/g, '_')}`);
+  try {
+    fs.writeFileSync(filePath, row.entry.read());
+    processed = await processResume(filePath, userId, { originalName: fileName, mode });
+  } catch (error) {
+    return reportRow({ fileName, userId, status: 'parse_failed', error: error.message });
+  } finally {
+    fs.rmSync(filePath, { force: true });
+  }
+
+  const { profile } = processed;
+  const name = row.name || profile.name;
+  const validation = validateResume(profile);
+  if (!validation.valid) {
+    return reportRow({ fileName, userId, status: 'validation_failed', error: validation.errors.slice(0, 3).join('; '), processed, name });
+  }
+
+  try {
+    await createUserProfile({
+      user_id: userId,
+      name,
+      technical_skills: profile.technical_skills,
+      inferred_areas_of_strength: profile.inferred_areas_of_strength,
+      goal: row.goal || goal,
+      experience: profile.experience,
+      projects: profile.projects
+    });
+  } catch (error) {
+    return reportRow({ fileName, userId, status: 'profile_failed', error: error.message, processed, name });
+  }
+
+  return reportRow({ fileName, userId, status: 'success', processed, name });
+}
+
+function reportRow({ fileName, userId, status, error = null, processed = null, name = null }) {
+  return {
+    file_name: fileName || null,
+    user_id: userId || null,
+    status,
+    name: name || null,
+    extraction_method: processed?.extraction_method || null,
+    version: processed?.version ?? null,
+    skills_count: processed
+      ? (processed.profile.technical_skills || []).reduce((total, category) => total + category.skills.length, 0)
+      : null,
+    error
+  };
+}
@@ -0,0 +1,196 @@
+import { openai } from '../config/openai.js';
+import { qdrant } from '../config/qdrant.js';
+import { createRedactor } from '../utils/piiRedactor.js';
+import { parseJobDescriptionText, SENIORITY_LEVELS } from '../utils/jobDescriptionParser.js';
+import { matchTaxonomySkill, findTaxonomySkillsInText } from '../utils/skillMatcher.js';
+
+const SKILL_EMBEDDINGS_COLLECTION = 'skill_embeddings';
+// Lowest similarity at which a skill the taxonomy does not name is mapped onto its nearest taxonomy skill
+const EMBEDDING_MATCH_THRESHOLD = 0.5;
+// Preferred skills count for less than required ones when ranking the posting's categories
+const PREFERRED_WEIGHT = 0.5;
+
+/**
+ * Parse a job posting into structured requirements mapped onto the skill taxonomy.
+ * Rules find the title, seniority, years, domain and the skills the taxonomy names; with the LLM enabled
+ * it also lists the posting's skills in its own words, and those the taxonomy does not name are matched
+ * through the skill_embeddings collection.
+ * @param {string} text - Job description text
+ * @param {Object} options - { useLlm } (default: true; falls back to rules when the LLM is unavailable)
+ * @returns {Object} { title, seniority, years_experience, domain, required_skills, preferred_skills,
+ * unmapped_skills, categories, method } where skills are { name, category, matched, match, confidence }
+ * and categories are { category, confidence } ready for analyzeSkillGaps
+ */
+export async function parseJobDescription(text, { useLlm = true } = {}) {
+  if (!text || typeof text !== 'string' || !text.trim()) {
+    throw new Error('Invalid job description. Please provide the job description text.');
+  }
+
+  const rules = parseJobDescriptionText(text);
+  const required = new Map(rules.required_skills.map(skill => [skill.name, { ...skill, match: 'taxonomy', confidence: 1 }]));
+  const preferred = new Map(rules.preferred_skills.map(skill => [skill.name, { ...skill, match: 'taxonomy', confidence: 1 }]));
+  const unmapped = [];
+  let parsed = { ...rules };
+  let method = 'rules';
+
+  const extracted = useLlm ? await extractWithLlm(text) : null;
+  if (extracted) {
+    method = 'rules+llm';
+    // Rules are precise where they match; the LLM fills what they could not find
+    parsed = {
+      ...parsed,
+      title: parsed.title || extracted.title,
+      seniority: parsed.seniority || extracted.seniority,
+      years_experience: parsed.years_experience || extracted.years_experience,
+      domain: parsed.domain || extracted.domain
+    };
+
+    const mapped = await mapSkillsToTaxonomy([...extracted.required_skills, ...extracted.preferred_skills]);
+    for (const [kind, phrases] of [['required', extracted.required_skills], ['preferred', extracted.preferred_skills]]) {
+      for (const phrase of phrases) {
+        const skill = mapped.get(phrase);
+        if (!skill) {
+          unmapped.push({ name: phrase, requirement: kind });
+          continue;
+        }
+        if (required.has(skill.name) || (kind === 'preferred' && preferred.has(skill.name))) continue;
+        if (kind === 'required') preferred.delete(skill.name);
+        (kind === 'required' ? required : preferred).set(skill.name, skill);
+      }
+    }
+  }
+
+  const requiredSkills = [...required.values()];
+  const preferredSkills = [...preferred.values()];
+
+  return {
+    title: parsed.title,
+    seniority: parsed.seniority,
+    years_experience: parsed.years_experience,
+    domain: parsed.domain,
+    required_skills: requiredSkills,
+    preferred_skills: preferredSkills,
+    unmapped_skills: unmapped,
+    categories: rankCategories(requiredSkills, preferredSkills),
+    method
+  };
+}
+
+/**
+ * Ask the LLM for the posting's details and skill list
+ * @param {string} text - Job description text
+ * @returns {Object|null} { title, seniority, years_experience, domain, required_skills, preferred_skills },
+ * or null when the LLM is unavailable or its answer is not usable
+ */
+async function extractWithLlm(text) {
+  try {
+    // Recruiter emails, phone numbers and links play no part in the requirements
+    const redactor = createRedactor();
+    const response = await openai.chat.completions.create({
+      model: 'gpt-3.5-turbo',
+      messages: [
+        {
+          role: 'system',
+          content: `You extract structured requirements from job postings. Return only JSON of the form:
+{"title": string|null, "seniority": ${SENIORITY_LEVELS.map(level => `"${level}"`).join('|')}|null, "years_experience_min": number|null, "years_experience_max": number|null, "domain": string|null, "required_skills": [string], "preferred_skills": [string]}
+List each technical skill, tool or technology as a short name ("Kubernetes", "REST APIs"). Preferred skills are the ones described as nice to have, a plus or a bonus.`
+        },
+        { role: 'user', content: redactor.redact(text) }
+      ],
+      temperature: 0
+    });
+    console.log('PII redacted from job description prompt:', redactor.audit().redacted);
+
+    const content = response.choices[0].message.content || '';
+    const json = JSON.parse(content.slice(content.indexOf('{'), content.lastIndexOf('}') + 1));
+    const min = Number.isFinite(json.years_experience_min) ? json.years_experience_min : null;
+    const max = Number.isFinite(json.years_experience_max) ? json.years_experience_max : null;
+
+    return {
+      title: typeof json.title === 'string' && json.title.trim() ? redactor.restore(json.title.trim()) : null,
+      seniority: SENIORITY_LEVELS.includes(json.seniority) ? json.seniority : null,
+      years_experience: min !== null ? { min, max: max !== null && max >= min ? max : null } : null,
+      domain: typeof json.domain === 'string' && json.domain.trim() ? json.domain.trim().toLowerCase() : null,
+      required_skills: cleanSkillList(json.required_skills),
+      preferred_skills: cleanSkillList(json.preferred_skills)
+    };
+
+  } catch (error) {
+    console.warn('LLM job description extraction unavailable, using rules only:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Map skill phrases onto taxonomy skills: names and aliases first, then the nearest skill embedding
+ * @param {Array} phrases - Skill names as written in the posting
+ * @returns {Map} phrase -> { name, category, matched, match, confidence } for the phrases that could be mapped
+ */
+async function mapSkillsToTaxonomy(phrases) {
+  const mapped = new Map();
+  const unknown = [];
+
+  for (const phrase of new Set(phrases)) {
+    const match = matchTaxonomySkill(phrase) || findTaxonomySkillsInText(phrase)[0];
+    if (match) {
+      mapped.set(phrase, { name: match.name, category: match.category, matched: phrase, match: 'taxonomy', confidence: 1 });
+    } else {
+      unknown.push(phrase);
+    }
+  }
+  if (unknown.length === 0) return mapped;
+
+  try {
+    const embeddingResponse = await openai.embeddings.create({
+      model: 'text-embedding-3-small',
+      input: unknown
+    });
+
+    const results = await Promise.all(embeddingResponse.data.map(({ embedding }) => qdrant.search(SKILL_EMBEDDINGS_COLLECTION, {
+      vector: embedding,
+      limit: 1,
+      score_threshold: EMBEDDING_MATCH_THRESHOLD,
+      with_payload: true
+    })));
+
+    unknown.forEach((phrase, index) => {
+      const best = results[index]?.[0];
+      if (best) {
+        mapped.set(phrase, {
+          name: best.payload.skill,
+          category: best.payload.category,
+          matched: phrase,
+          match: 'embedding',
+          confidence: best.score
+        });
+      }
+    });
+  } catch (error) {
+    console.warn('Skill embedding search unavailable, leaving unknown skills unmapped:', error.message);
+  }
+
+  return mapped;
+}
+
+/**
+ * Taxonomy categories the posting draws on, strongest first, with a 0-1 confidence
+ */
+function rankCategories(requiredSkills, preferredSkills) {
+  const weights = {};
+  for (const skill of requiredSkills) {
+    weights[skill.category] = (weights[skill.category] || 0) + skill.confidence;
+  }
+  for (const skill of preferredSkills) {
+    weights[skill.category] = (weights[skill.category] || 0) + skill.confidence * PREFERRED_WEIGHT;
+  }
+
+  const max = Math.max(0, ...Object.values(weights));
+  return Object.entries(weights)
+    .map(([category, weight]) => ({ category, confidence: Math.round((weight / max) * 100) / 100 }))
+    .sort((a, b) => b.confidence - a.confidence);
+}
+
+function cleanSkillList(values) {
+  if (!Array.isArray(values)) return [];
+  return [...new Set(values.filter(value => typeof value === 'string').map(value => value.trim()).filter(Boolean))];
+}
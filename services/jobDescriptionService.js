@@ -0,0 +1,96 @@
+import { supabase } from '../config/supabase.js';
+
+// Saved job descriptions, one row per posting a user wants to compare their resume against
+const TABLE = 'job_descriptions';
+const SUMMARY_COLUMNS = 'id, title, company, created_at';
+
+// Longest job description we accept, in characters
+export const MAX_JOB_DESCRIPTION_LENGTH = 20000;
+
+/**
+ * Save a job description for later comparisons
+ * @param {string} userId - User ID
+ * @param {Object} jobDescription - { title, company, description }
+ * @returns {Object} Saved job description
+ */
+export async function saveJobDescription(userId, { title = null, company = null, description }) {
+  const { data, error } = await supabase
+    .from(TABLE)
+    .insert({
+      userid: userId,
+      title: title || deriveTitle(description),
+      company,
+      description
+    })
+    .select(`${SUMMARY_COLUMNS}, description`)
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to save job description: ${error.message}`);
+  }
+  return data;
+}
+
+/**
+ * List a user's saved job descriptions, newest first
+ * @param {string} userId - User ID
+ * @returns {Array} Job descriptions without their text
+ */
+export async function listJobDescriptions(userId) {
+  const { data, error } = await supabase
+    .from(TABLE)
+    .select(SUMMARY_COLUMNS)
+    .eq('userid', userId)
+    .order('created_at', { ascending: false });
+
+  if (error) {
+    throw new Error(`Failed to list job descriptions: ${error.message}`);
+  }
+  return data || [];
+}
+
+/**
+ * Fetch one of the user's saved job descriptions
+ * @param {string} userId - User ID
+ * @param {string} id - Job description ID
+ * @returns {Object|null} Job description with its text, or null if it does not exist
+ */
+export async function getJobDescription(userId, id) {
+  const { data, error } = await supabase
+    .from(TABLE)
+    .select(`${SUMMARY_COLUMNS}, description`)
+    .eq('userid', userId)
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to fetch job description: ${error.message}`);
+  }
+  return data;
+}
+
+/**
+ * Delete one of the user's saved job descriptions
+ * @param {string} userId - User ID
+ * @param {string} id - Job description ID
+ * @returns {boolean} Whether a job description was deleted
+ */
+export async function deleteJobDescription(userId, id) {
+  const { data, error } = await supabase
+    .from(TABLE)
+    .delete()
+    .eq('userid', userId)
+    .eq('id', id)
+    .select('id');
+
+  if (error) {
+    throw new Error(`Failed to delete job description: ${error.message}`);
+  }
+  return (data || []).length > 0;
+}
+
+// First non-empty line of the posting, which is usually the job title
+function deriveTitle(description) {
+  const firstLine = String(description || '').split('\n').map(line => line.trim()).find(Boolean) || 'Untitled job description';
+  return firstLine.length > 100 ? `${firstLine.slice(0, 97)}...` : firstLine;
+}
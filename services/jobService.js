@@ -0,0 +1,73 @@
+import fs from 'fs';
+import { createJobQueue, createMemoryJobStore } from '../utils/jobQueue.js';
+import { processResume } from './resumeService.js';
+import { onboardCohort } from './cohortService.js';
+
+// Resume jobs hold an OpenAI conversation each, so only a few run at once
+const JOB_CONCURRENCY = Number(process.env.JOB_CONCURRENCY) || 2;
+
+export const jobQueue = createJobQueue({
+  store: createMemoryJobStore(),
+  concurrency: JOB_CONCURRENCY
+});
+
+/**
+ * Queue an uploaded resume for processing; the uploaded file is removed once the job finishes
+ * @param {string} filePath - Path to the uploaded resume
+ * @param {string} userId - User ID from authentication
+ * @param {Object} options - Passed through to processResume ({ originalName, mode })
+ * @returns {Object} The queued job
+ */
+export async function enqueueResumeJob(filePath, userId, options = {}) {
+  return jobQueue.enqueue('resume', async ({ setStage }) => {
+    try {
+      return await processResume(filePath, userId, { ...options, onStage: setStage });
+    } finally {
+      if (fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath);
+      }
+    }
+  }, { userId });
+}
+
+/**
+ * Queue a cohort onboarding; the uploaded zip and mapping are removed once the job finishes
+ * @param {string} zipPath - Path to the uploaded zip of resumes
+ * @param {string} mappingPath - Path to the uploaded mapping CSV
+ * @param {string} adminId - ID of the admin who started the onboarding
+ * @param {Object} options - Passed through to onboardCohort ({ goal, mode })
+ * @returns {Object} The queued job
+ */
+export async function enqueueCohortJob(zipPath, mappingPath, adminId, options = {}) {
+  return jobQueue.enqueue('cohort', async ({ setStage, setProgress }) => {
+    try {
+      return await onboardCohort(zipPath, mappingPath, { ...options, setStage, setProgress });
+    } finally {
+      for (const filePath of [zipPath, mappingPath]) {
+        if (fs.existsSync(filePath)) {
+          fs.unlinkSync(filePath);
+        }
+      }
+    }
+  }, { userId: adminId });
+}
+
+/**
+ * Fetch a job if it belongs to the user
+ * @param {string} jobId - Job ID
+ * @param {string} userId - User ID from authentication
+ * @returns {Object|null} Job, or null if it does not exist or belongs to someone else
+ */
+export async function getJobForUser(jobId, userId) {
+  const job = await jobQueue.get(jobId);
+  return job && job.user_id === userId ? job : null;
+}
+
+/**
+ * Whether a job has reached a final stage
+ * @param {Object} job - Job
+ * @returns {boolean} True when done or failed
+ */
+export function isJobFinished(job) {
+  return job.status === 'done' || job.status === 'failed';
+}
@@ -0,0 +1,55 @@
+import { toJsonResume, fromJsonResume } from '../utils/jsonResume.js';
+import { validateResume } from '../utils/resumeSchema.js';
+import { getActiveResume, getResumeVersion, saveResumeVersion } from './resumeVersionService.js';
+
+// Top-level sections of a JSON Resume document; an import needs at least one of them
+const JSON_RESUME_SECTIONS = ['basics', 'work', 'education', 'projects', 'skills'];
+
+/**
+ * Store a JSON Resume document as the user's parsed resume, skipping document parsing
+ * @param {string} userId - User ID
+ * @param {Object} document - JSON Resume document
+ * @returns {Object} { profile, version } on success, or { errors } when the document cannot be used
+ */
+export async function importJsonResume(userId, document) {
+  if (!document || typeof document !== 'object' || Array.isArray(document)) {
+    return { errors: ['$: expected a JSON Resume object'] };
+  }
+  if (!JSON_RESUME_SECTIONS.some(section => document[section] !== undefined)) {
+    return { errors: [`$: expected at least one of ${JSON_RESUME_SECTIONS.join(', ')}`] };
+  }
+
+  const profile = fromJsonResume(document);
+  const validation = validateResume(profile);
+  if (!validation.valid) {
+    return { errors: validation.errors };
+  }
+
+  const version = await saveResumeVersion(userId, profile, {
+    format: 'json_resume',
+    extractionMethod: 'json_resume'
+  });
+  console.log(`Imported JSON Resume as version ${version.version} for user: ${userId}`);
+
+  return { profile, version };
+}
+
+/**
+ * Export the user's active resume, or one of its versions, as a JSON Resume document
+ * @param {string} userId - User ID
+ * @param {Object} options - { version } number to export instead of the active version
+ * @returns {Object|null} JSON Resume document, or null if there is no such resume
+ */
+export async function exportJsonResume(userId, { version = null } = {}) {
+  if (version) {
+    const stored = await getResumeVersion(userId, version);
+    if (!stored?.resume) return null;
+    return {
+      ...toJsonResume(stored.resume),
+      meta: { version: String(stored.version), lastModified: stored.created_at }
+    };
+  }
+
+  const active = await getActiveResume(userId);
+  return active ? toJsonResume(active.resume) : null;
+}
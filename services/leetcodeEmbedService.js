@@ -95,6 +95,26 @@ export async function createOrUpdateLeetCodeEmbedding(userId, leetcodeData) {
   }
 }
 
+/**
+ * Read a user's stored LeetCode stats
+ * @param {string} userId - User ID
+ * @returns {Object|null} Payload of the user's point, or null if they have not linked LeetCode
+ */
+export async function getStoredLeetCodeProfile(userId) {
+  const collections = await qdrant.getCollections();
+  if (!collections.collections.some(collection => collection.name === COLLECTION_NAME)) return null;
+
+  const { points } = await qdrant.scroll(COLLECTION_NAME, {
+    filter: {
+      must: [{ key: "user_id", match: { value: userId } }]
+    },
+    limit: 1,
+    with_payload: true,
+    with_vector: false
+  });
+  return points?.[0]?.payload || null;
+}
+
 /**
  * Find users with similar LeetCode skills
  * @param {string} userId - User ID to find similar users for
@@ -0,0 +1,174 @@
+import fs from 'fs';
+import path from 'path';
+import { readZipEntries } from '../utils/zipReader.js';
+import { parseCsv } from '../utils/csv.js';
+import { normalizeResume, validateResume } from '../utils/resumeSchema.js';
+import { findTaxonomySkillsInText, matchTaxonomySkill } from '../utils/skillMatcher.js';
+import { inferStrengths } from './ruleExtractionService.js';
+import { saveResumeVersion } from './resumeVersionService.js';
+
+// CSVs of a LinkedIn data export that we read, keyed by the column that identifies the header row
+const LINKEDIN_FILES = {
+  profile: { file: 'profile.csv', header: 'first name' },
+  positions: { file: 'positions.csv', header: 'company name' },
+  education: { file: 'education.csv', header: 'school name' },
+  skills: { file: 'skills.csv', header: 'name' },
+  projects: { file: 'projects.csv', header: 'title' },
+  certifications: { file: 'certifications.csv', header: 'name' },
+  emails: { file: 'email addresses.csv', header: 'email address' },
+  phones: { file: 'phonenumbers.csv', header: 'number' }
+};
+// Without at least one of these the archive has nothing to build a resume from
+const RESUME_FILES = ['positions', 'education', 'skills', 'projects'];
+
+const URL_REGEX = /https?:\/\/[^\s,\]]+/g;
+
+/**
+ * Import a LinkedIn data export archive as the user's parsed resume, without calling an LLM
+ * @param {string} zipPath - Path to the uploaded archive
+ * @param {string} userId - User ID
+ * @param {Object} options - { originalName } of the upload
+ * @returns {Object} { profile, extraction_method, version, document } like processResume
+ */
+export async function importLinkedInExport(zipPath, userId, { originalName = '' } = {}) {
+  const { resume, files } = convertLinkedInExport(fs.readFileSync(zipPath));
+
+  const validation = validateResume(resume);
+  if (!validation.valid) {
+    console.warn('LinkedIn export does not fully match the resume schema:', validation.errors);
+  }
+
+  const version = await saveResumeVersion(userId, resume, {
+    fileName: originalName || null,
+    format: 'linkedin_export',
+    extractionMethod: 'linkedin_export'
+  });
+  console.log(`Imported LinkedIn export (${files.join(', ')}) as version ${version.version} for user: ${userId}`);
+
+  return {
+    profile: resume,
+    extraction_method: 'linkedin_export',
+    version: version.version,
+    document: {
+      format: 'linkedin_export',
+      method: 'csv',
+      files
+    }
+  };
+}
+
+/**
+ * Convert the CSVs of a LinkedIn data export into the parsed resume structure
+ * @param {Buffer} buffer - Zip archive contents
+ * @returns {Object} { resume, files } with the CSV files that were used
+ */
+export function convertLinkedInExport(buffer) {
+  const tables = readLinkedInTables(buffer);
+  const found = Object.keys(tables);
+  if (!RESUME_FILES.some(name => tables[name])) {
+    throw new Error('Not a LinkedIn data export: none of Positions.csv, Education.csv, Skills.csv or Projects.csv was found');
+  }
+
+  const profile = tables.profile?.[0] || {};
+  const technicalSkills = groupSkills(tables.skills || []);
+  const primaryEmail = (tables.emails || []).find(row => /^yes$/i.test(row.primary)) || tables.emails?.[0];
+
+  const resume = normalizeResume({
+    name: [profile['first name'], profile['last name']].filter(Boolean).join(' ') || null,
+    contact: {
+      email: primaryEmail?.['email address'] || null,
+      phone: tables.phones?.[0]?.number || null,
+      location: profile['geo location'] || null,
+      links: String(profile.websites || '').match(URL_REGEX) || []
+    },
+    summary: profile.summary || profile.headline || null,
+    education: (tables.education || []).map(row => ({
+      institution: row['school name'] || null,
+      degree: row['degree name'] || null,
+      grade: null,
+      duration: duration(row['start date'], row['end date'])
+    })),
+    experience: (tables.positions || []).map(row => ({
+      company: row['company name'] || null,
+      role: row.title || null,
+      duration: duration(row['started on'], row['finished on']),
+      description: row.description || null,
+      technologies: mentionedTechnologies(row.description)
+    })),
+    projects: (tables.projects || []).filter(row => row.title).map(row => ({
+      name: row.title,
+      type: null,
+      duration: duration(row['started on'], row['finished on']),
+      description: row.description || null,
+      technologies: mentionedTechnologies(row.description)
+    })),
+    technical_skills: technicalSkills,
+    certifications: (tables.certifications || []).filter(row => row.name).map(row => ({
+      name: row.name,
+      issuer: row.authority || null,
+      date: row['started on'] || null
+    })),
+    awards: [],
+    inferred_areas_of_strength: inferStrengths(technicalSkills),
+    possible_gaps: []
+  });
+
+  return { resume, files: found.map(name => LINKEDIN_FILES[name].file) };
+}
+
+/**
+ * Parse the known CSVs of the archive, wherever they sit inside it
+ */
+function readLinkedInTables(buffer) {
+  const entries = readZipEntries(buffer).filter(entry => !entry.isDirectory && !entry.name.startsWith('__MACOSX/'));
+  const tables = {};
+
+  for (const [name, { file, header }] of Object.entries(LINKEDIN_FILES)) {
+    const entry = entries.find(candidate => path.basename(candidate.name).toLowerCase() === file);
+    if (!entry) continue;
+
+    // Some export files start with a "Notes:" preamble before the header row
+    const lines = entry.read().toString('utf8').replace(/^\uFEFF/, '').split(/\r?\n/);
+    const headerIndex = lines.findIndex(line => line.toLowerCase().split(',').map(cell => cell.replace(/"/g, '').trim()).includes(header));
+    if (headerIndex === -1) continue;
+
+    tables[name] = parseCsv(lines.slice(headerIndex).join('\n'));
+  }
+
+  return tables;
+}
+
+// Group skills by taxonomy category the way the rule-based extractor does. The taxonomy only picks the
+// category; each skill keeps the name the user wrote, since several names can match one taxonomy entry.
+function groupSkills(rows) {
+  const categories = new Map();
+  const seen = new Set();
+  for (const row of rows) {
+    const skill = (row.name || '').trim();
+    if (!skill || seen.has(skill.toLowerCase())) continue;
+    seen.add(skill.toLowerCase());
+    const match = matchTaxonomySkill(skill) || findTaxonomySkillsInText(skill)[0];
+    const category = match ? match.category : 'Other';
+    if (!categories.has(category)) categories.set(category, []);
+    categories.get(category).push(skill);
+  }
+
+  return [...categories.entries()].map(([category, skills]) => ({
+    category,
+    skills: skills.map(name => ({ name, level: null }))
+  }));
+}
+
+function mentionedTechnologies(description) {
+  const technologies = new Map();
+  for (const match of findTaxonomySkillsInText(description || '')) {
+    technologies.set(match.matched.toLowerCase(), match.matched);
+  }
+  return [...technologies.values()];
+}
+
+// LinkedIn dates are "Jan 2020" or "2020"; an empty end means the entry is ongoing
+function duration(start, end) {
+  if (!start) return null;
+  return `${start} - ${end || 'Present'}`;
+}
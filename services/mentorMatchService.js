@@ -0,0 +1,219 @@
+import { qdrant } from '../config/qdrant.js';
+import { supabase } from '../config/supabase.js';
+import { analyzeSkillGaps, findUserSkill } from './skillGapService.js';
+import { getUserProfilePoint } from './userProfileService.js';
+import { matchTaxonomySkill } from '../utils/skillMatcher.js';
+
+const USER_PROFILES_COLLECTION = 'user_profiles';
+const PREFERENCES_TABLE = 'mentor_preferences';
+const PAGE_SIZE = 256;
+
+// Levels at which someone can help with a skill, and how much that counts
+const TEACHING_LEVELS = { advanced: 1, intermediate: 0.75 };
+// A missing skill matters more than one the caller already has at beginner level
+const GAP_WEIGHTS = { gap: 1, needs_improvement: 0.5 };
+// What the caller can offer in return counts for less than what they came for
+const MUTUAL_WEIGHT = 0.5;
+
+/**
+ * Find other users who can help with the caller's skill gaps, ranked by how much they can help and
+ * whether the caller can help them back
+ * @param {string} userId - User ID of the caller
+ * @param {Object} options - { limit }, { mutualOnly } to keep only two-way matches
+ * @returns {Object|null} { gaps, offers, matches }, or null if the caller has no profile
+ */
+export async function findMentorMatches(userId, { limit = 10, mutualOnly = false } = {}) {
+  const [analysis, profile] = await Promise.all([
+    analyzeSkillGaps(userId, { summarize: false }),
+    getUserProfilePoint(userId)
+  ]);
+  if (!analysis || !profile) return null;
+
+  const wanted = wantedSkills(analysis.analysis);
+  const offers = offeredSkills(profile.payload.skills_list_with_level || {});
+  console.log(`Matching mentors for ${userId}: ${wanted.length} wanted skills, ${offers.length} offered skills`);
+
+  const matches = [];
+  if (wanted.length > 0) {
+    const optedOut = await getOptedOutUserIds();
+    for (const candidate of await readCandidateProfiles()) {
+      if (candidate.user_id === userId || optedOut.has(candidate.user_id)) continue;
+
+      const match = scoreCandidate(candidate, wanted, offers);
+      if (match && (!mutualOnly || match.mutual)) {
+        matches.push(match);
+      }
+    }
+  }
+
+  matches.sort((a, b) => b.score - a.score);
+
+  return {
+    gaps: wanted.map(({ name, category, kind }) => ({ name, category, kind })),
+    offers: offers.map(({ name, level }) => ({ name, level })),
+    matches: matches.slice(0, limit).map((match, index) => ({ rank: index + 1, ...match }))
+  };
+}
+
+/**
+ * Read a user's mentor matching preferences
+ * @param {string} userId - User ID
+ * @returns {Object} { opted_out, updated_at }
+ */
+export async function getMentorPreferences(userId) {
+  const { data, error } = await supabase
+    .from(PREFERENCES_TABLE)
+    .select('opted_out, updated_at')
+    .eq('userid', userId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to read mentor preferences: ${error.message}`);
+  }
+  return { opted_out: data?.opted_out === true, updated_at: data?.updated_at || null };
+}
+
+/**
+ * Opt a user out of (or back into) being suggested as a match to others
+ * @param {string} userId - User ID
+ * @param {boolean} optedOut - Whether to hide the user from other users' matches
+ * @returns {Object} The stored preferences
+ */
+export async function setMentorOptOut(userId, optedOut) {
+  const { data, error } = await supabase
+    .from(PREFERENCES_TABLE)
+    .upsert(
+      { userid: userId, opted_out: optedOut, updated_at: new Date().toISOString() },
+      { onConflict: ['userid'] }
+    )
+    .select('opted_out, updated_at')
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to store mentor preferences: ${error.message}`);
+  }
+  console.log(`User ${userId} ${optedOut ? 'opted out of' : 'opted into'} mentor matching`);
+  return data;
+}
+
+/**
+ * Skills the caller is missing or only knows at beginner level, from their gap analysis
+ */
+function wantedSkills(categories) {
+  const wanted = new Map();
+  for (const category of categories || []) {
+    const entries = [
+      ...category.skills.gaps.map(skill => ({ ...skill, kind: 'gap' })),
+      ...category.skills.needs_improvement.map(skill => ({ ...skill, kind: 'needs_improvement' }))
+    ];
+    for (const skill of entries) {
+      if (wanted.has(skill.name)) continue;
+      wanted.set(skill.name, {
+        name: skill.name,
+        category: category.matched_taxonomy_category,
+        kind: skill.kind,
+        your_level: skill.user_level || null,
+        weight: GAP_WEIGHTS[skill.kind] * (skill.priority === 'medium' ? 0.5 : 1)
+      });
+    }
+  }
+  return [...wanted.values()];
+}
+
+/**
+ * Skills the caller could teach in return
+ */
+function offeredSkills(skillsWithLevel) {
+  return Object.entries(skillsWithLevel)
+    .filter(([, level]) => TEACHING_LEVELS[level])
+    .map(([name, level]) => ({ name, level, weight: TEACHING_LEVELS[level] }));
+}
+
+function scoreCandidate(candidate, wanted, offers) {
+  const skills = candidate.skills_list_with_level || {};
+
+  const teaches = [];
+  for (const skill of wanted) {
+    const found = findSkill(skill.name, skills);
+    if (found && TEACHING_LEVELS[found.level]) {
+      teaches.push({
+        skill: skill.name,
+        category: skill.category,
+        their_level: found.level,
+        your_level: skill.your_level,
+        score: skill.weight * TEACHING_LEVELS[found.level]
+      });
+    }
+  }
+  if (teaches.length === 0) return null;
+
+  const learns = [];
+  for (const offer of offers) {
+    const found = findSkill(offer.name, skills);
+    if (!found || found.level === 'beginner') {
+      learns.push({ skill: offer.name, your_level: offer.level, their_level: found?.level || null, score: offer.weight });
+    }
+  }
+
+  const teachScore = teaches.reduce((total, item) => total + item.score, 0);
+  const learnScore = learns.reduce((total, item) => total + item.score, 0);
+
+  return {
+    user_id: candidate.user_id,
+    user_name: candidate.user_name || 'User',
+    score: Math.round((teachScore + MUTUAL_WEIGHT * learnScore) * 100) / 100,
+    mutual: learns.length > 0,
+    teaches: teaches.sort((a, b) => b.score - a.score).map(({ score, ...item }) => item),
+    learns: learns.sort((a, b) => b.score - a.score).map(({ score, ...item }) => item),
+    explanation: explainMatch(candidate.user_name || 'They', teaches, learns)
+  };
+}
+
+// Compare taxonomy names first, so aliases such as "reactjs" and "React" count as the same skill
+function findSkill(skillName, skills) {
+  const canonical = matchTaxonomySkill(skillName)?.name;
+  if (canonical) {
+    for (const [name, level] of Object.entries(skills)) {
+      if (matchTaxonomySkill(name)?.name === canonical) return { name, level };
+    }
+  }
+  return findUserSkill(skillName, skills);
+}
+
+function explainMatch(name, teaches, learns) {
+  const parts = [`${name} can help you with ${teaches.map(item => `${item.skill} (${item.their_level})`).join(', ')}`];
+  if (learns.length > 0) {
+    parts.push(`you can help them with ${learns.map(item => item.skill).join(', ')}`);
+  }
+  return `${parts.join('; ')}.`;
+}
+
+async function getOptedOutUserIds() {
+  const { data, error } = await supabase
+    .from(PREFERENCES_TABLE)
+    .select('userid')
+    .eq('opted_out', true);
+
+  if (error) {
+    throw new Error(`Failed to read mentor preferences: ${error.message}`);
+  }
+  return new Set((data || []).map(row => row.userid));
+}
+
+// Skill names in skills_list_with_level are free text, so candidates are compared in code rather than
+// with a Qdrant payload filter
+async function readCandidateProfiles() {
+  const candidates = [];
+  let offset = undefined;
+  do {
+    const page = await qdrant.scroll(USER_PROFILES_COLLECTION, {
+      limit: PAGE_SIZE,
+      offset,
+      with_payload: ['user_id', 'user_name', 'skills_list_with_level'],
+      with_vector: false
+    });
+    candidates.push(...page.points.map(point => point.payload));
+    offset = page.next_page_offset ?? undefined;
+  } while (offset !== undefined);
+  return candidates;
+}
@@ -0,0 +1,85 @@
+import { openai } from '../config/openai.js';
+import { qdrant } from '../config/qdrant.js';
+import { PROFILE_VECTORS } from '../utils/profileVectors.js';
+
+const USER_PROFILES_COLLECTION = 'user_profiles';
+// Each vector is searched for more candidates than requested, since a profile that ranks low on one
+// vector can still come out on top once the weighted scores are combined
+const CANDIDATE_MULTIPLIER = 3;
+
+/**
+ * Search user profiles by query, against the chosen section vectors
+ * @param {string} query - Search query
+ * @param {Object} options - { weights } per vector name (default: every vector, equal weights), { limit },
+ * { filter } Qdrant payload filter and { excludeUserIds } to leave out
+ * @returns {Array} Profiles ranked by the weighted mean of their per-vector scores
+ */
+export async function searchProfiles(query, { weights = null, limit = 10, filter = null, excludeUserIds = [] } = {}) {
+  try {
+    const vectorWeights = weights || Object.fromEntries(PROFILE_VECTORS.map(name => [name, 1]));
+    const names = Object.keys(vectorWeights);
+    console.log(`Searching profiles for "${query}" on vectors: ${names.join(', ')}`);
+
+    const embeddingResponse = await openai.embeddings.create({
+      model: "text-embedding-3-small",
+      input: query
+    });
+
+    return await searchProfilesByVector(embeddingResponse.data[0].embedding, { weights: vectorWeights, limit, filter, excludeUserIds });
+
+  } catch (error) {
+    console.error('Error in profile search:', error);
+    throw new Error(`Failed to search profiles: ${error.message}`);
+  }
+}
+
+/**
+ * Search user profiles with an embedding already in hand
+ * @param {Array} embedding - Query embedding
+ * @param {Object} options - Same as searchProfiles, with { weights } required
+ * @returns {Array} Ranked profiles
+ */
+export async function searchProfilesByVector(embedding, { weights, limit = 10, filter = null, excludeUserIds = [] }) {
+  const names = Object.keys(weights);
+  const mustNot = excludeUserIds.map(userId => ({ key: "user_id", match: { value: userId } }));
+  const searchFilter = mustNot.length > 0
+    ? { ...(filter || {}), must_not: [...(filter?.must_not || []), ...mustNot] }
+    : filter;
+
+  const resultsPerVector = await Promise.all(names.map(name => qdrant.search(USER_PROFILES_COLLECTION, {
+    vector: { name, vector: embedding },
+    filter: searchFilter || undefined,
+    limit: limit * CANDIDATE_MULTIPLIER,
+    with_payload: true
+  })));
+
+  const totalWeight = names.reduce((total, name) => total + weights[name], 0);
+  const profiles = new Map();
+  names.forEach((name, index) => {
+    for (const result of resultsPerVector[index]) {
+      if (!profiles.has(result.id)) {
+        profiles.set(result.id, { payload: result.payload, vector_scores: {} });
+      }
+      profiles.get(result.id).vector_scores[name] = result.score;
+    }
+  });
+
+  // A vector the profile did not rank on (or does not have) counts as 0
+  return [...profiles.values()]
+    .map(({ payload, vector_scores }) => ({
+      user_id: payload.user_id,
+      user_name: payload.user_name,
+      score: names.reduce((total, name) => total + weights[name] * (vector_scores[name] || 0), 0) / totalWeight,
+      vector_scores,
+      payload
+    }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ payload, ...result }, index) => ({
+      rank: index + 1,
+      ...result,
+      skills_count: payload.skills_count || 0,
+      projects_count: payload.projects_count || 0,
+      experience_count: payload.experience_count || 0
+    }));
+}
@@ -0,0 +1,68 @@
+import { renderResumePdf, DEFAULT_RESUME_TEMPLATE } from '../utils/resumePdf.js';
+import { tailorResume } from '../utils/resumeTailoring.js';
+import { getActiveResume, listResumeVersions, saveResumeVersion } from './resumeVersionService.js';
+import { getJobDescription } from './jobDescriptionService.js';
+
+/**
+ * Render the user's active resume to PDF, optionally tailored to a goal or job description, and keep
+ * the rendered content as a new resume version. The new version is not activated: tailoring drops the
+ * least relevant bullets, and the next tailored PDF should start from the full resume again. Content that
+ * matches the active version is not stored again; the active version is returned instead.
+ * @param {string} userId - User ID
+ * @param {Object} options - { template, target } where target is { jobDescriptionId }, { text } or
+ * { useGoal: true } for the stored goal; without a target the resume is rendered as stored
+ * @returns {Object|null} { pdf, file_name, version, tailoring }, { error } when the stored goal is asked for
+ * but none is set, or null if the user has no parsed resume or the job description does not exist
+ */
+export async function generateResumePdf(userId, { template = DEFAULT_RESUME_TEMPLATE, target = {} } = {}) {
+  const active = await getActiveResume(userId);
+  if (!active) return null;
+
+  let targetText = null;
+  let targetLabel = null;
+  if (target.jobDescriptionId) {
+    const jobDescription = await getJobDescription(userId, target.jobDescriptionId);
+    if (!jobDescription) return null;
+    targetText = jobDescription.description;
+    targetLabel = jobDescription.title;
+  } else if (target.text) {
+    targetText = target.text;
+    targetLabel = 'custom target';
+  } else if (target.useGoal) {
+    if (!active.current_goal) return { error: 'No goal is stored for this user; set one or pass a target' };
+    targetText = active.current_goal;
+    targetLabel = 'goal';
+  }
+
+  const tailored = targetText ? tailorResume(active.resume, targetText) : null;
+  const resume = tailored ? tailored.resume : active.resume;
+  const pdf = await renderResumePdf(resume, { template });
+  const fileName = `${fileSlug(resume.name || 'resume')}-${template}.pdf`;
+
+  let version = null;
+  if (active.active_version_id && JSON.stringify(resume) === JSON.stringify(active.resume)) {
+    version = (await listResumeVersions(userId)).find(existing => existing.id === active.active_version_id) || null;
+  }
+  if (!version) {
+    version = await saveResumeVersion(userId, resume, {
+      fileName,
+      format: 'pdf',
+      extractionMethod: tailored ? 'generated_tailored' : 'generated',
+      activate: false
+    });
+  }
+  console.log(`Generated ${template} resume PDF for user: ${userId}${targetLabel ? ` (tailored to ${targetLabel})` : ''}`);
+
+  return {
+    pdf,
+    file_name: fileName,
+    version,
+    tailoring: tailored
+      ? { target: targetLabel, keywords: tailored.keywords, dropped: tailored.dropped }
+      : null
+  };
+}
+
+function fileSlug(value) {
+  return String(value).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'resume';
+}
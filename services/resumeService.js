@@ -1,62 +1,133 @@
 import { openai } from '../config/openai.js';
-import { parseResume } from '../utils/pdfParser.js';
+import { parseDocument } from '../utils/documentParser.js';
+import { MIN_TEXT_QUALITY } from '../utils/textQuality.js';
+import { segmentResume, getSectionText } from '../utils/resumeSegmenter.js';
+import { normalizeResume, validateResume } from '../utils/resumeSchema.js';
+import { createRedactor } from '../utils/piiRedactor.js';
+import { extractResumeWithRules, findCandidateName } from './ruleExtractionService.js';
 import { skill_taxonomy } from '../taxonomy/skill_taxonomy.js';
-import { supabase } from '../config/supabase.js';
+import { saveResumeVersion } from './resumeVersionService.js';
 import fs from 'fs';
 
 /**
  * Process uploaded resume file and extract structured profile data
- * @param {string} filePath - Path to the uploaded PDF file
+ * @param {string} filePath - Path to the uploaded resume (PDF, DOCX, ODT, RTF, Markdown or text)
  * @param {string} userId - User ID from authentication
- * @returns {Object} Structured profile data
+ * @param {Object} options - { originalName } of the uploaded file, used as a format hint, and
+ * { mode } 'llm' (default, falls back to rules when OpenAI fails) or 'offline' (rules only), and
+ * { onStage } called with 'parsing', 'structuring' and 'storing' as processing moves on
+ * @returns {Object} { profile, document, extraction_method, version, redaction } - structured profile data, how
+ * its text was extracted, whether it was structured by the LLM ('llm') or the rule-based extractor ('rules'), the
+ * resume version number it was stored as (null when not stored) and which PII categories were redacted from prompts
  */
-export async function processResume(filePath, userId = null) {
+export async function processResume(filePath, userId = null, { originalName = '', mode = 'llm', onStage = () => {} } = {}) {
   try {
-    // Extract text from PDF
-    const resumeText = await parseResume(filePath);
+    // Detect the format and extract text
+    await onStage('parsing');
+    const extraction = await parseDocument(filePath, { originalName });
+    const resumeText = extraction.text;
     
     if (!resumeText) {
-      throw new Error('Failed to extract text from PDF');
+      throw new Error(`Failed to extract text from ${extraction.format} document`);
     }
 
-    // Use OpenAI to structure the resume data with retry logic
-    let response;
-    let attempts = 0;
-    const maxAttempts = 3;
+    // Refuse to send unreadable text (e.g. glyph-id garbage) to OpenAI
+    if (extraction.quality.score < MIN_TEXT_QUALITY) {
+      throw new Error(`Extracted text quality too low (${extraction.quality.score} via ${extraction.method}), the ${extraction.format} document may be scanned or image-based`);
+    }
+    console.log(`Extracted resume text via ${extraction.method} (quality ${extraction.quality.score})`);
+
+    const sections = segmentResume(resumeText);
+    console.log(`Detected resume sections: ${sections.map(section => section.label).join(', ') || 'none'}`);
+
+    // The candidate's name, emails, phone numbers, addresses and links are swapped for tokens in every prompt
+    const candidateName = findCandidateName(resumeText, sections);
+    const redactor = createRedactor({ knownValues: { name: candidateName ? [candidateName] : [] } });
+
+    await onStage('structuring');
+    let structured;
+    let extractionMethod = 'llm';
+    if (mode === 'offline') {
+      console.log('Offline mode requested, using rule-based extractor');
+      structured = extractResumeWithRules(resumeText, sections);
+      extractionMethod = 'rules';
+    } else {
+      try {
+        // Structure the resume section by section with focused prompts
+        structured = await structureResume(resumeText, sections, redactor);
+      } catch (llmError) {
+        console.warn('LLM structuring failed, falling back to rule-based extractor:', llmError.message);
+        structured = extractResumeWithRules(resumeText, sections);
+        extractionMethod = 'rules';
+      }
+    }
+
+    // The rule-based extractor skips the per-prompt checks, and merged sections can still disagree
+    structured = normalizeResume(structured);
+    const validation = validateResume(structured);
+    if (!validation.valid) {
+      console.warn(`Structured resume (${extractionMethod}) does not fully match the schema:`, validation.errors);
+    }
+
+    const parsed = {
+      ...structured,
+      sections: sections.map(({ label, heading, start, end }) => ({ label, heading, start, end })),
+      source_map: buildSourceMap(resumeText, sections, structured)
+    };
     
-    while (attempts < maxAttempts) {
+    // Store the parse as a new resume version in Supabase if userId is provided
+    let version = null;
+    if (userId && parsed) {
+      await onStage('storing');
       try {
-        console.log(`Attempting OpenAI request (attempt ${attempts + 1}/${maxAttempts})`);
-        response = await openai.chat.completions.create({
-          model: 'gpt-3.5-turbo',
-          messages: [
-            {
-              role: 'system',
-              content: 'You are an AI assistant that converts resume text into structured user profiles for a peer-learning platform.'
-            },
-            {
-              role: 'user',
-              content: `Here is the resume text:\n\n${resumeText}\n\nExtract the following fields in JSON format:
-              - name
-              - education (list of degrees, institutions, years)
-              - experience (companies, roles, technologies, durations)
-              - projects (name, description, technologies)
-              - technical_skills (list of skills categorized by taxonomy)
-              - inferred_areas_of_strength (based on their work/projects)
-              - possible_gaps (only if there's something obvious)
-              Return only valid JSON.
+        console.log("storing resume version in database");
+        version = await saveResumeVersion(userId, parsed, {
+          fileName: originalName || null,
+          format: extraction.format,
+          extractionMethod
+        });
+      } catch (dbError) {
+        console.error('Database operation failed:', dbError);
+        // Continue processing even if DB storage fails - we still want to return the parsed data
+      }
+    }else{
+      console.log("didnt find user ID");
+    }
 
-              Note for technical_skills:
-              - They should be mapped to this taxonomy: ${JSON.stringify(skill_taxonomy)}
-              - If a skill is not in the taxonomy, include it as "other" with the skill name.
-              - If a skill is mentioned but not in the taxonomy, infer its category based on context.
-              - If a skill is not mentioned, do not include it in the output.
-              - Use strictly this format - {
-                      "category": "Data Structures & Algorithms",
-                      "skills": [ "Graphs", "Trees", "Sorting Algorithms" ] 
-                      }
+    // Save the structured profile to a file (optional)
+    // const outputPath = `./data/${parsed.name?.replace(/\s+/g, '_').toLowerCase() || 'unknown'}_profile.json`;
+    // const dataDir = './data';
+    // if (!fs.existsSync(dataDir)) {
+    //   fs.mkdirSync(dataDir, { recursive: true });
+    // }
+    // fs.writeFileSync(outputPath, JSON.stringify(parsed, null, 2), 'utf8');
+    // console.log(`Structured profile saved to ${outputPath}`);
+    console.log(parsed);
+    return {
+      profile: parsed,
+      extraction_method: extractionMethod,
+      version: version ? version.version : null,
+      redaction: redactor.audit(),
+      document: {
+        format: extraction.format,
+        method: extraction.method,
+        quality: extraction.quality.score
+      }
+    };
+    
+  } catch (error) {
+    console.error('Error processing resume:', error);
+    throw new Error(`Failed to process resume: ${error.message}`);
+  }
+}
 
-              Note for experience:
+// Section text, or the whole resume when it has no sections, beyond this many characters is truncated before prompting
+const MAX_SECTION_CHARS = 12000;
+
+// Times an answer that fails schema validation is sent back for repair before giving up
+const MAX_REPAIR_ATTEMPTS = 2;
+
+const EXPERIENCE_FORMAT = `
               - Use exactly this format for each experience entry:
               {
                 "company": "Tech Startup Inc.",
@@ -68,9 +139,9 @@ export async function processResume(filePath, userId = null) {
               - Extract duration in "MMM YYYY - MMM YYYY" format
               - Include all technologies mentioned as an array of strings
               - If any field is missing, fill with null or appropriate default
-              - Return experience as an array of objects
+              - Return experience as an array of objects`;
 
-              Note for projects:
+const PROJECTS_FORMAT = `
               - Use exactly this format for each project:
               {
                 "name": "Web Development Project",
@@ -80,74 +151,367 @@ export async function processResume(filePath, userId = null) {
                 "technologies": ["JavaScript", "HTML", "CSS", "SQL", "Git"]
               }
               - Extract duration in "MMM YYYY - MMM YYYY" format if available
-              - Include all technologies as an array of strings
-              `
-            }
-          ],
-          temperature: 0.3
-        });
-        break; // Success, exit retry loop
-      } catch (error) {
-        attempts++;
-        if (error.name === 'APIConnectionTimeoutError' && attempts < maxAttempts) {
-          console.log(`Request timed out, retrying in 2 seconds... (attempt ${attempts}/${maxAttempts})`);
-          await new Promise(resolve => setTimeout(resolve, 2000)); // Wait 2 seconds before retry
-        } else {
-          throw error; // Re-throw if not timeout or max attempts reached
-        }
+              - Include all technologies as an array of strings`;
+
+const TECHNICAL_SKILLS_FORMAT = `
+              - They should be mapped to this taxonomy: ${JSON.stringify(promptTaxonomy())}
+              - If a skill is not in the taxonomy, include it as "other" with the skill name.
+              - If a skill is mentioned but not in the taxonomy, infer its category based on context.
+              - If a skill is not mentioned, do not include it in the output.
+              - Use strictly this format - {
+                      "category": "Data Structures & Algorithms",
+                      "skills": [ { "name": "Graphs", "level": "intermediate" }, { "name": "Trees", "level": null } ]
+                      }
+              - level is "beginner", "intermediate" or "advanced" when the resume makes it clear, otherwise null`;
+
+// Focused prompt per resume section: the JSON keys it must return and how to format them
+const SECTION_PROMPTS = {
+  contact: {
+    fields: ['name', 'contact', 'summary'],
+    instructions: `Extract the following fields in JSON format:
+              - name (the candidate's full name)
+              - contact ({ "email": string|null, "phone": string|null, "location": string|null, "links": [string] })
+              - summary (the professional summary or objective as a single string, null if absent)`
+  },
+  education: {
+    fields: ['education'],
+    instructions: `Extract the following field in JSON format:
+              - education (array of { "degree": string, "institution": string, "duration": "MMM YYYY - MMM YYYY" or null, "grade": string|null })`
+  },
+  experience: {
+    fields: ['experience'],
+    instructions: `Extract the following field in JSON format:
+              - experience (companies, roles, technologies, durations)
+${EXPERIENCE_FORMAT}`
+  },
+  projects: {
+    fields: ['projects'],
+    instructions: `Extract the following field in JSON format:
+              - projects (name, description, technologies)
+${PROJECTS_FORMAT}`
+  },
+  certifications: {
+    fields: ['certifications'],
+    instructions: `Extract the following field in JSON format:
+              - certifications (array of { "name": string, "issuer": string|null, "date": "MMM YYYY" or null })`
+  },
+  awards: {
+    fields: ['awards'],
+    instructions: `Extract the following field in JSON format:
+              - awards (array of { "title": string, "issuer": string|null, "date": "MMM YYYY" or null, "description": string|null })`
+  }
+};
+
+// Field of each list item used to find where in the source text the item came from
+const SOURCE_ANCHORS = {
+  education: 'institution',
+  experience: 'company',
+  projects: 'name',
+  certifications: 'name',
+  awards: 'title'
+};
+
+/**
+ * Turn raw resume text into the structured profile, one focused prompt per detected section
+ * @param {string} resumeText - Extracted resume text
+ * @param {Array} sections - Output of segmentResume for the same text
+ * @param {Object} redactor - PII redactor shared by every prompt for this resume
+ * @returns {Object} Structured resume
+ */
+async function structureResume(resumeText, sections, redactor) {
+  const detected = new Set(sections.map(section => section.label).filter(label => label !== 'contact' && label !== 'other'));
+
+  // Without recognisable headings there is nothing to split on - use a single prompt
+  if (detected.size < 2) {
+    console.log('Too few section headings found, structuring the whole resume in one prompt');
+    return structureWholeResume(resumeText, redactor);
+  }
+
+  const parsed = {
+    name: null,
+    contact: null,
+    summary: null,
+    education: [],
+    experience: [],
+    projects: [],
+    technical_skills: [],
+    certifications: [],
+    awards: []
+  };
+
+  // Sections are independent of each other, so structure them in parallel
+  const labels = Object.keys(SECTION_PROMPTS).filter(label => label === 'contact' || detected.has(label));
+  const results = await Promise.all(labels.map(label => {
+    const text = label === 'contact'
+      ? [getSectionText(sections, 'contact'), getSectionText(sections, 'summary')].filter(Boolean).join('\n\n')
+      : getSectionText(sections, label);
+    return text ? structureSection(label, text, redactor) : {};
+  }));
+
+  labels.forEach((label, index) => {
+    for (const field of SECTION_PROMPTS[label].fields) {
+      if (results[index][field] !== undefined) {
+        parsed[field] = results[index][field];
       }
     }
+  });
 
-    const jsonText = response.choices[0].message.content;
-    
-    // Clean up JSON if it has markdown formatting
-    const cleanedJson = jsonText.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-    
-    const parsed = JSON.parse(cleanedJson);
-    
-    // Store resume data in Supabase if userId is provided
-    // !!!changing from storing resume text to parsed resume text
-    if (userId && parsed) {
-      try {
-        console.log("storing resume in database");
-        // Upsert resume: update if exists, else insert
-        const { data, error } = await supabase
-          .from('resumes')
-          .upsert(
-            {
-              userid: userId,
-              resume_text: parsed,
-            },
-            { onConflict: ['userid'] }
-          );
-        
-        if (error) {
-          console.error('Error storing resume in database:', error);
-          // Don't throw error here - we still want to return the parsed data
-        } else {
-          console.log('Resume successfully stored in database for user:', userId);
-        }
-      } catch (dbError) {
-        console.error('Database operation failed:', dbError);
-        // Continue processing even if DB storage fails
+  // Skills also come from the technologies listed under experience and projects
+  const technologies = [...(parsed.experience || []), ...(parsed.projects || [])]
+    .flatMap(item => (Array.isArray(item?.technologies) ? item.technologies : []));
+  const skillsText = getSectionText(sections, 'skills');
+  if (skillsText || technologies.length > 0) {
+    const skills = await requestStructuredJson([
+      {
+        role: 'system',
+        content: 'You are an AI assistant that converts the skills section of a resume into structured data for a peer-learning platform.'
+      },
+      {
+        role: 'user',
+        content: `Here is the skills section of a resume:\n\n${truncate(skillsText || 'none')}\n\nTechnologies used in experience and projects: ${[...new Set(technologies)].join(', ') || 'none'}\n\nExtract the following field in JSON format:
+              - technical_skills (list of skills categorized by taxonomy)
+              Return only valid JSON.
+
+              Note for technical_skills:
+${TECHNICAL_SKILLS_FORMAT}`
       }
-    }else{
-      console.log("didnt find user ID");
+    ], 'skills', ['technical_skills'], redactor);
+    parsed.technical_skills = skills.technical_skills || [];
+  }
+
+  // Strengths and gaps need the whole picture, so derive them from the structured data
+  const insights = await requestStructuredJson([
+    {
+      role: 'system',
+      content: 'You are an AI assistant that reviews structured resume data for a peer-learning platform.'
+    },
+    {
+      role: 'user',
+      content: `Here is a structured resume:\n\n${truncate(JSON.stringify({
+        summary: parsed.summary,
+        experience: parsed.experience,
+        projects: parsed.projects,
+        technical_skills: parsed.technical_skills
+      }))}\n\nExtract the following fields in JSON format:
+              - inferred_areas_of_strength (based on their work/projects)
+              - possible_gaps (only if there's something obvious)
+              Return only valid JSON.`
     }
+  ], 'insights', ['inferred_areas_of_strength', 'possible_gaps'], redactor);
+  parsed.inferred_areas_of_strength = insights.inferred_areas_of_strength || [];
+  parsed.possible_gaps = insights.possible_gaps || [];
 
-    // Save the structured profile to a file (optional)
-    // const outputPath = `./data/${parsed.name?.replace(/\s+/g, '_').toLowerCase() || 'unknown'}_profile.json`;
-    // const dataDir = './data';
-    // if (!fs.existsSync(dataDir)) {
-    //   fs.mkdirSync(dataDir, { recursive: true });
-    // }
-    // fs.writeFileSync(outputPath, JSON.stringify(parsed, null, 2), 'utf8');
-    // console.log(`Structured profile saved to ${outputPath}`);
-    console.log(parsed);
-    return parsed;
-    
-  } catch (error) {
-    console.error('Error processing resume:', error);
-    throw new Error(`Failed to process resume: ${error.message}`);
+  return parsed;
+}
+
+/**
+ * Structure a single resume section with its focused prompt
+ * @param {string} label - Section label (key of SECTION_PROMPTS)
+ * @param {string} text - Section text
+ * @param {Object} redactor - PII redactor
+ * @returns {Object} Parsed JSON with the section's fields
+ */
+async function structureSection(label, text, redactor) {
+  return requestStructuredJson([
+    {
+      role: 'system',
+      content: `You are an AI assistant that converts the ${label} section of a resume into structured data for a peer-learning platform.`
+    },
+    {
+      role: 'user',
+      content: `Here is the ${label} section of a resume:\n\n${truncate(text)}\n\n${SECTION_PROMPTS[label].instructions}
+              Return only valid JSON.`
+    }
+  ], label, SECTION_PROMPTS[label].fields, redactor);
+}
+
+/**
+ * Structure a resume without recognisable sections in a single prompt
+ * @param {string} resumeText - Extracted resume text
+ * @param {Object} redactor - PII redactor
+ * @returns {Object} Parsed JSON
+ */
+async function structureWholeResume(resumeText, redactor) {
+  return requestStructuredJson([
+    {
+      role: 'system',
+      content: 'You are an AI assistant that converts resume text into structured user profiles for a peer-learning platform.'
+    },
+    {
+      role: 'user',
+      content: `Here is the resume text:\n\n${truncate(resumeText)}\n\nExtract the following fields in JSON format:
+              - name
+              - contact (email, phone, location, links)
+              - summary
+              - education (list of degrees, institutions, years)
+              - experience (companies, roles, technologies, durations)
+              - projects (name, description, technologies)
+              - technical_skills (list of skills categorized by taxonomy)
+              - certifications (name, issuer, date)
+              - awards (title, issuer, date, description)
+              - inferred_areas_of_strength (based on their work/projects)
+              - possible_gaps (only if there's something obvious)
+              Return only valid JSON.
+
+              Note for technical_skills:
+${TECHNICAL_SKILLS_FORMAT}
+
+              Note for experience:
+${EXPERIENCE_FORMAT}
+
+              Note for projects:
+${PROJECTS_FORMAT}
+              `
+    }
+  ], 'resume', null, redactor);
+}
+
+/**
+ * Send a chat completion, parse the JSON answer and check it against the resume schema.
+ * Invalid answers are sent back with the validation errors so the model can repair them.
+ * @param {Array} messages - Chat messages
+ * @param {string} purpose - Short description used in logs
+ * @param {Array} fields - Top-level resume fields the answer must contain (null for a whole resume)
+ * @param {Object} redactor - PII redactor applied to the prompts; the answer gets the original values back
+ * @returns {Object} Parsed and normalized JSON
+ */
+async function requestStructuredJson(messages, purpose, fields = null, redactor = null) {
+  const conversation = messages.map(message => (
+    redactor ? { ...message, content: redactor.redact(message.content) } : message
+  ));
+
+  for (let repairs = 0; ; repairs++) {
+    const jsonText = await createChatCompletion(conversation, purpose);
+
+    let result = null;
+    let errors;
+    try {
+      // Clean up JSON if it has markdown formatting
+      const cleanedJson = jsonText.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
+      result = normalizeResume(JSON.parse(cleanedJson));
+      ({ errors } = validateResume(result, { fields }));
+    } catch (parseError) {
+      errors = [`response is not valid JSON (${parseError.message})`];
+    }
+
+    if (errors.length === 0) {
+      return redactor ? redactor.restore(result) : result;
+    }
+    if (repairs >= MAX_REPAIR_ATTEMPTS) {
+      throw new Error(`OpenAI ${purpose} response failed schema validation: ${errors.slice(0, 5).join('; ')}`);
+    }
+
+    console.warn(`OpenAI ${purpose} response failed schema validation, asking for a repair (${repairs + 1}/${MAX_REPAIR_ATTEMPTS}):`, errors);
+    conversation.push(
+      { role: 'assistant', content: jsonText },
+      {
+        role: 'user',
+        content: `That JSON does not match the required format:\n${errors.slice(0, 20).map(error => `- ${error}`).join('\n')}\n\nReturn the corrected JSON only.`
+      }
+    );
+  }
+}
+
+/**
+ * Send a chat completion with retry on timeouts
+ * @param {Array} messages - Chat messages
+ * @param {string} purpose - Short description used in logs
+ * @returns {string} Message content of the answer
+ */
+async function createChatCompletion(messages, purpose) {
+  let response;
+  let attempts = 0;
+  const maxAttempts = 3;
+
+  while (attempts < maxAttempts) {
+    try {
+      console.log(`Attempting OpenAI request for ${purpose} (attempt ${attempts + 1}/${maxAttempts})`);
+      response = await openai.chat.completions.create({
+        model: 'gpt-3.5-turbo',
+        messages,
+        temperature: 0.3
+      });
+      break; // Success, exit retry loop
+    } catch (error) {
+      attempts++;
+      if (error.name === 'APIConnectionTimeoutError' && attempts < maxAttempts) {
+        console.log(`Request timed out, retrying in 2 seconds... (attempt ${attempts}/${maxAttempts})`);
+        await new Promise(resolve => setTimeout(resolve, 2000)); // Wait 2 seconds before retry
+      } else {
+        throw error; // Re-throw if not timeout or max attempts reached
+      }
+    }
+  }
+
+  return response.choices[0].message.content || '';
+}
+
+/**
+ * Record where in the source text each extracted field came from
+ * @param {string} resumeText - Extracted resume text
+ * @param {Array} sections - Output of segmentResume
+ * @param {Object} parsed - Structured resume
+ * @returns {Object} Field -> { section, start, end } (arrays for list fields, one entry per item)
+ */
+function buildSourceMap(resumeText, sections, parsed) {
+  const sourceMap = {};
+
+  if (parsed.name) {
+    sourceMap.name = locateInSections(resumeText, sections, ['contact'], parsed.name);
+  }
+  for (const label of ['contact', 'summary']) {
+    const section = sections.find(candidate => candidate.label === label);
+    if (section && parsed[label]) {
+      sourceMap[label] = { section: label, start: section.content_start, end: section.end };
+    }
+  }
+
+  for (const [field, anchorKey] of Object.entries(SOURCE_ANCHORS)) {
+    if (Array.isArray(parsed[field]) && parsed[field].length > 0) {
+      sourceMap[field] = parsed[field].map(item => locateInSections(resumeText, sections, [field], item?.[anchorKey]));
+    }
+  }
+
+  const skillsSection = sections.find(section => section.label === 'skills');
+  if (skillsSection) {
+    sourceMap.technical_skills = { section: 'skills', start: skillsSection.content_start, end: skillsSection.end };
+  }
+
+  return sourceMap;
+}
+
+/**
+ * Find an anchor string inside the sections with the given labels
+ * @returns {Object|null} { section, start, end } of the match, or the first section's span if not found
+ */
+function locateInSections(resumeText, sections, labels, anchor) {
+  const candidates = sections.filter(section => labels.includes(section.label));
+  if (candidates.length === 0) return null;
+
+  if (typeof anchor === 'string' && anchor.trim()) {
+    const needle = anchor.trim().toLowerCase();
+    for (const section of candidates) {
+      const index = resumeText.slice(section.content_start, section.end).toLowerCase().indexOf(needle);
+      if (index !== -1) {
+        const start = section.content_start + index;
+        return { section: section.label, start, end: start + needle.length };
+      }
+    }
   }
+
+  return { section: candidates[0].label, start: candidates[0].content_start, end: candidates[0].end };
+}
+
+// The taxonomy without its aliases, which only the rule-based matcher needs and which would bloat every prompt
+function promptTaxonomy() {
+  return skill_taxonomy.map(({ category, skills }) => ({
+    category,
+    skills: skills.map(({ name, description }) => ({ name, description }))
+  }));
+}
+
+function truncate(text) {
+  if (text.length <= MAX_SECTION_CHARS) return text;
+  console.warn(`Truncating prompt text from ${text.length} to ${MAX_SECTION_CHARS} characters`);
+  return text.slice(0, MAX_SECTION_CHARS);
 }
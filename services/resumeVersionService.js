@@ -0,0 +1,218 @@
+import { supabase } from '../config/supabase.js';
+import { diffResumes } from '../utils/resumeDiff.js';
+
+// Every upload is kept as a row in resume_versions. The per-user row in resumes points at the
+// active version (active_version_id) and keeps a copy of its parsed text in resume_text so the
+// existing readers (ATS scoring, /experience) keep working; current_goal and ats_score stay there too.
+const VERSIONS_TABLE = 'resume_versions';
+const VERSION_SUMMARY_COLUMNS = 'id, version, file_name, format, extraction_method, created_at';
+// resume_versions is unique on (userid, version); two uploads numbered at the same time collide there,
+// and the later one takes the next number instead
+const UNIQUE_VIOLATION = '23505';
+const MAX_VERSION_ATTEMPTS = 5;
+
+/**
+ * Store a parsed resume as a new version and make it the active one
+ * @param {string} userId - User ID
+ * @param {Object} parsed - Parsed resume
+ * @param {Object} metadata - { fileName, format, extractionMethod } of the upload, and { activate }
+ * (default: true) to leave the active version as it is when false
+ * @returns {Object} The stored version (without resume_text)
+ */
+export async function saveResumeVersion(userId, parsed, { fileName = null, format = null, extractionMethod = null, activate = true } = {}) {
+  let version = null;
+  for (let attempt = 1; !version; attempt++) {
+    const { data: latest, error: latestError } = await supabase
+      .from(VERSIONS_TABLE)
+      .select('version')
+      .eq('userid', userId)
+      .order('version', { ascending: false })
+      .limit(1);
+
+    if (latestError) {
+      throw new Error(`Failed to read resume versions: ${latestError.message}`);
+    }
+
+    const { data, error: insertError } = await supabase
+      .from(VERSIONS_TABLE)
+      .insert({
+        userid: userId,
+        version: (latest?.[0]?.version || 0) + 1,
+        resume_text: JSON.stringify(parsed),
+        file_name: fileName,
+        format,
+        extraction_method: extractionMethod
+      })
+      .select(VERSION_SUMMARY_COLUMNS)
+      .single();
+
+    if (insertError?.code === UNIQUE_VIOLATION && attempt < MAX_VERSION_ATTEMPTS) {
+      console.warn(`Resume version ${(latest?.[0]?.version || 0) + 1} for user ${userId} was taken, retrying`);
+      continue;
+    }
+    if (insertError) {
+      throw new Error(`Failed to store resume version: ${insertError.message}`);
+    }
+    version = data;
+  }
+
+  if (activate) {
+    await setActiveVersion(userId, version.id, parsed);
+  }
+  console.log(`Stored resume version ${version.version} for user: ${userId}`);
+
+  return { ...version, is_active: activate };
+}
+
+/**
+ * List a user's resume versions, newest first
+ * @param {string} userId - User ID
+ * @returns {Array} Versions with is_active set on the one in use
+ */
+export async function listResumeVersions(userId) {
+  const [{ data: versions, error }, activeVersionId] = await Promise.all([
+    supabase
+      .from(VERSIONS_TABLE)
+      .select(VERSION_SUMMARY_COLUMNS)
+      .eq('userid', userId)
+      .order('version', { ascending: false }),
+    getActiveVersionId(userId)
+  ]);
+
+  if (error) {
+    throw new Error(`Failed to list resume versions: ${error.message}`);
+  }
+
+  return (versions || []).map(version => ({ ...version, is_active: version.id === activeVersionId }));
+}
+
+/**
+ * Fetch one resume version with its parsed resume
+ * @param {string} userId - User ID
+ * @param {number} versionNumber - Version number (1 is the first upload)
+ * @returns {Object|null} Version with the parsed resume in `resume`, or null if it does not exist
+ */
+export async function getResumeVersion(userId, versionNumber) {
+  const { data, error } = await supabase
+    .from(VERSIONS_TABLE)
+    .select(`${VERSION_SUMMARY_COLUMNS}, resume_text`)
+    .eq('userid', userId)
+    .eq('version', versionNumber)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to fetch resume version: ${error.message}`);
+  }
+  if (!data) return null;
+
+  const { resume_text, ...version } = data;
+  const activeVersionId = await getActiveVersionId(userId);
+
+  return { ...version, is_active: version.id === activeVersionId, resume: parseResumeText(resume_text) };
+}
+
+/**
+ * Roll back (or forward) to an existing version by making it the active one
+ * @param {string} userId - User ID
+ * @param {number} versionNumber - Version to activate
+ * @returns {Object|null} The activated version, or null if it does not exist
+ */
+export async function activateResumeVersion(userId, versionNumber) {
+  const version = await getResumeVersion(userId, versionNumber);
+  if (!version) return null;
+
+  await setActiveVersion(userId, version.id, version.resume);
+  console.log(`Activated resume version ${versionNumber} for user: ${userId}`);
+
+  return { ...version, is_active: true };
+}
+
+/**
+ * Structured diff between two of a user's resume versions
+ * @param {string} userId - User ID
+ * @param {number} fromVersion - Older version number
+ * @param {number} toVersion - Newer version number
+ * @returns {Object|null} { from, to, changes }, or null if either version does not exist
+ */
+export async function diffResumeVersions(userId, fromVersion, toVersion) {
+  const [from, to] = await Promise.all([
+    getResumeVersion(userId, fromVersion),
+    getResumeVersion(userId, toVersion)
+  ]);
+  if (!from || !to) return null;
+
+  return {
+    from: { version: from.version, created_at: from.created_at },
+    to: { version: to.version, created_at: to.created_at },
+    changes: diffResumes(from.resume, to.resume)
+  };
+}
+
+/**
+ * Fetch the user's active parsed resume
+ * @param {string} userId - User ID
+ * @returns {Object|null} { active_version_id, current_goal, resume }, or null if the user has no parsed resume
+ */
+export async function getActiveResume(userId) {
+  const { data, error } = await supabase
+    .from('resumes')
+    .select('active_version_id, current_goal, resume_text')
+    .eq('userid', userId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to fetch active resume: ${error.message}`);
+  }
+
+  const resume = parseResumeText(data?.resume_text);
+  return resume
+    ? { active_version_id: data.active_version_id || null, current_goal: data.current_goal || null, resume }
+    : null;
+}
+
+/**
+ * Parse resume_text, which holds the parsed resume as JSON text
+ * @param {string|Object} resumeText - Stored value
+ * @returns {Object|null} Parsed resume
+ */
+export function parseResumeText(resumeText) {
+  if (!resumeText) return null;
+  if (typeof resumeText === 'object') return resumeText;
+  try {
+    return JSON.parse(resumeText);
+  } catch (error) {
+    console.warn('Stored resume_text is not valid JSON:', error.message);
+    return null;
+  }
+}
+
+async function getActiveVersionId(userId) {
+  const { data, error } = await supabase
+    .from('resumes')
+    .select('active_version_id')
+    .eq('userid', userId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to read active resume version: ${error.message}`);
+  }
+  return data?.active_version_id || null;
+}
+
+async function setActiveVersion(userId, versionId, parsed) {
+  // Only these columns are written, so current_goal and ats_score are left as they are
+  const { error } = await supabase
+    .from('resumes')
+    .upsert(
+      {
+        userid: userId,
+        active_version_id: versionId,
+        resume_text: JSON.stringify(parsed)
+      },
+      { onConflict: ['userid'] }
+    );
+
+  if (error) {
+    throw new Error(`Failed to update active resume version: ${error.message}`);
+  }
+}
@@ -0,0 +1,313 @@
+import { getSectionText } from '../utils/resumeSegmenter.js';
+import { findTaxonomySkillsInText, matchTaxonomySkill } from '../utils/skillMatcher.js';
+import { DATE_RANGE_REGEX, TRAILING_DATE_REGEX, findDateRange, findDate } from '../utils/dateRange.js';
+
+// Deterministic resume extractor used when OpenAI is unavailable or the caller asks for offline mode.
+// It produces the same JSON shape as the LLM path in resumeService.
+
+const EMAIL_REGEX = /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/;
+const PHONE_REGEX = /(?:\+\d{1,3}[\s.-]?)?(?:\(?\d{2,5}\)?[\s.-]?){2,4}\d{2,5}/g;
+const URL_REGEX = /\b(?:https?:\/\/|www\.)[^\s|,;()<>]+|\b(?:github\.com|gitlab\.com|linkedin\.com|leetcode\.com|behance\.net|dribbble\.com|medium\.com)\/[^\s|,;()<>]+/gi;
+
+const BULLET_REGEX = /^\s*[•◦▪●○■\-*–·]\s*/;
+const INSTITUTION_REGEX = /\b(university|institute|college|school|academy|polytechnic|iit|nit|iiit|bits)\b/i;
+const DEGREE_REGEX = /\b(b\.?\s?tech|m\.?\s?tech|b\.?\s?e\b|m\.?\s?e\b|bachelor|master|mba|ph\.?\s?d|diploma|b\.?\s?sc|m\.?\s?sc|b\.?\s?a\b|m\.?\s?a\b|b\.?\s?com|associate|class\s+x{1,2}i*|high school|secondary|hsc|ssc|a-levels?)/i;
+const GRADE_REGEX = /\b(?:c?gpa|cpi|sgpa|percentage|grade|score)\s*[:\-]?\s*[\d.]+\s*(?:\/\s*[\d.]+)?%?|\b\d{2}(?:\.\d+)?\s*%/i;
+const ROLE_SEPARATOR_REGEX = /\s+(?:–|—|-|\||@|at)\s+/;
+
+/**
+ * Extract a structured resume from raw text without calling any external service
+ * @param {string} resumeText - Extracted resume text
+ * @param {Array} sections - Output of segmentResume for the same text
+ * @returns {Object} Structured resume in the same shape the LLM path returns
+ */
+export function extractResumeWithRules(resumeText, sections) {
+  const text = resumeText || '';
+  const header = headerText(text, sections);
+
+  const experience = parseEntries(getSectionText(sections, 'experience')).map(toExperience);
+  const projects = parseEntries(getSectionText(sections, 'projects')).map(toProject);
+  const technicalSkills = extractTechnicalSkills(getSectionText(sections, 'skills'), text);
+
+  return {
+    name: extractName(header),
+    contact: extractContact(header.length > 0 ? `${header}\n${text}` : text),
+    summary: getSectionText(sections, 'summary').replace(/\s*\n\s*/g, ' ') || null,
+    education: parseEducation(getSectionText(sections, 'education')),
+    experience,
+    projects,
+    technical_skills: technicalSkills,
+    certifications: parseListItems(getSectionText(sections, 'certifications')).map(line => ({
+      name: stripDateRange(line).replace(/\s*[-–|,]\s*$/, ''),
+      issuer: null,
+      date: findDate(line)
+    })),
+    awards: parseListItems(getSectionText(sections, 'awards')).map(line => ({
+      title: stripDateRange(line).replace(/\s*[-–|,]\s*$/, ''),
+      issuer: null,
+      date: findDate(line),
+      description: null
+    })),
+    inferred_areas_of_strength: inferStrengths(technicalSkills),
+    possible_gaps: []
+  };
+}
+
+/**
+ * Find the candidate's name in the resume header, for redacting it from prompts
+ * @param {string} resumeText - Extracted resume text
+ * @param {Array} sections - Output of segmentResume for the same text
+ * @returns {string|null} A header line that reads as a name, or null when none does
+ */
+export function findCandidateName(resumeText, sections) {
+  return findNameLine(headerText(resumeText || '', sections).split('\n').map(line => line.trim()).filter(Boolean));
+}
+
+function headerText(text, sections) {
+  return getSectionText(sections, 'contact') || text.split('\n').slice(0, 6).join('\n');
+}
+
+function stripDateRange(text) {
+  return text
+    .replace(DATE_RANGE_REGEX, '')
+    .replace(TRAILING_DATE_REGEX, '')
+    .replace(/\(\s*\)/g, '')
+    .replace(/\s{2,}/g, ' ')
+    .trim();
+}
+
+function capitalize(word) {
+  return word.charAt(0).toUpperCase() + word.slice(1);
+}
+
+function extractName(header) {
+  const lines = header.split('\n').map(line => line.trim()).filter(Boolean);
+  return findNameLine(lines) || lines[0] || null;
+}
+
+function findNameLine(lines) {
+  return lines.find(line =>
+    !EMAIL_REGEX.test(line) &&
+    !/\d/.test(line) &&
+    !/[:|/@]/.test(line) &&
+    /^[\p{L}.'\- ]+$/u.test(line) &&
+    line.split(/\s+/).length >= 2 &&
+    line.split(/\s+/).length <= 4
+  ) || null;
+}
+
+function extractContact(text) {
+  const email = (text.match(EMAIL_REGEX) || [null])[0];
+
+  let phone = null;
+  for (const match of text.matchAll(PHONE_REGEX)) {
+    const digits = match[0].replace(/\D/g, '');
+    // Skip date ranges and years that happen to look like digit groups
+    if (digits.length >= 10 && digits.length <= 15 && !DATE_RANGE_REGEX.test(match[0])) {
+      phone = match[0].trim();
+      break;
+    }
+  }
+
+  const links = [...new Set((text.match(URL_REGEX) || []).map(link => link.replace(/[.)]+$/, '')))];
+
+  return { email, phone, location: null, links };
+}
+
+/**
+ * Split a section into entries: header lines (titles, organisations, dates) followed by bullet lines
+ * @param {string} sectionText - Section contents
+ * @returns {Array} Entries with headerLines and bullets
+ */
+function parseEntries(sectionText) {
+  const entries = [];
+  let current = null;
+  const lines = (sectionText || '').split('\n').map(line => line.trim()).filter(Boolean);
+
+  // With two bullet styles ("•" then "◦") the outer bullet marks entry headers
+  const bulletChars = lines.map(line => (line.match(BULLET_REGEX) || [''])[0].trim()).filter(Boolean);
+  const headerBullet = new Set(bulletChars).size >= 2 ? bulletChars[0] : null;
+
+  for (const line of lines) {
+    const bullet = (line.match(BULLET_REGEX) || [''])[0].trim();
+    const content = line.replace(BULLET_REGEX, '').trim();
+    // A bulleted line that carries a date range is an entry header written as a bullet
+    const isHeader = !bullet ||
+      bullet === headerBullet ||
+      (findDateRange(content) && (!current || current.bullets.length > 0 || current.headerLines.length === 0));
+
+    // Wrapped bullet text continues on a line of its own starting in lowercase
+    if (!bullet && current?.bullets.length > 0 && /^[a-z]/.test(content)) {
+      current.bullets[current.bullets.length - 1] += ` ${content}`;
+      continue;
+    }
+
+    if (isHeader) {
+      if (!current || current.bullets.length > 0) {
+        current = { headerLines: [], bullets: [] };
+        entries.push(current);
+      }
+      current.headerLines.push(content);
+    } else {
+      if (!current) {
+        current = { headerLines: [], bullets: [] };
+        entries.push(current);
+      }
+      current.bullets.push(content);
+    }
+  }
+
+  return entries;
+}
+
+function entryTechnologies(entry) {
+  const technologies = new Map();
+  const text = [...entry.headerLines, ...entry.bullets].join('\n');
+
+  for (const match of findTaxonomySkillsInText(text)) {
+    technologies.set(match.matched.toLowerCase(), match.matched);
+  }
+  // Header lines that are plain comma separated lists are technology stacks ("Next.js, Express, Qdrant")
+  for (const line of entry.headerLines.slice(1)) {
+    const items = stripDateRange(line).replace(/\[\s*\]/g, '').split(/\s*,\s*/).filter(Boolean);
+    if (items.length >= 2 && items.every(item => item.split(/\s+/).length <= 3)) {
+      items.forEach(item => technologies.set(item.trim().toLowerCase(), item.trim()));
+    }
+  }
+
+  return [...technologies.values()];
+}
+
+function toExperience(entry) {
+  const [first = '', second = null] = entry.headerLines;
+  const firstLine = stripDateRange(first);
+  let company = firstLine;
+  let role = second ? stripDateRange(second) : null;
+
+  // "Company – Role" or "Role at Company" on a single line
+  if (!role && ROLE_SEPARATOR_REGEX.test(firstLine)) {
+    const separator = firstLine.match(ROLE_SEPARATOR_REGEX)[0].trim();
+    const [left, ...rest] = firstLine.split(ROLE_SEPARATOR_REGEX);
+    if (separator === 'at' || separator === '@') {
+      role = left;
+      company = rest.join(' ');
+    } else {
+      company = left;
+      role = rest.join(' - ');
+    }
+  }
+
+  return {
+    company: company || null,
+    role: role || null,
+    duration: findDateRange(entry.headerLines.join(' ')),
+    description: entry.bullets.join('\n') || null,
+    technologies: entryTechnologies(entry)
+  };
+}
+
+function toProject(entry) {
+  const name = stripDateRange(entry.headerLines[0] || '').replace(/\[\s*\]/g, '').trim();
+  const typeMatch = entry.headerLines.join(' ').match(/\b(personal|academic|freelance|hackathon|open[- ]source|team|college)\s+project\b/i);
+
+  return {
+    name: name.split(/\s+[|–—-]\s+/)[0] || null,
+    type: typeMatch ? capitalize(typeMatch[0].toLowerCase()) : null,
+    duration: findDateRange(entry.headerLines.join(' ')),
+    description: entry.bullets.join('\n') || null,
+    technologies: entryTechnologies(entry)
+  };
+}
+
+function parseEducation(sectionText) {
+  const education = [];
+  let current = null;
+
+  for (const rawLine of (sectionText || '').split('\n')) {
+    const line = rawLine.replace(BULLET_REGEX, '').trim();
+    if (!line) continue;
+
+    const isInstitution = INSTITUTION_REGEX.test(line);
+    const isDegree = DEGREE_REGEX.test(line);
+
+    if (isInstitution && (!current || current.institution)) {
+      current = { degree: null, institution: null, duration: null, grade: null };
+      education.push(current);
+    } else if (isDegree && (!current || current.degree)) {
+      current = { degree: null, institution: null, duration: null, grade: null };
+      education.push(current);
+    }
+    if (!current) continue;
+
+    if (isInstitution && !current.institution) {
+      current.institution = stripDateRange(line).split(/\s+[|–—]\s+/)[0].replace(/[,;]\s*$/, '');
+    } else if (isDegree && !current.degree) {
+      current.degree = stripDateRange(line).replace(/\(\s*\)/g, '').trim();
+    }
+
+    current.duration = current.duration || findDateRange(line);
+    const grade = line.match(GRADE_REGEX);
+    if (grade && !current.grade) current.grade = grade[0].trim();
+  }
+
+  return education;
+}
+
+function parseListItems(sectionText) {
+  return (sectionText || '')
+    .split('\n')
+    .map(line => line.replace(BULLET_REGEX, '').trim())
+    .filter(line => line.length > 2);
+}
+
+/**
+ * Group skills into taxonomy categories; items in the skills section that are not in the taxonomy go to "Other"
+ * @param {string} skillsText - Skills section contents
+ * @param {string} fullText - Whole resume text, scanned for taxonomy skills mentioned elsewhere
+ * @returns {Array} [{ category, skills: [{ name, level }] }] - the resume text alone does not tell us levels
+ */
+function extractTechnicalSkills(skillsText, fullText) {
+  const categories = new Map();
+  const add = (category, name) => {
+    if (!categories.has(category)) categories.set(category, new Set());
+    categories.get(category).add(name);
+  };
+
+  for (const match of findTaxonomySkillsInText(fullText)) {
+    add(match.category, match.name);
+  }
+
+  // Skills sections are usually "Label: a, b, c" lists
+  for (const line of (skillsText || '').split('\n')) {
+    const list = line.replace(BULLET_REGEX, '').replace(/^[^:]{1,40}:\s*/, '');
+    for (const item of list.split(/\s*[,;|]\s*/)) {
+      const skill = item.replace(/\(.*?\)/g, '').trim();
+      if (!skill || skill.split(/\s+/).length > 4) continue;
+      // Exact aliases ("Node", "TS") are only found here, the free-text scan above leaves them out
+      const match = matchTaxonomySkill(skill);
+      if (match) {
+        add(match.category, match.name);
+      } else if (findTaxonomySkillsInText(skill).length === 0) {
+        add('Other', skill);
+      }
+    }
+  }
+
+  return [...categories.entries()].map(([category, skills]) => ({
+    category,
+    skills: [...skills].map(name => ({ name, level: null }))
+  }));
+}
+
+/**
+ * Strongest areas of a resume: the taxonomy categories with the most skills
+ * @param {Array} technicalSkills - technical_skills of a parsed resume
+ * @returns {Array} Up to three category names
+ */
+export function inferStrengths(technicalSkills) {
+  return technicalSkills
+    .filter(group => group.category !== 'Other')
+    .sort((a, b) => b.skills.length - a.skills.length)
+    .slice(0, 3)
+    .map(group => group.category);
+}
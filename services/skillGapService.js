@@ -1,17 +1,20 @@
 import { openai } from '../config/openai.js';
 import { qdrant } from '../config/qdrant.js';
 import { skill_taxonomy } from '../taxonomy/skill_taxonomy.js';
+import { createRedactor } from '../utils/piiRedactor.js';
+import { getUserProfilePoint } from './userProfileService.js';
 import fs from 'fs';
 
-const USER_PROFILES_COLLECTION = 'user_profiles';
 const SKILL_EMBEDDINGS_COLLECTION = 'skill_embeddings';
 
 /**
  * Analyze skill gaps for a given user
  * @param {string} name - User name
+ * @param {Object} options - { jobDescription } parsed by parseJobDescription to analyze against a specific
+ * posting instead of the user's learning goal, and { summarize } (default: true) to skip the AI summary when false
  * @returns {Object} Skill gap analysis with AI summary
  */
-export async function analyzeSkillGaps(user_id) {
+export async function analyzeSkillGaps(user_id, { jobDescription = null, summarize = true } = {}) {
   try {
     // Fetch user profile
     const userProfile = await fetchUserProfileById(user_id);
@@ -27,15 +30,29 @@ export async function analyzeSkillGaps(user_id) {
     console.log(`User goal: ${userGoal}`);
     console.log(`User skills:`, userSkillListWithLevels);
 
-    // Find relevant categories based on user goal
-    const categories = await findTaxonomyCategories(userGoal);
+    // The user's name and any contact details in the goal are replaced with tokens before reaching OpenAI
+    const userName = userProfile.payload.user_name || 'User';
+    const redactor = createRedactor({ knownValues: { name: userName === 'User' ? [] : [userName] } });
+
+    // A parsed job posting already names its categories and skills, so it replaces the goal lookup
+    const target = jobDescription ? describeJobDescription(jobDescription) : userGoal;
+    const categories = jobDescription
+      ? jobDescription.categories
+      : await findTaxonomyCategories(redactor.redact(userGoal));
     console.log('Matching categories:', categories);
 
     // Analyze skill gaps for each category
-    const skillGaps = await analyzeSkillGapsForCategories(categories, userSkillListWithLevels);
+    const skillGaps = await analyzeSkillGapsForCategories(
+      categories,
+      userSkillListWithLevels,
+      jobDescription ? jobRequirements(jobDescription) : null
+    );
     
     // Generate AI summary
-    const summary = await generateSkillGapSummary(userGoal, skillGaps, userProfile.payload.user_name || 'User');
+    const summary = summarize
+      ? redactor.restore(await generateSkillGapSummary(redactor.redact(target), skillGaps, redactor.redact(userName)))
+      : null;
+    console.log('PII redacted from skill gap prompts:', redactor.audit().redacted);
     
     // Save results to file (optional)
     // const filename = `skill_gaps_${name.replace(/\s+/g, '_').toLowerCase()}.json`;
@@ -50,7 +67,16 @@ export async function analyzeSkillGaps(user_id) {
       analysis: skillGaps,
       summary: summary,
       categories_analyzed: categories.length,
-      user_goal: userGoal
+      user_goal: userGoal,
+      ...(jobDescription && {
+        job_description: {
+          title: jobDescription.title,
+          seniority: jobDescription.seniority,
+          years_experience: jobDescription.years_experience,
+          domain: jobDescription.domain,
+          unmapped_skills: jobDescription.unmapped_skills
+        }
+      })
     };
     
   } catch (error) {
@@ -66,18 +92,9 @@ export async function analyzeSkillGaps(user_id) {
  */
 async function fetchUserProfileById(user_id) {
   try {
-    const existing = await qdrant.search(USER_PROFILES_COLLECTION, {
-      vector: new Array(1536).fill(0), // dummy vector
-      filter: {
-        must: [{ key: "user_id", match: { value: user_id } }]
-      },
-      limit: 1,
-      with_vector: true,
-      with_payload: true
-    });
-
-    if (existing && existing.length > 0) {
-      return existing[0];
+    const existing = await getUserProfilePoint(user_id);
+    if (existing) {
+      return existing;
     }
 
     console.log(`No user profile found for ID: ${user_id}`);
@@ -138,9 +155,11 @@ async function findTaxonomyCategories(userGoal) {
  * Analyze skill gaps for given categories
  * @param {Array} categories - Categories to analyze
  * @param {Object} userSkillListWithLevels - User's current skills with levels
+ * @param {Map|null} requirements - Taxonomy skill name -> 'required' | 'preferred' to only analyze the
+ * skills a job posting asks for; null analyzes every skill in each category
  * @returns {Array} Detailed skill gap analysis
  */
-async function analyzeSkillGapsForCategories(categories, userSkillListWithLevels) {
+async function analyzeSkillGapsForCategories(categories, userSkillListWithLevels, requirements = null) {
   const analysis = [];
   
   for (const categoryInfo of categories) {
@@ -169,23 +188,30 @@ async function analyzeSkillGapsForCategories(categories, userSkillListWithLevels
       }
     };
     
-    // Analyze each skill in the taxonomy category
-    for (const skill of taxonomyCategory.skills) {
+    // Analyze each skill in the taxonomy category (or only those the posting asks for)
+    const skills = requirements
+      ? taxonomyCategory.skills.filter(skill => requirements.has(skill.name))
+      : taxonomyCategory.skills;
+
+    for (const skill of skills) {
       const skillFound = findUserSkill(skill.name, userSkillListWithLevels);
+      const requirement = requirements ? { requirement: requirements.get(skill.name) } : {};
       
       if (!skillFound) {
         // Skill is missing - add to gaps
         categoryAnalysis.skills.gaps.push({
           name: skill.name,
           description: skill.description,
-          priority: 'high'
+          priority: requirement.requirement === 'preferred' ? 'medium' : 'high',
+          ...requirement
         });
       } else {
         const userLevel = skillFound.level;
         const skillAnalysis = {
           name: skill.name,
           user_level: userLevel,
-          description: skill.description
+          description: skill.description,
+          ...requirement
         };
         
         // Categorize based on skill level
@@ -214,6 +240,34 @@ async function analyzeSkillGapsForCategories(categories, userSkillListWithLevels
   return analysis;
 }
 
+/**
+ * Required and preferred taxonomy skills of a parsed job posting
+ * @param {Object} jobDescription - Output of parseJobDescription
+ * @returns {Map} Skill name -> 'required' | 'preferred'
+ */
+function jobRequirements(jobDescription) {
+  const requirements = new Map();
+  for (const skill of jobDescription.preferred_skills || []) requirements.set(skill.name, 'preferred');
+  for (const skill of jobDescription.required_skills || []) requirements.set(skill.name, 'required');
+  return requirements;
+}
+
+/**
+ * Short description of a parsed posting to stand in for the goal in the summary prompt
+ * @param {Object} jobDescription - Output of parseJobDescription
+ * @returns {string} e.g. "Senior Backend Engineer (senior, 5+ years, fintech)"
+ */
+function describeJobDescription(jobDescription) {
+  const years = jobDescription.years_experience;
+  const details = [
+    jobDescription.seniority,
+    years && (years.max ? `${years.min}-${years.max} years` : `${years.min}+ years`),
+    jobDescription.domain
+  ].filter(Boolean);
+  const title = jobDescription.title || 'the job posting';
+  return details.length > 0 ? `${title} (${details.join(', ')})` : title;
+}
+
 /**
  * Find matching taxonomy category using string similarity
  * @param {string} categoryName - Category name to match
@@ -264,7 +318,7 @@ function calculateStringSimilarity(str1, str2) {
  * @param {Object} userSkillListWithLevels - User's skills with levels
  * @returns {Object|null} Found skill with level or null
  */
-function findUserSkill(skillName, userSkillListWithLevels) {
+export function findUserSkill(skillName, userSkillListWithLevels) {
   // Remove punctuation from skill name
   skillName = skillName.replace(/[^\w\s]/gi, '');
 
@@ -0,0 +1,135 @@
+import { supabase } from '../config/supabase.js';
+import { getLeetCodeStats } from './leetcodeService.js';
+import { getStoredLeetCodeProfile } from './leetcodeEmbedService.js';
+import { inferSkillLevels, leetcodeTagCounts } from '../utils/skillLevelInference.js';
+import { SKILL_LEVELS, normalizeLevel } from '../utils/resumeSchema.js';
+
+const OVERRIDES_TABLE = 'skill_level_overrides';
+const MAX_REASON_LENGTH = 500;
+
+/**
+ * Infer a level for each skill of a profile from its evidence, the user's LeetCode stats and their overrides
+ * @param {string} userId - User ID
+ * @param {Object} profile - { technical_skills, experience, projects }
+ * @param {Object} options - { leetcodeUsername } to fetch LeetCode stats live instead of using the stored ones
+ * @returns {Object} { skills, leetcode_source, overrides_count }
+ */
+export async function resolveSkillLevels(userId, profile, { leetcodeUsername = null } = {}) {
+  const [leetcode, overrides] = await Promise.all([
+    readLeetCodeTags(userId, leetcodeUsername),
+    getSkillLevelOverrides(userId)
+  ]);
+
+  const skills = inferSkillLevels(profile, {
+    leetcodeTags: leetcode.tags,
+    overrides: Object.fromEntries(overrides.map(override => [override.skill_name, override]))
+  });
+  console.log(`Inferred levels for ${skills.length} skills of user ${userId} (LeetCode: ${leetcode.source || 'none'})`);
+
+  return {
+    skills,
+    leetcode_source: leetcode.source,
+    overrides_count: overrides.length
+  };
+}
+
+/**
+ * Read a user's level overrides
+ * @param {string} userId - User ID
+ * @returns {Array} [{ skill_name, level, reason, created_at }]
+ */
+export async function getSkillLevelOverrides(userId) {
+  const { data, error } = await supabase
+    .from(OVERRIDES_TABLE)
+    .select('skill_name, level, reason, created_at')
+    .eq('userid', userId);
+
+  if (error) {
+    throw new Error(`Failed to read skill level overrides: ${error.message}`);
+  }
+  return data || [];
+}
+
+/**
+ * Check a PUT /skill-levels/:skill body
+ * @param {Object} body - { level, reason }
+ * @returns {Array} Error messages, empty when the override is usable
+ */
+export function validateSkillLevelOverride(body) {
+  const errors = [];
+  if (!normalizeLevel(body?.level)) {
+    errors.push(`level must be one of ${SKILL_LEVELS.join(', ')}`);
+  }
+  if (typeof body?.reason !== 'string' || !body.reason.trim()) {
+    errors.push('reason must be a non-empty string');
+  } else if (body.reason.length > MAX_REASON_LENGTH) {
+    errors.push(`reason must be at most ${MAX_REASON_LENGTH} characters`);
+  }
+  return errors;
+}
+
+/**
+ * Override the inferred level of one skill. Skill names are stored lowercased, as overrides match skills
+ * in any casing.
+ * @param {string} userId - User ID
+ * @param {string} skillName - Skill name as it appears in GET /skill-levels
+ * @param {Object} override - { level, reason } checked by validateSkillLevelOverride
+ * @returns {Object} The stored override
+ */
+export async function setSkillLevelOverride(userId, skillName, { level, reason }) {
+  const { data, error } = await supabase
+    .from(OVERRIDES_TABLE)
+    .upsert({
+      userid: userId,
+      skill_name: skillName.trim().toLowerCase(),
+      level: normalizeLevel(level),
+      reason: reason.trim(),
+      created_at: new Date().toISOString()
+    }, { onConflict: ['userid', 'skill_name'] })
+    .select('skill_name, level, reason, created_at')
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to store skill level override: ${error.message}`);
+  }
+  console.log(`User ${userId} set ${data.skill_name} to ${data.level}`);
+  return data;
+}
+
+/**
+ * Remove an override so the inferred level applies again
+ * @param {string} userId - User ID
+ * @param {string} skillName - Skill name, in any casing
+ * @returns {boolean} Whether an override was removed
+ */
+export async function removeSkillLevelOverride(userId, skillName) {
+  const { count, error } = await supabase
+    .from(OVERRIDES_TABLE)
+    .delete({ count: 'exact' })
+    .eq('userid', userId)
+    // ilike without wildcards also catches rows stored before names were lowercased
+    .ilike('skill_name', skillName.trim().replace(/[\\%_]/g, '\\$&'));
+
+  if (error) {
+    throw new Error(`Failed to remove skill level override: ${error.message}`);
+  }
+  return (count || 0) > 0;
+}
+
+// LeetCode tag counts, live when a username is given, otherwise from the stored LeetCode profile if there is one
+async function readLeetCodeTags(userId, leetcodeUsername) {
+  if (leetcodeUsername) {
+    const stats = await getLeetCodeStats(leetcodeUsername);
+    return { source: 'live', tags: leetcodeTagCounts({ categoryStats: stats.categoryStats }) };
+  }
+
+  try {
+    const payload = await getStoredLeetCodeProfile(userId);
+    if (!payload) return { source: null, tags: {} };
+    return { source: 'stored', tags: leetcodeTagCounts({ payload }) };
+  } catch (error) {
+    // Levels can still be inferred from the profile alone
+    console.warn(`Failed to read stored LeetCode stats for ${userId}:`, error.message);
+    return { source: null, tags: {} };
+  }
+}
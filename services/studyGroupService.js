@@ -0,0 +1,161 @@
+import { randomUUID } from 'crypto';
+import { qdrant } from '../config/qdrant.js';
+import { supabase } from '../config/supabase.js';
+import { mapWithConcurrency } from '../utils/concurrency.js';
+import { formStudyGroups } from '../utils/studyGroups.js';
+import { analyzeSkillGaps } from './skillGapService.js';
+
+const USER_PROFILES_COLLECTION = 'user_profiles';
+const GROUPS_TABLE = 'study_groups';
+const PAGE_SIZE = 256;
+// Gap analyses run at once; each one makes an embedding request and a vector search
+const GAP_ANALYSIS_CONCURRENCY = 3;
+export const MAX_STUDY_GROUP_USERS = 500;
+
+/**
+ * Group users with a learning goal into study groups and save them as one run
+ * @param {Object} options - { userIds } to group (default: every profile with a goal), { groupSize },
+ * { maxGroupSize }, { excludedPairs } and { createdBy }
+ * @returns {Object} { run_id, groups, unassigned, skipped } where skipped lists requested users without
+ * a profile or a learning goal
+ */
+export async function createStudyGroups({ userIds = null, groupSize = 4, maxGroupSize = groupSize + 1, excludedPairs = [], createdBy = null } = {}) {
+  const profiles = await readGoalProfiles(userIds);
+  const skipped = userIds
+    ? userIds.filter(userId => !profiles.some(profile => profile.user_id === userId))
+    : [];
+  if (profiles.length > MAX_STUDY_GROUP_USERS) {
+    throw new Error(`Study groups are limited to ${MAX_STUDY_GROUP_USERS} users at once, found ${profiles.length}`);
+  }
+  console.log(`Forming study groups of ${groupSize} from ${profiles.length} users`);
+
+  const users = await mapWithConcurrency(profiles, GAP_ANALYSIS_CONCURRENCY, async profile => ({
+    ...profile,
+    gaps: await gapSkills(profile.user_id)
+  }));
+
+  const { groups, unassigned } = formStudyGroups(users, { groupSize, maxGroupSize, excludedPairs });
+
+  const runId = randomUUID();
+  let saved = [];
+  if (groups.length > 0) {
+    const { data, error } = await supabase
+      .from(GROUPS_TABLE)
+      .insert(groups.map((group, index) => ({
+        run_id: runId,
+        group_number: index + 1,
+        member_ids: group.members.map(member => member.user_id),
+        members: group.members,
+        anchor_id: group.anchor_id,
+        shared_gaps: group.shared_gaps,
+        similarity: group.similarity,
+        created_by: createdBy
+      })))
+      .select();
+
+    if (error) {
+      throw new Error(`Failed to store study groups: ${error.message}`);
+    }
+    saved = data || [];
+  }
+  console.log(`Stored ${saved.length} study groups in run ${runId}, ${unassigned.length} users unassigned`);
+
+  return { run_id: runId, groups: saved, unassigned, skipped };
+}
+
+/**
+ * List the study groups of one run, or of the latest run
+ * @param {string|null} runId - Run ID
+ * @returns {Object|null} { run_id, groups }, or null if there is no such run
+ */
+export async function listStudyGroups(runId = null) {
+  let id = runId;
+  if (!id) {
+    const { data: latest, error: latestError } = await supabase
+      .from(GROUPS_TABLE)
+      .select('run_id')
+      .order('created_at', { ascending: false })
+      .limit(1);
+
+    if (latestError) {
+      throw new Error(`Failed to read study groups: ${latestError.message}`);
+    }
+    id = latest?.[0]?.run_id;
+    if (!id) return null;
+  }
+
+  const { data, error } = await supabase
+    .from(GROUPS_TABLE)
+    .select('*')
+    .eq('run_id', id)
+    .order('group_number', { ascending: true });
+
+  if (error) {
+    throw new Error(`Failed to read study groups: ${error.message}`);
+  }
+  if (!data || data.length === 0) return null;
+
+  return { run_id: id, groups: data };
+}
+
+/**
+ * Study groups a user belongs to, newest first
+ * @param {string} userId - User ID
+ * @returns {Array} Groups
+ */
+export async function getUserStudyGroups(userId) {
+  const { data, error } = await supabase
+    .from(GROUPS_TABLE)
+    .select('id, run_id, group_number, members, shared_gaps, created_at')
+    .contains('member_ids', [userId])
+    .order('created_at', { ascending: false });
+
+  if (error) {
+    throw new Error(`Failed to read study groups: ${error.message}`);
+  }
+  return data || [];
+}
+
+// Profiles with a goal vector; the goal is what a study group is formed around
+async function readGoalProfiles(userIds) {
+  const profiles = [];
+  let offset = undefined;
+  do {
+    const page = await qdrant.scroll(USER_PROFILES_COLLECTION, {
+      limit: PAGE_SIZE,
+      offset,
+      filter: {
+        must: [
+          { key: 'has_learning_goal', match: { value: true } },
+          ...(userIds ? [{ key: 'user_id', match: { any: userIds } }] : [])
+        ]
+      },
+      with_payload: ['user_id', 'user_name', 'skills_list_with_level'],
+      with_vector: ['goal']
+    });
+    profiles.push(...page.points
+      .filter(point => point.vector?.goal)
+      .map(point => ({
+        user_id: point.payload.user_id,
+        user_name: point.payload.user_name,
+        skills: point.payload.skills_list_with_level || {},
+        goal_vector: point.vector.goal
+      })));
+    offset = page.next_page_offset ?? undefined;
+  } while (offset !== undefined);
+  return profiles;
+}
+
+async function gapSkills(userId) {
+  try {
+    const analysis = await analyzeSkillGaps(userId, { summarize: false });
+    return (analysis?.analysis || []).flatMap(category => [
+      ...category.skills.gaps.map(skill => skill.name),
+      ...category.skills.needs_improvement.map(skill => skill.name)
+    ]);
+  } catch (error) {
+    // A user whose gaps cannot be analyzed is still grouped by goal alone
+    console.warn(`Gap analysis failed for ${userId}:`, error.message);
+    return [];
+  }
+}
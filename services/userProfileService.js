@@ -1,10 +1,19 @@
+import { randomUUID } from 'crypto';
 import { openai } from '../config/openai.js';
 import { qdrant } from '../config/qdrant.js';
-import { ensureCollection } from '../utils/vectorStore.js';
+import { ensureCollection, usesNamedVectors } from '../utils/vectorStore.js';
+import { buildProfileSections, profileVectorsConfig, PROFILE_VECTORS } from '../utils/profileVectors.js';
 import { supabase } from '../config/supabase.js';
 import { atsScore } from './atsService.js';
+import { buildSkillTimeline } from '../utils/skillTimeline.js';
+import { mergeProfile } from '../utils/profileMerge.js';
+import { scoreProfileCompleteness } from '../utils/profileCompleteness.js';
+import { getActiveResume } from './resumeVersionService.js';
+import { getStoredLeetCodeProfile } from './leetcodeEmbedService.js';
+import { resolveSkillLevels } from './skillLevelService.js';
 
 const COLLECTION_NAME = 'user_profiles';
+let collectionChecked = false;
 
 /**
  * Create or update user profile in vector database
@@ -13,39 +22,36 @@ const COLLECTION_NAME = 'user_profiles';
  */
 export async function createUserProfile(profileData) {
   try {
-    await ensureCollection(COLLECTION_NAME);
+    await ensureProfileCollection();
     
-    const { user_id, name, technical_skills, inferred_areas_of_strength, goal, experience, projects } = profileData;
+    const { user_id, name, technical_skills, inferred_areas_of_strength, goal } = profileData;
+    // Projects and experience entries get ids so PATCH /user-profile can replace them one by one
+    const experience = withEntryIds(profileData.experience);
+    const projects = withEntryIds(profileData.projects);
     
     // Check if user profile already exists
-    const existing = await qdrant.search(COLLECTION_NAME, {
-      vector: new Array(1536).fill(0), // dummy vector
-      filter: {
-        must: [{ key: "user_id", match: { value: user_id } }]
-      },
-      limit: 1
-    });
+    const existing = await getUserProfilePoint(user_id);
     
     let existingProfileId = null;
     let isUpdate = false;
     
-    if (existing && existing.length > 0) {
-      existingProfileId = existing[0].id;
+    if (existing) {
+      existingProfileId = existing.id;
       isUpdate = true;
       console.log(`Updating existing profile for user: ${user_id} ${name}`);
     } else {
       console.log(`Creating new profile for user: ${user_id} ${name}`);
     }
 
-    // Build comprehensive user profile text
-    const profileText = buildProfileText({
-      name,
+    // Each section gets its own named vector; the combined text is kept in the payload
+    const sections = buildProfileSections({
       technical_skills,
       inferred_areas_of_strength,
       goal,
       experience,
       projects
     });
+    const profileText = buildProfileText(name, sections);
 
     // Create skills list with levels for easy matching
     const skillsListWithLevel = {};
@@ -57,23 +63,48 @@ export async function createUserProfile(profileData) {
       }
     }
 
-    // Create embedding for the profile
-    const embedding = await embedText(profileText);
+    // Matching uses the effective level: the user's override, otherwise the level inferred from the evidence.
+    // The submitted levels stay in `profile` as the self-assessment the inference starts from.
+    const skillLevels = await effectiveSkillLevels(user_id, { technical_skills, experience, projects });
+    for (const skillName of Object.keys(skillsListWithLevel)) {
+      skillsListWithLevel[skillName] = skillLevels[skillName.toLowerCase()] || skillsListWithLevel[skillName];
+    }
+
+    // Months of use and last use per skill, from the dated experience and project entries
+    const skillTenure = buildSkillTimeline({ experience, projects });
+
+    // Embed every non-empty section; a point may carry only some of the named vectors
+    const vectors = await embedSections(sections);
+
+    const completeness = await completenessFor(user_id, { goal, technical_skills, experience, projects });
     
     const point = {
       id: existingProfileId || Date.now(),
-      vector: embedding,
+      vector: vectors,
       payload: {
         user_id,
         user_name: name,
         profile_text: profileText,
+        profile_vectors: Object.keys(vectors),
         skills_count: technical_skills ? technical_skills.reduce((total, cat) => total + cat.skills.length, 0) : 0,
         skills_list_with_level: skillsListWithLevel,
+        skill_tenure: skillTenure.skills,
+        technology_tenure: skillTenure.technologies,
+        total_professional_months: skillTenure.total_professional_months,
         projects_count: projects ? projects.length : 0,
         experience_count: experience ? experience.length : 0,
         learning_goal: goal || '',
         has_learning_goal: !!goal,
-        created_at: isUpdate ? existing[0].payload.created_at : new Date().toISOString(),
+        profile_completeness: completeness.score,
+        // The submitted profile, which partial updates are merged into
+        profile: {
+          technical_skills: technical_skills || [],
+          inferred_areas_of_strength: inferred_areas_of_strength || [],
+          goal: goal || null,
+          experience: experience || [],
+          projects: projects || []
+        },
+        created_at: isUpdate ? existing.payload.created_at : new Date().toISOString(),
         updated_at: isUpdate ? new Date().toISOString() : undefined
       }
     };
@@ -107,35 +138,27 @@ export async function createUserProfile(profileData) {
     }
 
     //calculate and store ats score
-    const ats_score_raw = await atsScore(user_id);
-    console.log("Ats score raw", ats_score_raw);
-    
-    const ats_score_value = typeof ats_score_raw === 'string'
-      ? Number(ats_score_raw.replace('%', '').trim())
-      : Number(ats_score_raw);
-
-
-    if (typeof ats_score_value === 'number') {
-      console.log('ATS Score calculated successfully:', ats_score_value);
+    let ats = null;
+    try {
+      ats = await atsScore(user_id);
+      if (!ats) throw new Error('No parsed resume found for user');
+      console.log('ATS Score calculated successfully:', ats.score);
 
       //store/update ats score
-      try {
-        console.log("updating ats score in database");
-        const { data, error } = await supabase
-          .from('resumes')
-          .update({ ats_score: ats_score_value })
-          .eq('userid', user_id);
+      console.log("updating ats score in database");
+      const { data, error } = await supabase
+        .from('resumes')
+        .update({ ats_score: ats.score })
+        .eq('userid', user_id);
 
-        if (error) {
-          console.error('Error storing ATS score in database:', error);
-        } else {
-          console.log('ATS score successfully stored/updated in database for user:', user_id);
-        }
-      } catch (dbError) {
-        console.error('Database operation failed:', dbError);
+      if (error) {
+        console.error('Error storing ATS score in database:', error);
+      } else {
+        console.log('ATS score successfully stored/updated in database for user:', user_id);
       }
-    } else {
-      console.log('Failed to calculate ATS Score');
+    } catch (atsError) {
+      // A missing resume should not stop the profile from being saved
+      console.error('Failed to calculate ATS Score:', atsError.message);
     }
 
 
@@ -151,7 +174,7 @@ export async function createUserProfile(profileData) {
           skillsToUpsert.push({
             userid: user_id,
             skill_name: skill.name,
-            skill_level: skill.level,
+            skill_level: skillsListWithLevel[skill.name] ?? skill.level,
             skill_category: category.category || null
           });
         }
@@ -189,11 +212,32 @@ export async function createUserProfile(profileData) {
       console.log("didnt find user ID or skills");
     }
 
+    // Skills the previous profile had and this one does not are removed from the skills table as well
+    const removedSkills = Object.keys(existing?.payload.skills_list_with_level || {})
+      .filter(skillName => !(skillName in skillsListWithLevel));
+    if (user_id && removedSkills.length > 0) {
+      const { error } = await supabase
+        .from('skills')
+        .delete()
+        .eq('userid', user_id)
+        .in('skill_name', removedSkills);
+
+      if (error) {
+        console.error('Error removing skills from database:', error);
+      } else {
+        console.log(`Removed ${removedSkills.length} skills from database for user:`, user_id);
+      }
+    }
+
     return {
       success: true,
       message: `User profile ${isUpdate ? 'updated' : 'created'} successfully`,
       user: name,
       profile_text: profileText,
+      profile: point.payload.profile,
+      skill_tenure: skillTenure,
+      completeness,
+      ats,
       action: isUpdate ? 'updated' : 'created'
     };
     
@@ -204,101 +248,217 @@ export async function createUserProfile(profileData) {
 }
 
 /**
- * Update existing user profile
- * @param {string} name - User name
- * @param {Object} updates - Profile updates
- * @returns {Object} Result of the operation
+ * Merge a partial update into the user's stored profile, then re-embed and store it
+ * @param {string} userId - User ID
+ * @param {Object} patch - Body checked by validateProfilePatch
+ * @returns {Object|null} createUserProfile's result with the merge `changes`, or null if the user has no profile
  */
-export async function updateUserProfile(name, updates) {
-  // For now, just call createUserProfile which handles updates
-  return createUserProfile({ name, ...updates });
+export async function updateUserProfile(userId, patch) {
+  const existing = await getUserProfilePoint(userId);
+  if (!existing) return null;
+
+  const { profile, changes } = mergeProfile(await storedProfile(existing), patch);
+  // Field names and counts only: the patch itself holds the user's goal, roles and projects
+  const counts = Object.entries(changes)
+    .filter(([field]) => field !== 'not_found')
+    .map(([field, change]) => `${field} +${Array.isArray(change.added) ? change.added.length : change.added} ~${(change.updated || change.replaced).length} -${change.removed.length}`);
+  console.log(`Patching profile for user: ${userId} (fields: ${Object.keys(patch).join(', ') || 'none'}; ${counts.join(', ')})`);
+
+  const result = await createUserProfile({ user_id: userId, ...profile });
+  return { ...result, changes };
 }
 
 /**
- * Build profile text for embedding
- * @param {Object} data - Profile data
- * @returns {string} Formatted profile text
+ * Infer the level of each of a user's skills and write the effective levels (override, otherwise inferred)
+ * back to `skills_list_with_level` and the skills table, which gap analysis, mentor matching and study groups read
+ * @param {string} userId - User ID
+ * @param {Object} options - { leetcodeUsername } to fetch LeetCode stats live instead of using the stored ones
+ * @returns {Object|null} resolveSkillLevels result, or null if the user has no profile
  */
-function buildProfileText({ name, technical_skills, inferred_areas_of_strength, goal, experience, projects }) {
-  let profileText = `Name: ${name}\n`;
+export async function getSkillLevels(userId, { leetcodeUsername = null } = {}) {
+  const point = await getUserProfilePoint(userId);
+  if (!point) return null;
 
-  // Add skills section
-  if (technical_skills && Array.isArray(technical_skills)) {
-    const skillsList = [];
-    for (const category of technical_skills) {
-      if (category.skills && Array.isArray(category.skills)) {
-        for (const skill of category.skills) {
-          skillsList.push(`${skill.level} in ${skill.name}`);
-        }
-      }
-    }
-    if (skillsList.length > 0) {
-      profileText += `Skills: ${skillsList.join(', ')}\n`;
-    }
-  }
-  
-  // Add projects section
-  if (projects && Array.isArray(projects)) {
-    const projectDescriptions = projects.map(project => {
-      let techString = 'various technologies';
-      if (Array.isArray(project.technologies)) {
-        techString = project.technologies.join(', ');
-      } else if (typeof project.technologies === 'string') {
-        techString = project.technologies;
-      }
-      return `${project.name} using ${techString}`;
+  const profile = await storedProfile(point);
+  const result = await resolveSkillLevels(userId, profile, { leetcodeUsername });
+
+  const stored = point.payload.skills_list_with_level || {};
+  const levels = Object.fromEntries(result.skills.map(skill => [skill.skill.toLowerCase(), skill]));
+  const changed = Object.keys(stored)
+    .filter(skillName => levels[skillName.toLowerCase()] && levels[skillName.toLowerCase()].level !== stored[skillName]);
+  if (changed.length > 0) {
+    const skillsListWithLevel = { ...stored };
+    for (const skillName of changed) skillsListWithLevel[skillName] = levels[skillName.toLowerCase()].level;
+
+    await qdrant.setPayload(COLLECTION_NAME, {
+      wait: true,
+      points: [point.id],
+      payload: { skills_list_with_level: skillsListWithLevel }
     });
-    if (projectDescriptions.length > 0) {
-      profileText += `Projects: ${projectDescriptions.join('. ')}\n`;
+    const { error } = await supabase
+      .from('skills')
+      .upsert(changed.map(skillName => ({
+        userid: userId,
+        skill_name: skillName,
+        skill_level: levels[skillName.toLowerCase()].level,
+        skill_category: levels[skillName.toLowerCase()].category
+      })), { onConflict: ['userid', 'skill_name'] });
+    if (error) {
+      console.error('Error storing skill levels in database:', error);
     }
+    console.log(`Updated ${changed.length} skill levels for user: ${userId}`);
   }
-  
-  // Add experience section
-  if (experience && Array.isArray(experience)) {
-    const experienceDescriptions = experience.map(exp => {
-      let techString = 'various technologies';
-      if (Array.isArray(exp.technologies)) {
-        techString = exp.technologies.join(', ');
-      } else if (typeof exp.technologies === 'string') {
-        techString = exp.technologies;
-      }
-      return `${exp.duration || ''} ${exp.role} at ${exp.company} (${techString})`;
+  return result;
+}
+
+/**
+ * Score the completeness of a user's stored profile and refresh the score kept in the payload, which
+ * may be stale when the resume or LeetCode link changed after the last profile write
+ * @param {string} userId - User ID
+ * @returns {Object|null} scoreProfileCompleteness result, or null if the user has no profile
+ */
+export async function getProfileCompleteness(userId) {
+  const point = await getUserProfilePoint(userId);
+  if (!point) return null;
+
+  const completeness = await completenessFor(userId, await storedProfile(point));
+  if (point.payload.profile_completeness !== completeness.score) {
+    await qdrant.setPayload(COLLECTION_NAME, {
+      wait: true,
+      points: [point.id],
+      payload: { profile_completeness: completeness.score }
     });
-    if (experienceDescriptions.length > 0) {
-      profileText += `Experience: ${experienceDescriptions.join('. ')}\n`;
-    }
+    console.log(`Profile completeness for ${userId} is now ${completeness.score}%`);
+  }
+  return completeness;
+}
+
+/**
+ * Fetch a user's point in user_profiles
+ * @param {string} userId - User ID
+ * @param {Object} options - { withVector } to include the named vectors
+ * @returns {Object|null} Point with payload, or null if the user has no profile
+ */
+export async function getUserProfilePoint(userId, { withVector = false } = {}) {
+  const { points } = await qdrant.scroll(COLLECTION_NAME, {
+    filter: {
+      must: [{ key: "user_id", match: { value: userId } }]
+    },
+    limit: 1,
+    with_payload: true,
+    with_vector: withVector
+  });
+  return points?.[0] || null;
+}
+
+/**
+ * The structured profile behind a point. Points stored before the payload kept it fall back to the
+ * active resume, so a patch does not wipe their projects and experience.
+ * @param {Object} point - Point from getUserProfilePoint
+ * @returns {Object} { name, goal, technical_skills, inferred_areas_of_strength, experience, projects }
+ */
+export async function storedProfile(point) {
+  const payload = point.payload;
+  if (payload.profile) {
+    return { name: payload.user_name, ...payload.profile };
   }
-  
-  // Add learning goals
-  if (goal) {
-    profileText += `Learning Goals: ${goal}\n`;
+
+  const active = await getActiveResume(payload.user_id);
+  const payloadSkills = Object.entries(payload.skills_list_with_level || {}).map(([skillName, level]) => ({ name: skillName, level }));
+  return {
+    name: payload.user_name,
+    goal: payload.learning_goal || active?.current_goal || null,
+    technical_skills: active?.resume.technical_skills
+      || (payloadSkills.length > 0 ? [{ category: 'Other', skills: payloadSkills }] : []),
+    inferred_areas_of_strength: active?.resume.inferred_areas_of_strength || [],
+    experience: withEntryIds(active?.resume.experience),
+    projects: withEntryIds(active?.resume.projects)
+  };
+}
+
+// Lowercase skill name -> effective level; the submitted levels are kept if inference fails
+async function effectiveSkillLevels(userId, profile) {
+  try {
+    const { skills } = await resolveSkillLevels(userId, profile);
+    return Object.fromEntries(skills.map(skill => [skill.skill.toLowerCase(), skill.level]));
+  } catch (error) {
+    console.warn(`Failed to infer skill levels for ${userId}:`, error.message);
+    return {};
   }
-  
-  // Add areas of strength
-  if (inferred_areas_of_strength) {
-    let strengthString = '';
-    if (Array.isArray(inferred_areas_of_strength)) {
-      strengthString = inferred_areas_of_strength.join(', ');
-    } else if (typeof inferred_areas_of_strength === 'string') {
-      strengthString = inferred_areas_of_strength;
-    }
-    if (strengthString) {
-      profileText += `Areas of Strength: ${strengthString}\n`;
-    }
+}
+
+/**
+ * Score a profile's completeness against the user's active resume and LeetCode link. Either lookup
+ * failing leaves that part out rather than failing the profile write.
+ * @param {string} userId - User ID
+ * @param {Object} profile - { goal, technical_skills, experience, projects }
+ * @returns {Object} scoreProfileCompleteness result
+ */
+async function completenessFor(userId, profile) {
+  const [resume, leetcode] = await Promise.all([
+    getActiveResume(userId).catch(error => {
+      console.warn(`Failed to read active resume for completeness of ${userId}:`, error.message);
+      return null;
+    }),
+    getStoredLeetCodeProfile(userId).catch(error => {
+      console.warn(`Failed to read LeetCode stats for completeness of ${userId}:`, error.message);
+      return null;
+    })
+  ]);
+  return scoreProfileCompleteness(profile, { resume, leetcodeLinked: Boolean(leetcode) });
+}
+
+function withEntryIds(entries) {
+  if (!Array.isArray(entries)) return entries;
+  return entries.map(entry => (entry && typeof entry === 'object' && !entry.id ? { id: randomUUID(), ...entry } : entry));
+}
+
+/**
+ * Make sure user_profiles exists with the named section vectors
+ */
+async function ensureProfileCollection() {
+  if (collectionChecked) return;
+  await ensureCollection(COLLECTION_NAME, { vectors: profileVectorsConfig() });
+  if (!(await usesNamedVectors(COLLECTION_NAME))) {
+    throw new Error(`${COLLECTION_NAME} still stores a single vector per profile; run npm run migrate-profile-vectors first`);
+  }
+  // Collections created before the completeness score existed lack its index; creating it again is a no-op
+  try {
+    await qdrant.createPayloadIndex(COLLECTION_NAME, { field_name: 'profile_completeness', field_schema: 'integer' });
+  } catch (error) {
+    console.warn('Failed to create index for profile_completeness:', error.message);
   }
+  collectionChecked = true;
+}
 
+/**
+ * Build profile text for the payload
+ * @param {string} name - User name
+ * @param {Object} sections - Section texts from buildProfileSections
+ * @returns {string} Formatted profile text
+ */
+function buildProfileText(name, sections) {
+  let profileText = `Name: ${name}\n`;
+  for (const vectorName of PROFILE_VECTORS) {
+    if (sections[vectorName]) {
+      profileText += `${sections[vectorName]}\n`;
+    }
+  }
   return profileText;
 }
 
 /**
- * Create text embedding using OpenAI
- * @param {string} text - Text to embed
- * @returns {Array} Embedding vector
+ * Embed each non-empty section in one request
+ * @param {Object} sections - Section name -> text or null
+ * @returns {Object} Section name -> embedding
  */
-async function embedText(text) {
+export async function embedSections(sections) {
+  const names = PROFILE_VECTORS.filter(vectorName => sections[vectorName]);
+  if (names.length === 0) return {};
+
   const response = await openai.embeddings.create({
     model: 'text-embedding-3-small',
-    input: text,
+    input: names.map(vectorName => sections[vectorName])
   });
-  return response.data[0].embedding;
+  return Object.fromEntries(names.map((vectorName, index) => [vectorName, response.data[index].embedding]));
 }
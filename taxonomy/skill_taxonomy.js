@@ -4,27 +4,43 @@ export const skill_taxonomy = [
     "skills": [
       {
         "name": "Arrays & Strings",
-        "description": "Understanding indexing, slicing, and common operations on arrays and strings."
+        "description": "Understanding indexing, slicing, and common operations on arrays and strings.",
+        "aliases": ["string manipulation"],
+        "exact_aliases": ["arrays", "strings"]
       },
       {
         "name": "Linked Lists",
-        "description": "Implementing and manipulating singly and doubly linked lists."
+        "description": "Implementing and manipulating singly and doubly linked lists.",
+        "aliases": ["linked list", "doubly linked list"]
       },
       {
         "name": "Stacks & Queues",
-        "description": "Applying stack and queue operations for problems involving order and scheduling."
+        "description": "Applying stack and queue operations for problems involving order and scheduling.",
+        "aliases": ["monotonic stack"],
+        "exact_aliases": ["stacks", "queue", "queues"]
+      },
+      {
+        "name": "Heaps & Priority Queues",
+        "description": "Using binary heaps and priority queues for top-k, scheduling, and shortest-path problems.",
+        "aliases": ["priority queue", "priority queues", "min heap", "max heap", "binary heap"],
+        "exact_aliases": ["heap", "heaps"]
       },
       {
         "name": "Trees & Graphs",
-        "description": "Traversing, building, and optimizing data in trees and graphs using DFS, BFS, etc."
+        "description": "Traversing, building, and optimizing data in trees and graphs using DFS, BFS, etc.",
+        "aliases": ["binary trees", "graph algorithms", "bfs", "dfs"],
+        "exact_aliases": ["trees", "graphs"]
       },
       {
         "name": "Dynamic Programming",
-        "description": "Breaking problems into subproblems and using memoization/tabulation for optimization."
+        "description": "Breaking problems into subproblems and using memoization/tabulation for optimization.",
+        "aliases": ["dp", "memoization"]
       },
       {
         "name": "Searching & Sorting",
-        "description": "Implementing binary search, merge sort, quick sort, and understanding time complexities."
+        "description": "Implementing binary search, merge sort, quick sort, and understanding time complexities.",
+        "aliases": ["binary search", "sorting algorithms"],
+        "exact_aliases": ["sorting", "searching"]
       }
     ]
   },
@@ -33,27 +49,40 @@ export const skill_taxonomy = [
     "skills": [
       {
         "name": "HTML and CSS",
-        "description": "Building static web pages using semantic HTML and responsive styling with CSS."
+        "description": "Building static web pages using semantic HTML and responsive styling with CSS.",
+        "aliases": ["html", "html5", "css", "css3", "tailwind", "tailwind css", "bootstrap", "sass", "scss"]
       },
       {
         "name": "JavaScript",
-        "description": "Writing interactive frontend logic and working with the DOM and async calls."
+        "description": "Writing interactive frontend logic and working with the DOM and async calls.",
+        "aliases": ["js", "es6"]
+      },
+      {
+        "name": "TypeScript",
+        "description": "Adding static types, interfaces, and generics to JavaScript codebases.",
+        "aliases": ["typescript"],
+        "exact_aliases": ["ts"]
       },
       {
         "name": "React",
-        "description": "Creating dynamic user interfaces using components, hooks, and state management."
+        "description": "Creating dynamic user interfaces using components, hooks, and state management.",
+        "aliases": ["react.js", "reactjs", "redux", "react hooks"]
       },
       {
         "name": "Nextjs",
-        "description": "Building full-stack React apps with routing, API routes, and SSR/SSG."
+        "description": "Building full-stack React apps with routing, API routes, and SSR/SSG.",
+        "aliases": ["next.js", "nextjs"]
       },
       {
         "name": "Nodejs and Expressjs",
-        "description": "Creating REST APIs, handling routing, and managing middleware and authentication."
+        "description": "Creating REST APIs, handling routing, and managing middleware and authentication.",
+        "aliases": ["node.js", "nodejs", "express.js", "expressjs", "rest api", "rest apis"],
+        "exact_aliases": ["node", "express"]
       },
       {
         "name": "Authentication",
-        "description": "Securing web apps using JWT, OAuth, session-based auth, and role-based access."
+        "description": "Securing web apps using JWT, OAuth, session-based auth, and role-based access.",
+        "aliases": ["jwt", "oauth", "oauth2", "passport.js", "session authentication"]
       }
     ]
   },
@@ -62,19 +91,28 @@ export const skill_taxonomy = [
     "skills": [
       {
         "name": "SQL",
-        "description": "Writing queries, joins, subqueries, and understanding schema design."
+        "description": "Writing queries, joins, subqueries, and understanding schema design.",
+        "aliases": ["mysql", "sqlite", "sql server", "t-sql"]
       },
       {
         "name": "PostgreSQL",
-        "description": "Using Postgres features like indexes, constraints, and functions for scalable DBs."
+        "description": "Using Postgres features like indexes, constraints, and functions for scalable DBs.",
+        "aliases": ["postgres", "postgresql fts"]
       },
       {
         "name": "NoSQL (MongoDB)",
-        "description": "Working with flexible schemas, aggregation pipelines, and document-based storage."
+        "description": "Working with flexible schemas, aggregation pipelines, and document-based storage.",
+        "aliases": ["mongodb", "mongo", "nosql", "mongoose"]
+      },
+      {
+        "name": "Redis",
+        "description": "Caching, sessions, rate limiting, and pub/sub with an in-memory key-value store.",
+        "aliases": ["redis cache"]
       },
       {
         "name": "ORMs (Prisma/SQLAlchemy)",
-        "description": "Using object-relational mapping tools to interact with databases in code."
+        "description": "Using object-relational mapping tools to interact with databases in code.",
+        "aliases": ["orm", "prisma", "sqlalchemy", "sequelize", "typeorm", "drizzle"]
       }
     ]
   },
@@ -83,27 +121,34 @@ export const skill_taxonomy = [
     "skills": [
       {
         "name": "Prompt Engineering",
-        "description": "Designing effective prompts for language models to produce reliable outputs."
+        "description": "Designing effective prompts for language models to produce reliable outputs.",
+        "aliases": ["prompting", "prompt design"]
       },
       {
         "name": "RAG",
-        "description": "Retrieval-augmented generation using vector DBs to feed context to LLMs."
+        "description": "Retrieval-augmented generation using vector DBs to feed context to LLMs.",
+        "aliases": ["retrieval augmented generation", "retrieval-augmented generation"]
       },
       {
         "name": "Embeddings & Vector DBs",
-        "description": "Generating vector representations and storing/searching them in vector databases."
+        "description": "Generating vector representations and storing/searching them in vector databases.",
+        "aliases": ["embeddings", "vector database", "vector databases", "vector db", "qdrant", "pinecone", "weaviate", "chroma", "faiss", "pgvector", "milvus", "openai embeddings"]
       },
       {
         "name": "LangChain",
-        "description": "Composing chains of LLM tasks, tools, and agents to build AI workflows."
+        "description": "Composing chains of LLM tasks, tools, and agents to build AI workflows.",
+        "aliases": ["langgraph", "llamaindex"]
       },
       {
         "name": "OpenAI Assistants API",
-        "description": "Using OpenAI's agent framework to create persistent assistants with tools and memory."
+        "description": "Using OpenAI's agent framework to create persistent assistants with tools and memory.",
+        "aliases": ["openai api", "openai", "gpt-4", "gpt-3.5", "chatgpt api"]
       },
       {
         "name": "Open Source LLMs",
-        "description": "Working with Hugging Face, Ollama, and other OSS model platforms for local AI."
+        "description": "Working with Hugging Face, Ollama, and other OSS model platforms for local AI.",
+        "aliases": ["hugging face", "huggingface", "ollama"],
+        "exact_aliases": ["llama", "mistral", "transformers"]
       }
     ]
   },
@@ -112,23 +157,31 @@ export const skill_taxonomy = [
     "skills": [
       {
         "name": "Git & GitHub",
-        "description": "Using Git for version control and collaborating through GitHub repositories and PRs."
+        "description": "Using Git for version control and collaborating through GitHub repositories and PRs.",
+        "aliases": ["git", "github", "gitlab", "bitbucket", "version control"]
       },
       {
         "name": "CI/CD",
-        "description": "Automating testing and deployments using pipelines like GitHub Actions or Vercel CI."
+        "description": "Automating testing and deployments using pipelines like GitHub Actions or Vercel CI.",
+        "aliases": ["github actions", "jenkins", "gitlab ci", "circleci", "continuous integration"]
       },
       {
         "name": "Docker",
-        "description": "Containerizing applications for consistent environments and easy deployment."
+        "description": "Containerizing applications for consistent environments and easy deployment.",
+        "aliases": ["docker compose", "docker-compose", "containerization"],
+        "exact_aliases": ["containers"]
       },
       {
         "name": "Linux/Bash",
-        "description": "Navigating servers and automating tasks using bash scripts and command-line tools."
+        "description": "Navigating servers and automating tasks using bash scripts and command-line tools.",
+        "aliases": ["linux", "bash", "shell scripting", "unix", "ubuntu", "kali linux", "wsl"],
+        "exact_aliases": ["shell"]
       },
       {
         "name": "Monitoring & Logs",
-        "description": "Using tools like Grafana, Prometheus, or simple logging to monitor system health."
+        "description": "Using tools like Grafana, Prometheus, or simple logging to monitor system health.",
+        "aliases": ["grafana", "prometheus", "datadog", "sentry"],
+        "exact_aliases": ["logging", "monitoring"]
       }
     ]
   }
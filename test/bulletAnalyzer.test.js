@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeBullet, rewriteBulletWithRules } from '../utils/bulletAnalyzer.js';
+
+test('a gerund after a weak opener becomes the past tense verb', () => {
+  assert.equal(rewriteBulletWithRules('Helped with testing of multiple features'), 'Tested features');
+  assert.equal(rewriteBulletWithRules('Responsible for managing a team of 4'), 'Managed a team of 4');
+  assert.equal(rewriteBulletWithRules('Worked on building the search service'), 'Built the search service');
+  assert.equal(rewriteBulletWithRules('Developing dashboards for sales'), 'Developed dashboards for sales');
+});
+
+test('noun phrases get a verb that matches the opener', () => {
+  assert.equal(rewriteBulletWithRules('Responsible for the API layer'), 'Owned the API layer');
+  assert.equal(rewriteBulletWithRules('Worked with designers on UI'), 'Collaborated with designers on UI');
+  assert.equal(rewriteBulletWithRules('Assisted in the migration of the billing service'), 'Contributed to the migration of the billing service');
+});
+
+test('returns null when no rule gives a sentence', () => {
+  assert.equal(rewriteBulletWithRules('Helped the team ship features'), null);
+  assert.equal(rewriteBulletWithRules('Assisted senior engineers'), null);
+  assert.equal(rewriteBulletWithRules('Did code reviews'), null);
+  assert.equal(rewriteBulletWithRules('Helped'), null);
+});
+
+test('only filler words are removed from a strong bullet', () => {
+  assert.equal(rewriteBulletWithRules('Built various APIs'), 'Built APIs');
+  assert.equal(rewriteBulletWithRules('Built APIs serving 2M requests a day'), null);
+});
+
+test('analyzeBullet flags weak openers and missing metrics', () => {
+  const types = analyzeBullet('Helped with testing of features').map(issue => issue.type);
+  assert.deepEqual(types, ['weak_opener', 'no_metric']);
+});
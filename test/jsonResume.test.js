@@ -0,0 +1,163 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { toJsonResume, fromJsonResume } from '../utils/jsonResume.js';
+import { normalizeResume } from '../utils/resumeSchema.js';
+
+const parsed = normalizeResume({
+  name: 'Asha Rao',
+  contact: { email: 'asha@example.com', phone: '+91 98765 43210', location: 'Pune, India', links: ['https://github.com/asha'] },
+  summary: 'Backend engineer',
+  experience: [
+    {
+      company: 'Acme',
+      role: 'Software Engineer',
+      duration: 'Jun 2022 - Present',
+      description: 'Built the billing API\nCut p95 latency by 40%',
+      technologies: ['Node.js', 'PostgreSQL']
+    },
+    {
+      company: 'Initech',
+      role: 'Intern',
+      duration: 'Jan 2021 - Jun 2021',
+      description: 'Wrote integration tests',
+      technologies: ['Python']
+    }
+  ],
+  projects: [
+    { name: 'SkillMap', type: 'Personal', duration: 'Mar 2023 - Aug 2023', description: 'Skill graph explorer', technologies: ['React', 'Qdrant'] }
+  ],
+  education: [
+    { institution: 'Pune University', degree: 'B.E. Computer Engineering', grade: '8.9 CGPA', duration: 'Aug 2018 - May 2022' }
+  ],
+  technical_skills: [
+    {
+      category: 'Web Development',
+      skills: [
+        { name: 'React', level: 'advanced' },
+        { name: 'Node.js', level: 'advanced' },
+        { name: 'GraphQL', level: 'beginner' },
+        { name: 'CSS', level: null }
+      ]
+    },
+    { category: 'Databases', skills: [{ name: 'PostgreSQL', level: 'intermediate' }] }
+  ]
+});
+
+test('fromJsonResume(toJsonResume(r)) keeps experience, projects and education', () => {
+  const roundTripped = fromJsonResume(toJsonResume(parsed));
+
+  assert.equal(roundTripped.name, parsed.name);
+  assert.deepEqual(
+    roundTripped.experience.map(({ company, role, description, technologies }) => ({ company, role, description, technologies })),
+    parsed.experience.map(({ company, role, description, technologies }) => ({ company, role, description, technologies }))
+  );
+  assert.deepEqual(
+    roundTripped.projects.map(({ name, type, description, technologies }) => ({ name, type, description, technologies })),
+    parsed.projects.map(({ name, type, description, technologies }) => ({ name, type, description, technologies }))
+  );
+  assert.deepEqual(
+    roundTripped.education.map(({ institution, degree, grade }) => ({ institution, degree, grade })),
+    parsed.education.map(({ institution, degree, grade }) => ({ institution, degree, grade }))
+  );
+});
+
+test('fromJsonResume(toJsonResume(r)) keeps dates and current', () => {
+  const roundTripped = fromJsonResume(toJsonResume(parsed));
+  const dates = entries => entries.map(({ start_date, end_date, current }) => ({ start_date, end_date, current }));
+
+  assert.deepEqual(dates(roundTripped.experience), [
+    { start_date: '2022-06', end_date: null, current: true },
+    { start_date: '2021-01', end_date: '2021-06', current: false }
+  ]);
+  assert.deepEqual(dates(roundTripped.experience), dates(parsed.experience));
+  assert.deepEqual(dates(roundTripped.projects), dates(parsed.projects));
+  assert.deepEqual(dates(roundTripped.education), dates(parsed.education));
+});
+
+test('fromJsonResume(toJsonResume(r)) keeps per-skill levels and their order', () => {
+  const roundTripped = fromJsonResume(toJsonResume(parsed));
+
+  assert.deepEqual(roundTripped.technical_skills, parsed.technical_skills);
+});
+
+const jsonResume = {
+  basics: {
+    name: 'Lee Chen',
+    label: 'Data engineer',
+    email: 'lee@example.com',
+    location: { city: 'Toronto', region: 'ON', countryCode: 'CA' },
+    profiles: [{ network: 'GitHub', username: 'leechen', url: 'https://github.com/leechen' }]
+  },
+  work: [
+    {
+      name: 'Globex',
+      position: 'Data Engineer',
+      startDate: '2021-09-01',
+      summary: 'Owns the event pipeline.',
+      highlights: ['Moved batch jobs to Spark', 'Built the dbt models'],
+      keywords: ['Spark', 'dbt']
+    },
+    { name: 'Hooli', position: 'Analyst', startDate: '2019-02', endDate: '2021-08' }
+  ],
+  projects: [
+    { name: 'Lakehouse demo', description: 'Delta Lake on MinIO', highlights: ['Time travel queries'], startDate: '2022', endDate: '2022' }
+  ],
+  education: [
+    { institution: 'University of Waterloo', area: 'Computer Science', studyType: 'BMath', startDate: '2015-09', endDate: '2019-04', score: '3.7' }
+  ],
+  skills: [
+    { name: 'Data', level: 'Master', keywords: ['Spark', 'SQL'] },
+    { name: 'Python', level: 'Intermediate' }
+  ]
+};
+
+test('fromJsonResume reads a JSON Resume document', () => {
+  const resume = fromJsonResume(jsonResume);
+
+  assert.equal(resume.name, 'Lee Chen');
+  assert.equal(resume.contact.location, 'Toronto, ON, CA');
+  assert.deepEqual(resume.contact.links, ['https://github.com/leechen']);
+
+  assert.equal(resume.experience[0].company, 'Globex');
+  assert.equal(resume.experience[0].description, 'Owns the event pipeline.\nMoved batch jobs to Spark\nBuilt the dbt models');
+  assert.deepEqual(resume.experience[0].technologies, ['Spark', 'dbt']);
+  assert.equal(resume.experience[0].start_date, '2021-09');
+  assert.equal(resume.experience[0].end_date, null);
+  assert.equal(resume.experience[0].current, true);
+  assert.equal(resume.experience[1].end_date, '2021-08');
+  assert.equal(resume.experience[1].current, false);
+
+  assert.equal(resume.projects[0].description, 'Delta Lake on MinIO\nTime travel queries');
+  assert.equal(resume.projects[0].start_date, '2022-01');
+  assert.equal(resume.projects[0].end_date, '2022-12');
+
+  assert.equal(resume.education[0].degree, 'BMath in Computer Science');
+  assert.equal(resume.education[0].grade, '3.7');
+  assert.equal(resume.education[0].start_date, '2015-09');
+  assert.equal(resume.education[0].end_date, '2019-04');
+});
+
+test('fromJsonResume keeps keyword groups as categories and a single-skill entry as one skill', () => {
+  const resume = fromJsonResume(jsonResume);
+
+  assert.deepEqual(resume.technical_skills, [
+    { category: 'Data', skills: [{ name: 'Spark', level: 'advanced' }, { name: 'SQL', level: 'advanced' }] },
+    { category: 'Other', skills: [{ name: 'Python', level: 'intermediate' }] }
+  ]);
+});
+
+test('toJsonResume(fromJsonResume(d)) keeps work, education and skills', () => {
+  const document = toJsonResume(fromJsonResume(jsonResume));
+
+  assert.deepEqual(document.work.map(({ name, position, startDate, endDate }) => ({ name, position, startDate, endDate })), [
+    { name: 'Globex', position: 'Data Engineer', startDate: '2021-09', endDate: undefined },
+    { name: 'Hooli', position: 'Analyst', startDate: '2019-02', endDate: '2021-08' }
+  ]);
+  assert.deepEqual(document.work[0].highlights, ['Owns the event pipeline.', 'Moved batch jobs to Spark', 'Built the dbt models']);
+  assert.equal(document.education[0].institution, 'University of Waterloo');
+  assert.equal(document.education[0].studyType, 'BMath in Computer Science');
+  assert.deepEqual(document.skills, [
+    { name: 'Data', level: 'Advanced', keywords: ['Spark', 'SQL'] },
+    { name: 'Other', level: 'Intermediate', keywords: ['Python'] }
+  ]);
+});
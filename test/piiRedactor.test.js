@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRedactor, PII_CATEGORIES } from '../utils/piiRedactor.js';
+import { segmentResume } from '../utils/resumeSegmenter.js';
+import { findCandidateName } from '../services/ruleExtractionService.js';
+
+test('phone numbers are redacted and restored', () => {
+  const redactor = createRedactor({ categories: PII_CATEGORIES });
+  const redacted = redactor.redact('Call +91 98765 43210 or (415) 555-0134');
+
+  assert.equal(redacted, 'Call [PHONE_1] or [PHONE_2]');
+  assert.equal(redactor.restore(redacted), 'Call +91 98765 43210 or (415) 555-0134');
+});
+
+test('year ranges are not phone numbers, with or without a grade after them', () => {
+  const redactor = createRedactor({ categories: PII_CATEGORIES });
+  for (const text of ['Class XII 2019-2021 96%', 'B.Tech 2018 - 2022 8.75 CGPA', 'Intern 2021–2022 12345', '2019-2023']) {
+    assert.equal(redactor.redact(text), text);
+  }
+});
+
+test('known names are redacted in every casing', () => {
+  const redactor = createRedactor({ categories: PII_CATEGORIES, knownValues: { name: ['Jane Doe'] } });
+  const redacted = redactor.redact('JANE DOE\nJane Doe built the billing API, jane doe reviewed it');
+
+  assert.equal(redacted, '[NAME_1]\n[NAME_2] built the billing API, [NAME_3] reviewed it');
+  assert.deepEqual(redactor.audit().counts, { name: 3 });
+});
+
+test('each casing of a value is restored as it was written', () => {
+  const redactor = createRedactor({ categories: PII_CATEGORIES, knownValues: { name: ['John Doe'] } });
+  const text = 'JOHN DOE\nJohn Doe led the team';
+
+  assert.equal(redactor.restore(redactor.redact(text)), text);
+  assert.deepEqual(redactor.restore({ name: redactor.redact('John Doe') }), { name: 'John Doe' });
+});
+
+test('the name found in a resume header is redacted from the resume text', () => {
+  const resumeText = 'Jane Doe\njane@example.com | +1 415 555 0134\n\nEXPERIENCE\nBackend Intern, Acme 2023 - 2024\n• Jane Doe built the billing API';
+  const name = findCandidateName(resumeText, segmentResume(resumeText));
+  const redactor = createRedactor({ knownValues: { name: name ? [name] : [] } });
+
+  assert.equal(name, 'Jane Doe');
+  assert.doesNotMatch(redactor.redact(resumeText), /Jane Doe/i);
+});
+
+test('no name is guessed from a header without one', () => {
+  const resumeText = 'jane@example.com | +1 415 555 0134\nlinkedin.com/in/jdoe';
+  assert.equal(findCandidateName(resumeText, segmentResume(resumeText)), null);
+});
@@ -0,0 +1,14 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { segmentResume } from '../utils/resumeSegmenter.js';
+import { extractResumeWithRules } from '../services/ruleExtractionService.js';
+
+test('skills listed only by an exact alias keep their taxonomy entry', () => {
+  const resumeText = 'Jane Doe\njane@example.com\n\nSKILLS\nPython, Node, Express, TS, Heaps\n\nEDUCATION\nB.Tech Computer Science, Example University 2019 - 2023';
+  const { technical_skills } = extractResumeWithRules(resumeText, segmentResume(resumeText));
+  const byCategory = Object.fromEntries(technical_skills.map(group => [group.category, group.skills.map(skill => skill.name)]));
+
+  assert.deepEqual(byCategory['Web Development'].sort(), ['Nodejs and Expressjs', 'TypeScript']);
+  assert.deepEqual(byCategory['Data Structures & Algorithms(DSA)'], ['Heaps & Priority Queues']);
+  assert.deepEqual(byCategory.Other, ['Python']);
+});
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { inferSkillLevels, leetcodeTagCounts } from '../utils/skillLevelInference.js';
+
+const now = new Date('2026-10-01T00:00:00Z');
+
+test('every listed skill is returned under the name the user wrote', () => {
+  const skills = inferSkillLevels({
+    technical_skills: [
+      { category: 'Web Development', skills: [{ name: 'JavaScript', level: 'advanced' }, { name: 'TypeScript', level: 'intermediate' }] },
+      { category: 'Databases', skills: [{ name: 'Redis', level: null }, { name: 'MongoDB', level: 'beginner' }] }
+    ],
+    experience: [{ role: 'Engineer', company: 'Acme', duration: 'Jan 2022 - Present', technologies: ['TypeScript', 'Redis'] }]
+  }, { now });
+
+  assert.deepEqual(skills.map(skill => skill.skill), ['JavaScript', 'TypeScript', 'Redis', 'MongoDB']);
+  const typescript = skills.find(skill => skill.skill === 'TypeScript');
+  assert.ok(typescript.evidence.some(item => item.type === 'roles'));
+  const redis = skills.find(skill => skill.skill === 'Redis');
+  assert.ok(redis.evidence.some(item => item.type === 'tenure'));
+  assert.equal(skills.find(skill => skill.skill === 'MongoDB').evidence.some(item => item.type === 'roles'), false);
+});
+
+test('a listed alias is not repeated under its taxonomy name', () => {
+  const skills = inferSkillLevels({
+    technical_skills: [{ category: 'Web Development', skills: [{ name: 'React.js', level: 'intermediate' }] }],
+    projects: [{ name: 'Dashboard', technologies: ['React'] }]
+  }, { now });
+
+  assert.deepEqual(skills.map(skill => skill.skill), ['React.js']);
+  assert.ok(skills[0].evidence.some(item => item.type === 'projects'));
+});
+
+test('overrides replace the level and keep the inferred one', () => {
+  const [skill] = inferSkillLevels({
+    technical_skills: [{ category: 'Languages', skills: [{ name: 'Go', level: 'beginner' }] }]
+  }, { now, overrides: { go: { level: 'advanced', reason: 'Maintains a Go service at work' } } });
+
+  assert.equal(skill.level, 'advanced');
+  assert.equal(skill.inferred_level, 'beginner');
+  assert.equal(skill.override.reason, 'Maintains a Go service at work');
+});
+
+test('LeetCode tags count towards DSA skills', () => {
+  const tags = leetcodeTagCounts({ payload: { 'dynamic_programming_problems': 120, 'heap_(priority_queue)_problems': 2, total_solved: 300 } });
+  assert.deepEqual(tags, { 'dynamic programming': 120, 'heap (priority queue)': 2 });
+
+  const skills = inferSkillLevels({}, { now, leetcodeTags: tags });
+  assert.deepEqual(skills.map(skill => skill.skill), ['Dynamic Programming']);
+  assert.equal(skills[0].evidence[0].points, 3);
+});
@@ -0,0 +1,23 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { matchTaxonomySkill, findTaxonomySkillsInText } from '../utils/skillMatcher.js';
+
+test('related tools keep their own taxonomy entries', () => {
+  assert.equal(matchTaxonomySkill('TypeScript').name, 'TypeScript');
+  assert.equal(matchTaxonomySkill('Redis').name, 'Redis');
+  assert.equal(matchTaxonomySkill('DynamoDB'), null);
+  assert.equal(matchTaxonomySkill('heap').name, 'Heaps & Priority Queues');
+});
+
+test('everyday words only match as a whole skill name', () => {
+  assert.equal(matchTaxonomySkill('Node').name, 'Nodejs and Expressjs');
+  assert.equal(matchTaxonomySkill('Strings').name, 'Arrays & Strings');
+
+  const text = 'Added logging to the sorting service, cleaned up config strings and moved every node of the tree to a new cluster';
+  assert.deepEqual(findTaxonomySkillsInText(text), []);
+});
+
+test('specific names are still found in free text', () => {
+  const names = findTaxonomySkillsInText('Built REST APIs in Node.js with Redis caching and Grafana dashboards').map(match => match.name);
+  assert.deepEqual(names, ['Nodejs and Expressjs', 'Nodejs and Expressjs', 'Redis', 'Monitoring & Logs']);
+});
@@ -0,0 +1,295 @@
+import { findTaxonomySkillsInText, normalizeSkillName } from './skillMatcher.js';
+import { parseDuration } from './dateRange.js';
+
+// Share of the final score per component; they add up to 1
+export const ATS_WEIGHTS = {
+  keywords: 0.3,
+  sections: 0.2,
+  dates: 0.15,
+  quantified: 0.15,
+  length: 0.1,
+  action_verbs: 0.1
+};
+
+// Ratios at which the quantified and action verb components reach full marks
+const QUANTIFIED_TARGET = 0.5;
+const ACTION_VERB_TARGET = 0.7;
+// Word counts between which a resume gets full marks for length
+const IDEAL_WORDS = [300, 900];
+const MAX_TARGET_KEYWORDS = 25;
+
+export const ACTION_VERBS = new Set([
+  'accelerated', 'achieved', 'added', 'analyzed', 'architected', 'automated', 'built', 'collaborated', 'configured',
+  'contributed', 'coordinated', 'created', 'cut', 'debugged', 'decreased', 'defined', 'delivered', 'deployed',
+  'designed', 'developed', 'drove', 'eliminated', 'enabled', 'engineered', 'enhanced', 'established', 'evaluated',
+  'expanded', 'facilitated', 'founded', 'generated', 'guided', 'handled', 'implemented', 'improved', 'increased',
+  'integrated', 'introduced', 'launched', 'led', 'maintained', 'managed', 'mentored', 'migrated', 'modeled',
+  'modernized', 'monitored', 'optimized', 'orchestrated', 'organized', 'owned', 'partnered', 'pioneered', 'planned',
+  'presented', 'prototyped', 'published', 'rebuilt', 'reduced', 'refactored', 'released', 'replaced', 'researched',
+  'resolved', 'restructured', 'revamped', 'saved', 'scaled', 'secured', 'shipped', 'simplified', 'spearheaded',
+  'streamlined', 'strengthened', 'supported', 'tested', 'trained', 'transformed', 'tuned', 'upgraded', 'wrote'
+]);
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'become', 'by', 'can', 'for', 'from', 'get', 'have', 'how', 'i', 'in',
+  'into', 'is', 'it', 'learn', 'like', 'looking', 'me', 'my', 'of', 'on', 'or', 'our', 'role', 'should', 'that',
+  'the', 'their', 'this', 'to', 'want', 'we', 'will', 'with', 'you', 'your', 'work', 'working', 'job', 'years',
+  'experience', 'strong', 'good', 'knowledge', 'ability', 'skills', 'team', 'plus', 'using', 'able', 'must', 'etc',
+  // Job posting boilerplate
+  'about', 'across', 'all', 'also', 'any', 'been', 'both', 'but', 'candidate', 'company', 'each', 'has', 'including',
+  'join', 'least', 'more', 'new', 'not', 'opportunity', 'other', 'position', 'preferred', 'qualifications',
+  'required', 'requirements', 'responsibilities', 'such', 'they', 'through', 'what', 'who', 'within', 'year'
+]);
+
+/**
+ * Score a parsed resume the way an applicant tracking system would, with an explanation per component
+ * @param {Object} resume - Parsed resume
+ * @param {Object} options - { target } goal or job description text to match keywords against, { now }
+ * @returns {Object} { score (0-100), components: { name: { score (0-100), weight, reasons, ... } } }
+ */
+export function scoreResume(resume, { target = '', now = new Date() } = {}) {
+  const components = {
+    keywords: scoreKeywords(resume, target),
+    sections: scoreSections(resume),
+    dates: scoreDates(resume, now),
+    quantified: scoreQuantified(resume),
+    length: scoreLength(resume),
+    action_verbs: scoreActionVerbs(resume)
+  };
+
+  // Components that cannot be measured (e.g. keywords without a target) hand their weight to the others
+  const applicable = Object.entries(components).filter(([, component]) => component.score !== null);
+  const totalWeight = applicable.reduce((total, [name]) => total + ATS_WEIGHTS[name], 0);
+  const score = applicable.reduce((total, [name, component]) => total + component.score * ATS_WEIGHTS[name], 0) / (totalWeight || 1);
+
+  for (const [name, component] of Object.entries(components)) {
+    component.weight = ATS_WEIGHTS[name];
+  }
+
+  return { score: Math.round(score), components };
+}
+
+/**
+ * Keywords worth matching in a goal or job description: taxonomy skills first, then other significant words
+ * @param {string} target - Goal or job description text
+ * @returns {Array} Keywords as written in the target
+ */
+export function extractTargetKeywords(target) {
+  if (!target || typeof target !== 'string') return [];
+
+  const keywords = new Map();
+  for (const match of findTaxonomySkillsInText(target)) {
+    keywords.set(normalizeSkillName(match.matched), match.matched);
+  }
+  const skillWords = new Set([...keywords.values()].flatMap(keyword => keyword.toLowerCase().split(/\s+/)));
+
+  for (const word of target.match(/[A-Za-z][A-Za-z0-9+#.-]*[A-Za-z0-9+#]|[A-Za-z]/g) || []) {
+    const lower = word.toLowerCase();
+    if (lower.length < 3 || STOPWORDS.has(lower) || skillWords.has(lower)) continue;
+    const key = normalizeSkillName(word);
+    if (!keywords.has(key)) keywords.set(key, word);
+  }
+
+  return [...keywords.values()].slice(0, MAX_TARGET_KEYWORDS);
+}
+
+function scoreKeywords(resume, target) {
+  const keywords = extractTargetKeywords(target);
+  if (keywords.length === 0) {
+    return { score: null, reasons: ['No goal or job description to match keywords against'], matched: [], missing: [] };
+  }
+
+  const resumeText = resumeToText(resume);
+  const resumeKeys = new Set(findTaxonomySkillsInText(resumeText).map(match => match.name.toLowerCase()));
+  const normalizedText = ` ${resumeText.toLowerCase().replace(/[^a-z0-9+#]+/g, ' ')} `;
+
+  const matched = [];
+  const missing = [];
+  for (const keyword of keywords) {
+    const taxonomyMatch = findTaxonomySkillsInText(keyword)[0];
+    const plain = keyword.toLowerCase().replace(/[^a-z0-9+#]+/g, ' ').trim();
+    const found = (taxonomyMatch && resumeKeys.has(taxonomyMatch.name.toLowerCase())) ||
+      (plain && normalizedText.includes(` ${plain} `));
+    (found ? matched : missing).push(keyword);
+  }
+
+  const coverage = matched.length / keywords.length;
+  const reasons = [`${matched.length} of ${keywords.length} target keywords found`];
+  if (missing.length > 0) {
+    reasons.push(`Missing: ${missing.slice(0, 10).join(', ')}`);
+  }
+
+  return { score: Math.round(coverage * 100), reasons, matched, missing };
+}
+
+/**
+ * Taxonomy skills the target asks for that the resume does not show
+ * @param {Object} resume - Parsed resume
+ * @param {string} target - Goal or job description text
+ * @returns {Array} { category, name } of each missing skill
+ */
+export function findMissingTaxonomySkills(resume, target) {
+  const present = new Set(findTaxonomySkillsInText(resumeToText(resume)).map(match => match.name));
+  const missing = new Map();
+  for (const match of findTaxonomySkillsInText(target || '')) {
+    if (!present.has(match.name) && !missing.has(match.name)) {
+      missing.set(match.name, { category: match.category, name: match.name });
+    }
+  }
+  return [...missing.values()];
+}
+
+function scoreSections(resume) {
+  const checks = [
+    ['contact email', Boolean(resume?.contact?.email)],
+    ['contact phone', Boolean(resume?.contact?.phone)],
+    ['summary', Boolean(resume?.summary)],
+    ['education', nonEmpty(resume?.education)],
+    ['experience', nonEmpty(resume?.experience)],
+    ['projects', nonEmpty(resume?.projects)],
+    ['skills', nonEmpty(resume?.technical_skills)]
+  ];
+  const missing = checks.filter(([, present]) => !present).map(([name]) => name);
+
+  return {
+    score: Math.round(((checks.length - missing.length) / checks.length) * 100),
+    reasons: missing.length > 0 ? [`Missing: ${missing.join(', ')}`] : ['All standard sections present'],
+    missing
+  };
+}
+
+function scoreDates(resume, now) {
+  const nowIso = `${now.getUTCFullYear()}-${String(now.getUTCMonth() + 1).padStart(2, '0')}`;
+  const entries = [
+    ...(Array.isArray(resume?.experience) ? resume.experience.map(item => ['experience', item?.company || item?.role, item]) : []),
+    ...(Array.isArray(resume?.education) ? resume.education.map(item => ['education', item?.institution, item]) : [])
+  ];
+  if (entries.length === 0) {
+    return { score: null, reasons: ['No dated experience or education entries'], issues: [] };
+  }
+
+  const issues = [];
+  for (const [section, label, item] of entries) {
+    const dates = item?.start_date
+      ? { start_date: item.start_date, end_date: item.end_date || null, current: Boolean(item.current) }
+      : parseDuration(item?.duration);
+    const name = `${section} "${label || 'untitled'}"`;
+
+    if (!dates?.start_date) {
+      issues.push(`${name} has no parseable dates`);
+    } else if (dates.end_date && dates.end_date < dates.start_date) {
+      issues.push(`${name} ends before it starts`);
+    } else if (section === 'experience' && dates.start_date > nowIso) {
+      issues.push(`${name} starts in the future`);
+    }
+  }
+
+  return {
+    score: Math.round(((entries.length - issues.length) / entries.length) * 100),
+    reasons: issues.length > 0 ? issues : ['All entries have consistent dates'],
+    issues
+  };
+}
+
+function scoreQuantified(resume) {
+  const bullets = resumeBullets(resume);
+  if (bullets.length === 0) {
+    return { score: 0, reasons: ['No experience or project descriptions to evaluate'], ratio: 0 };
+  }
+
+  const quantified = bullets.filter(bullet => /\d|%|\$|₹|€|£/.test(bullet));
+  const ratio = quantified.length / bullets.length;
+
+  return {
+    score: Math.round(Math.min(ratio / QUANTIFIED_TARGET, 1) * 100),
+    reasons: [`${quantified.length} of ${bullets.length} bullets include a number or metric`],
+    ratio: Number(ratio.toFixed(2))
+  };
+}
+
+function scoreLength(resume) {
+  const words = resumeToText(resume).split(/\s+/).filter(Boolean).length;
+  const [min, max] = IDEAL_WORDS;
+
+  let score = 100;
+  let reason = `${words} words, within the ideal ${min}-${max}`;
+  if (words < min) {
+    score = Math.round((words / min) * 100);
+    reason = `${words} words, shorter than the ideal ${min}-${max}`;
+  } else if (words > max) {
+    score = Math.max(0, Math.round(100 - ((words - max) / max) * 100));
+    reason = `${words} words, longer than the ideal ${min}-${max}`;
+  }
+
+  return { score, reasons: [reason], words };
+}
+
+function scoreActionVerbs(resume) {
+  const bullets = resumeBullets(resume);
+  if (bullets.length === 0) {
+    return { score: 0, reasons: ['No experience or project descriptions to evaluate'], ratio: 0 };
+  }
+
+  const weak = bullets.filter(bullet => !ACTION_VERBS.has(firstWord(bullet)));
+  const ratio = (bullets.length - weak.length) / bullets.length;
+  const reasons = [`${bullets.length - weak.length} of ${bullets.length} bullets start with an action verb`];
+  if (weak.length > 0) {
+    reasons.push(`Weak openings: ${weak.slice(0, 3).map(bullet => `"${bullet.split(/\s+/).slice(0, 4).join(' ')}..."`).join(', ')}`);
+  }
+
+  return {
+    score: Math.round(Math.min(ratio / ACTION_VERB_TARGET, 1) * 100),
+    reasons,
+    ratio: Number(ratio.toFixed(2))
+  };
+}
+
+/**
+ * Description lines of experience and project entries
+ * @param {Object} resume - Parsed resume
+ * @returns {Array} Bullet texts
+ */
+export function resumeBullets(resume) {
+  return [...(Array.isArray(resume?.experience) ? resume.experience : []), ...(Array.isArray(resume?.projects) ? resume.projects : [])]
+    .flatMap(item => String(item?.description || '').split(/\n|(?<=\.)\s+(?=[A-Z])/))
+    .map(line => line.replace(/^[\s•◦▪\-*–·]+/, '').trim())
+    .filter(line => line.split(/\s+/).length >= 3);
+}
+
+function firstWord(text) {
+  // Skip a short label such as "Features: Integrated search..."
+  const sentence = text.replace(/^[A-Za-z][\w &/-]{0,30}:\s+/, '');
+  return (sentence.toLowerCase().match(/[a-z]+/) || [''])[0];
+}
+
+function nonEmpty(value) {
+  return Array.isArray(value) && value.length > 0;
+}
+
+/**
+ * Plain text of the content a recruiter or ATS would read from the parsed resume
+ * @param {Object} resume - Parsed resume
+ * @returns {string} Text
+ */
+export function resumeToText(resume) {
+  if (!resume) return '';
+  const parts = [resume.name, resume.summary];
+
+  for (const item of resume.experience || []) {
+    parts.push(item?.role, item?.company, item?.duration, item?.description, (item?.technologies || []).join(', '));
+  }
+  for (const item of resume.projects || []) {
+    parts.push(item?.name, item?.description, (item?.technologies || []).join(', '));
+  }
+  for (const item of resume.education || []) {
+    parts.push(item?.degree, item?.institution, item?.duration, item?.grade);
+  }
+  for (const category of resume.technical_skills || []) {
+    parts.push(category?.category, (category?.skills || []).map(skill => (typeof skill === 'string' ? skill : skill?.name)).join(', '));
+  }
+  for (const item of [...(resume.certifications || []), ...(resume.awards || [])]) {
+    parts.push(item?.name || item?.title, item?.issuer, item?.description);
+  }
+
+  return parts.filter(part => typeof part === 'string' && part.trim()).join('\n');
+}
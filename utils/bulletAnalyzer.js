@@ -0,0 +1,139 @@
+import { ACTION_VERBS } from './atsScoring.js';
+
+// Words that add length but no information
+const FILLER_WORDS = [
+  'various', 'several', 'multiple', 'successfully', 'effectively', 'efficiently', 'actively', 'really', 'very',
+  'basically', 'etc', 'a lot of', 'lots of', 'some', 'many', 'different', 'hard-working', 'team player'
+];
+
+// Openers that describe a duty instead of an achievement
+const WEAK_OPENERS = [
+  'helped with', 'helped to', 'helped', 'assisted with', 'assisted in', 'assisted', 'worked on', 'worked with', 'involved in', 'participated in', 'tasked with',
+  'duties included', 'in charge of', 'handled', 'did'
+];
+
+// What a weak opener becomes when the rest of the bullet is a noun phrase. Openers missing here ("helped",
+// "assisted", "did", ...) are only rewritten when a verb follows, since the rest may be a clause ("Helped
+// the team ship features") that no prefix turns into a sentence. Help openers become "Contributed to"
+// rather than a verb that claims the whole piece of work.
+const NOUN_PHRASE_OPENERS = {
+  'responsible for': 'Owned',
+  'in charge of': 'Owned',
+  'helped with': 'Contributed to',
+  'assisted with': 'Contributed to',
+  'assisted in': 'Contributed to',
+  'worked on': 'Contributed to',
+  'involved in': 'Contributed to',
+  'worked with': 'Collaborated with',
+  'handled': 'Managed'
+};
+// Words ending in "-ing" that are not verbs
+const NON_VERB_ING = new Set(['during', 'morning', 'evening', 'string', 'strings', 'something', 'nothing', 'everything', 'anything', 'thing', 'things', 'ceiling', 'offering', 'pricing', 'housing']);
+
+const FILLER_REGEX = new RegExp(`\\b(${FILLER_WORDS.map(escapeRegex).join('|')})\\b`, 'gi');
+const WEAK_OPENER_REGEX = new RegExp(`^(${WEAK_OPENERS.map(escapeRegex).join('|')})\\b`, 'i');
+const RESPONSIBLE_FOR_REGEX = /^(?:i\s+was\s+|was\s+)?responsible\s+for\b/i;
+const METRIC_REGEX = /\d|%|\$|₹|€|£/;
+// A form of "to be" followed by a past participle ("was developed", "were being handled")
+const PASSIVE_REGEX = /\b(?:am|is|are|was|were|be|been|being)\s+(?:\w+ly\s+)?(?:\w+ed|built|made|done|written|led|run|given|taken|shown|sent|kept|held|brought|taught|chosen)\b/i;
+
+// Past tense for verbs that do not just take "-ed"
+const IRREGULAR_PAST = {
+  build: 'built', lead: 'led', write: 'wrote', run: 'ran', make: 'made', drive: 'drove', teach: 'taught',
+  set: 'set', hold: 'held', bring: 'brought', choose: 'chose', keep: 'kept', give: 'gave', take: 'took',
+  send: 'sent', show: 'showed', begin: 'began', grow: 'grew', win: 'won', sell: 'sold', think: 'thought'
+};
+
+/**
+ * Find weak patterns in a resume bullet
+ * @param {string} bullet - Bullet text
+ * @returns {Array} Issues { type, message } with type no_metric, passive_voice, filler_words,
+ * responsible_for or weak_opener
+ */
+export function analyzeBullet(bullet) {
+  const text = String(bullet || '').trim();
+  const issues = [];
+  if (!text) return issues;
+
+  if (RESPONSIBLE_FOR_REGEX.test(text)) {
+    issues.push({ type: 'responsible_for', message: 'Starts with "responsible for", which describes a duty rather than a result' });
+  } else if (WEAK_OPENER_REGEX.test(text)) {
+    issues.push({ type: 'weak_opener', message: `Starts with "${text.match(WEAK_OPENER_REGEX)[1]}" instead of a strong action verb` });
+  } else if (!ACTION_VERBS.has(firstWord(text)) && !PASSIVE_REGEX.test(text)) {
+    issues.push({ type: 'weak_opener', message: 'Does not start with an action verb' });
+  }
+
+  if (PASSIVE_REGEX.test(text)) {
+    issues.push({ type: 'passive_voice', message: `Uses passive voice ("${text.match(PASSIVE_REGEX)[0]}")` });
+  }
+
+  const fillers = [...new Set((text.match(FILLER_REGEX) || []).map(word => word.toLowerCase()))];
+  if (fillers.length > 0) {
+    issues.push({ type: 'filler_words', message: `Contains filler words: ${fillers.join(', ')}` });
+  }
+
+  if (!METRIC_REGEX.test(text)) {
+    issues.push({ type: 'no_metric', message: 'Has no number or metric showing impact' });
+  }
+
+  return issues;
+}
+
+/**
+ * Rewrite a bullet with simple rules: drop "responsible for" and weak openers, turn a leading
+ * "-ing" verb into past tense and remove filler words. Metrics cannot be invented, so none are added.
+ * @param {string} bullet - Bullet text
+ * @returns {string|null} Rewritten bullet, or null when the rules change nothing or cannot produce a sentence
+ */
+export function rewriteBulletWithRules(bullet) {
+  const original = String(bullet || '').trim();
+  const opener = (original.match(RESPONSIBLE_FOR_REGEX) ? 'responsible for' : original.match(WEAK_OPENER_REGEX)?.[1]?.toLowerCase()) || null;
+  let text = original
+    .replace(RESPONSIBLE_FOR_REGEX, '')
+    .replace(WEAK_OPENER_REGEX, '')
+    .trim();
+
+  const [first, ...rest] = text.split(/\s+/);
+  if (isGerund(first)) {
+    // "Helped with testing of features" -> "Tested features"
+    if (rest[0]?.toLowerCase() === 'of') rest.shift();
+    text = [toPastTense(first), ...rest].join(' ');
+  } else if (opener) {
+    // "Responsible for the API layer" -> "Owned the API layer", "Worked with designers" -> "Collaborated with designers"
+    if (!NOUN_PHRASE_OPENERS[opener] || !text) return null;
+    text = `${NOUN_PHRASE_OPENERS[opener]} ${text}`;
+  }
+
+  text = text
+    .replace(FILLER_REGEX, '')
+    .replace(/\s+([,.;])/g, '$1')
+    .replace(/\s{2,}/g, ' ')
+    .trim();
+  text = text.charAt(0).toUpperCase() + text.slice(1);
+
+  // A verb with nothing after it is not a bullet
+  if (text.split(/\s+/).length < 2) return null;
+  return text !== original ? text : null;
+}
+
+function isGerund(word) {
+  return /^[a-z]+ing$/i.test(word || '') && word.length > 5 && !NON_VERB_ING.has(word.toLowerCase());
+}
+
+function toPastTense(gerund) {
+  const base = gerund.toLowerCase().slice(0, -3);
+  // "running" -> "run", but "planning" -> "planned" keeps the doubled consonant
+  const stem = /([bdgklmnprt])\1$/.test(base) ? base.slice(0, -1) : base;
+  if (IRREGULAR_PAST[stem]) return IRREGULAR_PAST[stem];
+  if (IRREGULAR_PAST[`${stem}e`]) return IRREGULAR_PAST[`${stem}e`];
+  if (/[^aeiou]y$/.test(base)) return `${base.slice(0, -1)}ied`;
+  return base.endsWith('e') ? `${base}d` : `${base}ed`;
+}
+
+function firstWord(text) {
+  return (text.toLowerCase().match(/[a-z]+/) || [''])[0];
+}
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
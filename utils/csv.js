@@ -0,0 +1,76 @@
+/**
+ * Parse CSV text (RFC 4180: quoted fields, escaped quotes, newlines inside quotes) into row objects
+ * @param {string} text - CSV text with a header row
+ * @returns {Array} Rows keyed by header name (headers are trimmed and lowercased)
+ */
+export function parseCsv(text) {
+  const rows = parseCsvRows(String(text || '').replace(/^\uFEFF/, ''));
+  if (rows.length === 0) return [];
+
+  const headers = rows[0].map(header => header.trim().toLowerCase());
+  return rows.slice(1)
+    .filter(row => row.some(value => value.trim() !== ''))
+    .map(row => Object.fromEntries(headers.map((header, index) => [header, (row[index] ?? '').trim()])));
+}
+
+/**
+ * Serialize row objects to CSV
+ * @param {Array} rows - Row objects
+ * @param {Array} columns - Column names in output order (defaults to the keys of the first row)
+ * @returns {string} CSV text with a header row
+ */
+export function toCsv(rows, columns = Object.keys(rows[0] || {})) {
+  const lines = [columns.map(escapeCsvValue).join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(column => escapeCsvValue(row[column])).join(','));
+  }
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+function escapeCsvValue(value) {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
@@ -0,0 +1,129 @@
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const MONTH_PATTERN = '(?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\\.?';
+export const DATE_PATTERN = `(?:${MONTH_PATTERN}\\s*'?\\d{2,4}|\\d{1,2}[/.-]\\d{4}|\\d{4}-\\d{2}|\\d{4})`;
+const CURRENT_PATTERN = '(?:present|current|now|ongoing|till date|to date)';
+const END_PATTERN = `(?:${DATE_PATTERN}|${CURRENT_PATTERN})`;
+
+export const DATE_RANGE_REGEX = new RegExp(`(${DATE_PATTERN})\\s*(?:-|–|—|to|till|until)\\s*(${END_PATTERN})`, 'i');
+export const TRAILING_DATE_REGEX = new RegExp(`\\s+${MONTH_PATTERN}\\s*\\d{4}\\s*$`, 'i');
+
+/**
+ * Find a date range like "Jun 2023 - Aug 2023", "06/2023 – Present" or "2019 - 2023"
+ * @param {string} text - Text to search
+ * @returns {string|null} Range normalized to "MMM YYYY - MMM YYYY" (or "YYYY - YYYY")
+ */
+export function findDateRange(text) {
+  const match = DATE_RANGE_REGEX.exec(text || '');
+  if (!match) return null;
+  return `${formatDate(match[1])} - ${formatDate(match[2])}`;
+}
+
+/**
+ * Find the most relevant single date in text (the end of a range, or the first date mentioned)
+ * @param {string} text - Text to search
+ * @returns {string|null} Date as "MMM YYYY" or "YYYY"
+ */
+export function findDate(text) {
+  const range = findDateRange(text);
+  if (range) {
+    const [start, end] = range.split(' - ');
+    return end === 'Present' ? start : end;
+  }
+  const single = new RegExp(DATE_PATTERN, 'i').exec(text || '');
+  return single ? formatDate(single[0]) : null;
+}
+
+/**
+ * Parse a resume duration ("Jun 2023 - Aug 2023", "2021 – Present", "May 2024") into ISO dates
+ * @param {string} duration - Duration as written on the resume
+ * @returns {Object|null} { start_date, end_date, current } with dates as ISO "YYYY-MM", or null if unparseable
+ */
+export function parseDuration(duration) {
+  if (!duration || typeof duration !== 'string') return null;
+
+  const range = DATE_RANGE_REGEX.exec(duration);
+  if (range) {
+    const current = new RegExp(`^${CURRENT_PATTERN}$`, 'i').test(range[2].trim());
+    return {
+      start_date: toIsoMonth(range[1], 'start'),
+      end_date: current ? null : toIsoMonth(range[2], 'end'),
+      current
+    };
+  }
+
+  const single = new RegExp(`(${DATE_PATTERN})\\s*(?:-|–|—)?\\s*(${CURRENT_PATTERN})?`, 'i').exec(duration);
+  if (single) {
+    const current = Boolean(single[2]);
+    return {
+      start_date: toIsoMonth(single[1], 'start'),
+      end_date: current ? null : toIsoMonth(single[1], 'end'),
+      current
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Convert a single resume date into ISO "YYYY-MM"
+ * @param {string} value - "Jun 2023", "06/2023", "2023-06" or "2023"
+ * @param {string} edge - 'start' or 'end': year-only dates become January or December
+ * @returns {string|null} ISO year-month
+ */
+export function toIsoMonth(value, edge = 'start') {
+  const raw = String(value || '').trim().toLowerCase();
+
+  const iso = raw.match(/^(\d{4})-(\d{2})$/);
+  if (iso) return `${iso[1]}-${iso[2]}`;
+
+  const monthYear = raw.match(/^([a-z]+)\.?\s*'?(\d{2,4})$/);
+  if (monthYear) {
+    const monthIndex = MONTHS.indexOf(monthYear[1].slice(0, 3));
+    const year = monthYear[2].length === 2 ? `20${monthYear[2]}` : monthYear[2];
+    if (monthIndex === -1) return `${year}-${edge === 'start' ? '01' : '12'}`;
+    return `${year}-${String(monthIndex + 1).padStart(2, '0')}`;
+  }
+
+  const numeric = raw.match(/^(\d{1,2})[/.-](\d{4})$/);
+  if (numeric && Number(numeric[1]) >= 1 && Number(numeric[1]) <= 12) {
+    return `${numeric[2]}-${numeric[1].padStart(2, '0')}`;
+  }
+
+  const year = raw.match(/^(\d{4})$/);
+  if (year) return `${year[1]}-${edge === 'start' ? '01' : '12'}`;
+
+  return null;
+}
+
+/**
+ * Format an ISO "YYYY-MM" date for display, e.g. "Jun 2023"
+ * @param {string} isoMonth - ISO year-month
+ * @returns {string} Display date
+ */
+export function formatIsoMonth(isoMonth) {
+  const match = String(isoMonth || '').match(/^(\d{4})-(\d{2})$/);
+  if (!match) return isoMonth || '';
+  const month = MONTHS[Number(match[2]) - 1];
+  return month ? `${capitalize(month)} ${match[1]}` : match[1];
+}
+
+function formatDate(value) {
+  const raw = value.trim().toLowerCase();
+  if (new RegExp(`^${CURRENT_PATTERN}$`).test(raw)) return 'Present';
+
+  const monthYear = raw.match(/^([a-z]+)\.?\s*'?(\d{2,4})$/);
+  if (monthYear) {
+    const monthIndex = MONTHS.indexOf(monthYear[1].slice(0, 3));
+    const year = monthYear[2].length === 2 ? `20${monthYear[2]}` : monthYear[2];
+    return monthIndex === -1 ? year : `${capitalize(MONTHS[monthIndex])} ${year}`;
+  }
+
+  const iso = toIsoMonth(raw);
+  if (iso && !/^\d{4}$/.test(raw)) return formatIsoMonth(iso);
+
+  return raw;
+}
+
+function capitalize(word) {
+  return word.charAt(0).toUpperCase() + word.slice(1);
+}
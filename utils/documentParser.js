@@ -0,0 +1,395 @@
+import fs from 'fs';
+import path from 'path';
+import { parseResume } from './pdfParser.js';
+import { isZip, readZipEntries } from './zipReader.js';
+import { assessTextQuality } from './textQuality.js';
+
+export const SUPPORTED_FORMATS = ['pdf', 'docx', 'odt', 'rtf', 'markdown', 'text'];
+
+const MARKDOWN_EXTENSIONS = ['.md', '.markdown'];
+const ODT_MIMETYPE = 'application/vnd.oasis.opendocument.text';
+
+/**
+ * Detect a resume document format from its contents (magic bytes first, file name as a hint)
+ * @param {Buffer} buffer - File contents
+ * @param {string} fileName - Original file name, used only to tell Markdown from plain text
+ * @returns {string|null} One of SUPPORTED_FORMATS or null when unsupported
+ */
+export function detectDocumentFormat(buffer, fileName = '') {
+  if (!buffer || buffer.length === 0) return null;
+
+  // PDF headers may be preceded by junk bytes, readers accept them within the first 1KB
+  if (buffer.subarray(0, 1024).includes('%PDF-')) {
+    return 'pdf';
+  }
+
+  if (isZip(buffer)) {
+    let entries;
+    try {
+      entries = readZipEntries(buffer);
+    } catch (error) {
+      return null;
+    }
+    if (entries.some(entry => entry.name === 'word/document.xml')) {
+      return 'docx';
+    }
+    const mimetypeEntry = entries.find(entry => entry.name === 'mimetype');
+    if (mimetypeEntry && mimetypeEntry.read().toString('ascii').trim() === ODT_MIMETYPE) {
+      return 'odt';
+    }
+    return null;
+  }
+
+  if (buffer.subarray(0, 5).toString('latin1') === '{\\rtf') {
+    return 'rtf';
+  }
+
+  if (looksLikeText(buffer)) {
+    const extension = path.extname(fileName).toLowerCase();
+    if (MARKDOWN_EXTENSIONS.includes(extension)) {
+      return 'markdown';
+    }
+    return 'text';
+  }
+
+  return null;
+}
+
+/**
+ * Extract plain text from an uploaded resume in any supported format
+ * @param {string} filePath - Path to the uploaded file
+ * @param {Object} options - { originalName } of the upload, used as a format hint
+ * @returns {Object} { format, text, method, quality, attempts }
+ */
+export async function parseDocument(filePath, { originalName = '' } = {}) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`File not found: ${filePath}`);
+  }
+
+  const buffer = fs.readFileSync(filePath);
+  const format = detectDocumentFormat(buffer, originalName || filePath);
+
+  if (!format) {
+    throw new Error(`Unsupported document format: ${originalName || path.basename(filePath)}`);
+  }
+
+  console.log(`Detected ${format} document: ${originalName || filePath}`);
+
+  if (format === 'pdf') {
+    const result = await parseResume(filePath);
+    return { format, ...result };
+  }
+
+  let text;
+  switch (format) {
+    case 'docx':
+      text = extractDocxText(buffer);
+      break;
+    case 'odt':
+      text = extractOdtText(buffer);
+      break;
+    case 'rtf':
+      text = extractRtfText(buffer.toString('latin1'));
+      break;
+    case 'markdown':
+      text = extractMarkdownText(decodeText(buffer));
+      break;
+    default:
+      text = decodeText(buffer);
+  }
+
+  text = normalizeWhitespace(text);
+  const quality = assessTextQuality(text);
+
+  return {
+    format,
+    text,
+    method: format,
+    quality,
+    attempts: [{ method: format, quality: quality.score }]
+  };
+}
+
+/**
+ * Heuristic check that a buffer holds text rather than binary data
+ * @param {Buffer} buffer - File contents
+ * @returns {boolean} True if the sample decodes as text
+ */
+function looksLikeText(buffer) {
+  const sample = buffer.subarray(0, 8192);
+  if (hasUtf16Bom(sample)) return true;
+  if (sample.includes(0)) return false;
+
+  const decoded = sample.toString('utf8');
+  const invalid = (decoded.match(/�/g) || []).length;
+  const control = (decoded.match(/[\u0000-\u0008\u000E-\u001F]/g) || []).length;
+  return (invalid + control) / Math.max(decoded.length, 1) < 0.02;
+}
+
+function hasUtf16Bom(buffer) {
+  return buffer.length >= 2 &&
+    ((buffer[0] === 0xff && buffer[1] === 0xfe) || (buffer[0] === 0xfe && buffer[1] === 0xff));
+}
+
+/**
+ * Decode a text file, honouring UTF-8 and UTF-16 byte order marks
+ * @param {Buffer} buffer - File contents
+ * @returns {string} Decoded text
+ */
+function decodeText(buffer) {
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) {
+    return buffer.subarray(2).toString('utf16le');
+  }
+  if (buffer[0] === 0xfe && buffer[1] === 0xff) {
+    const swapped = Buffer.from(buffer.subarray(2));
+    swapped.swap16();
+    return swapped.toString('utf16le');
+  }
+  return buffer.toString('utf8').replace(/^﻿/, '');
+}
+
+function decodeXmlEntities(text) {
+  return text
+    .replace(/&#x([0-9a-fA-F]+);/g, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Extract paragraphs from a .docx (Office Open XML) document
+ * @param {Buffer} buffer - File contents
+ * @returns {string} Document text
+ */
+function extractDocxText(buffer) {
+  const entries = readZipEntries(buffer);
+  const documentEntry = entries.find(entry => entry.name === 'word/document.xml');
+  if (!documentEntry) {
+    throw new Error('DOCX archive has no word/document.xml');
+  }
+
+  const xml = documentEntry.read().toString('utf8');
+  const body = xml.replace(/<w:instrText[^>]*>[\s\S]*?<\/w:instrText>/g, '');
+  const paragraphs = body.match(/<w:p[ >][\s\S]*?<\/w:p>|<w:p\/>/g) || [];
+
+  return paragraphs.map(paragraph => {
+    const isListItem = /<w:numPr>/.test(paragraph);
+    const runs = paragraph.matchAll(/<w:t(?: [^>]*)?>([\s\S]*?)<\/w:t>|<w:tab\/>|<w:br\b[^>]*\/>|<w:cr\/>/g);
+    let text = '';
+    for (const run of runs) {
+      if (run[1] !== undefined) {
+        text += run[1];
+      } else {
+        text += run[0] === '<w:tab/>' ? '\t' : '\n';
+      }
+    }
+    const decoded = decodeXmlEntities(text);
+    return isListItem && decoded.trim() ? `• ${decoded}` : decoded;
+  }).join('\n');
+}
+
+/**
+ * Extract paragraphs and headings from an .odt (OpenDocument Text) document
+ * @param {Buffer} buffer - File contents
+ * @returns {string} Document text
+ */
+function extractOdtText(buffer) {
+  const entries = readZipEntries(buffer);
+  const contentEntry = entries.find(entry => entry.name === 'content.xml');
+  if (!contentEntry) {
+    throw new Error('ODT archive has no content.xml');
+  }
+
+  const xml = contentEntry.read().toString('utf8');
+  const body = (xml.match(/<office:body>([\s\S]*)<\/office:body>/) || [null, xml])[1];
+
+  const text = body
+    .replace(/<text:s(?: text:c="(\d+)")?\/>/g, (_, count) => ' '.repeat(Number(count) || 1))
+    .replace(/<text:tab\/>/g, '\t')
+    .replace(/<text:line-break\/>/g, '\n')
+    .replace(/<text:list-item>/g, '• ')
+    .replace(/<\/text:(p|h)>/g, '\n')
+    .replace(/<[^>]+>/g, '');
+
+  return decodeXmlEntities(text).replace(/• (\s*)(?=•|\n)/g, '$1');
+}
+
+/**
+ * Reduce Markdown to plain text while keeping its line structure
+ * @param {string} markdown - Markdown source
+ * @returns {string} Plain text
+ */
+function extractMarkdownText(markdown) {
+  return markdown
+    .replace(/^---\n[\s\S]*?\n---\n/, '') // front matter
+    .replace(/```[^\n]*\n([\s\S]*?)```/g, '$1')
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]+)\]\((?:mailto:|tel:)?([^)]+)\)/g, (_, label, url) => (label === url ? url : `${label} (${url})`))
+    .replace(/^#{1,6}\s+/gm, '')
+    .replace(/^\s*[-*+]\s+/gm, '• ')
+    .replace(/^\s*>\s?/gm, '')
+    .replace(/^\s*([-*_]\s*){3,}$/gm, '')
+    .replace(/(\*\*|__)(.+?)\1/g, '$2')
+    .replace(/(^|[\s(])(\*|_)(\S|\S.*?\S)\2(?=[\s).,;:!?]|$)/gm, '$1$3')
+    .replace(/`([^`]+)`/g, '$1')
+    .replace(/^\|?(\s*:?-+:?\s*\|)+\s*(:?-+:?)?\s*$/gm, '') // table separator rows
+    .replace(/^\|(.*)\|$/gm, (_, row) => row.trim().split(/\s*\|\s*/).join(' | '));
+}
+
+// RTF destinations whose content is never visible text
+const RTF_SKIPPED_DESTINATIONS = new Set([
+  'fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'header', 'footer', 'headerl', 'headerr',
+  'footerl', 'footerr', 'listtable', 'listoverridetable', 'rsidtbl', 'generator', 'xmlnstbl',
+  'themedata', 'colorschememapping', 'datastore', 'latentstyles', 'object', 'fldinst'
+]);
+
+/**
+ * Extract visible text from an RTF document
+ * @param {string} rtf - RTF source (latin1 decoded)
+ * @returns {string} Plain text
+ */
+function extractRtfText(rtf) {
+  let out = '';
+  let i = 0;
+  const stack = [];
+  let state = { skip: false, unicodeSkip: 1 };
+  let pendingSkip = 0;
+
+  while (i < rtf.length) {
+    const c = rtf[i];
+
+    if (c === '{') {
+      stack.push(state);
+      state = { ...state };
+      i++;
+      continue;
+    }
+    if (c === '}') {
+      state = stack.pop() || state;
+      i++;
+      continue;
+    }
+    if (c === '\r' || c === '\n') {
+      i++;
+      continue;
+    }
+
+    if (c !== '\\') {
+      if (pendingSkip > 0) {
+        pendingSkip--;
+      } else if (!state.skip) {
+        out += c;
+      }
+      i++;
+      continue;
+    }
+
+    // Control symbol or control word
+    const next = rtf[i + 1];
+    if (next === '\'') {
+      const hex = rtf.substr(i + 2, 2);
+      if (pendingSkip > 0) {
+        pendingSkip--;
+      } else if (!state.skip) {
+        out += decodeWindows1252(parseInt(hex, 16));
+      }
+      i += 4;
+      continue;
+    }
+    if (next === '*') {
+      state.skip = true;
+      i += 2;
+      continue;
+    }
+    if (next === '\\' || next === '{' || next === '}') {
+      if (!state.skip) out += next;
+      i += 2;
+      continue;
+    }
+    if (next === '~') {
+      if (!state.skip) out += ' ';
+      i += 2;
+      continue;
+    }
+    if (next === '-' || next === '_') {
+      if (!state.skip && next === '_') out += '-';
+      i += 2;
+      continue;
+    }
+
+    const match = /^([a-zA-Z]+)(-?\d+)? ?/.exec(rtf.slice(i + 1, i + 40));
+    if (!match) {
+      i += 2;
+      continue;
+    }
+    i += 1 + match[0].length;
+
+    const word = match[1];
+    const param = match[2] !== undefined ? Number(match[2]) : null;
+
+    if (RTF_SKIPPED_DESTINATIONS.has(word)) {
+      state.skip = true;
+      continue;
+    }
+    if (state.skip) continue;
+
+    switch (word) {
+      case 'par':
+      case 'line':
+      case 'row':
+        out += '\n';
+        break;
+      case 'tab':
+      case 'cell':
+        out += '\t';
+        break;
+      case 'bullet':
+        out += '•';
+        break;
+      case 'endash':
+        out += '–';
+        break;
+      case 'emdash':
+        out += '—';
+        break;
+      case 'lquote':
+        out += '‘';
+        break;
+      case 'rquote':
+        out += '’';
+        break;
+      case 'ldblquote':
+        out += '“';
+        break;
+      case 'rdblquote':
+        out += '”';
+        break;
+      case 'uc':
+        state.unicodeSkip = param ?? 1;
+        break;
+      case 'u':
+        out += String.fromCharCode(param < 0 ? param + 65536 : param);
+        pendingSkip = state.unicodeSkip;
+        break;
+      default:
+        break;
+    }
+  }
+
+  return out;
+}
+
+function decodeWindows1252(code) {
+  return new TextDecoder('windows-1252').decode(Uint8Array.of(code));
+}
+
+function normalizeWhitespace(text) {
+  return text
+    .replace(/\r\n?/g, '\n')
+    .replace(/[ \t ]+$/gm, '')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
@@ -0,0 +1,123 @@
+import { findTaxonomySkillsInText } from './skillMatcher.js';
+
+export const SENIORITY_LEVELS = ['intern', 'junior', 'mid', 'senior', 'lead', 'principal'];
+
+// Checked in order, so "Senior Staff Engineer" is principal and "Lead Developer" is lead
+const SENIORITY_PATTERNS = [
+  ['principal', /\b(principal|staff|distinguished|architect)\b/i],
+  ['lead', /\b(lead|head of|manager|tech lead)\b/i],
+  ['senior', /\b(senior|sr\.?|sde[- ]?(iii|3))\b/i],
+  ['mid', /\b(mid|intermediate|sde[- ]?(ii|2))\b/i],
+  ['junior', /\b(junior|jr\.?|entry[- ]level|graduate|fresher|associate|sde[- ]?(i|1))\b/i],
+  ['intern', /\b(intern|internship|trainee)\b/i]
+];
+
+// Domain -> words that point to it in a posting
+const DOMAIN_KEYWORDS = {
+  fintech: ['fintech', 'payments', 'banking', 'financial services', 'trading', 'lending', 'insurance'],
+  healthcare: ['healthcare', 'health tech', 'healthtech', 'medical', 'clinical', 'patients', 'pharma'],
+  'e-commerce': ['e-commerce', 'ecommerce', 'retail', 'marketplace', 'shopping'],
+  edtech: ['edtech', 'education', 'students', 'learning platform', 'university'],
+  gaming: ['gaming', 'game studio', 'games'],
+  cybersecurity: ['cybersecurity', 'security operations', 'threat', 'vulnerability'],
+  'ai/ml': ['machine learning', 'artificial intelligence', 'llm', 'generative ai', 'computer vision'],
+  logistics: ['logistics', 'supply chain', 'delivery', 'fleet'],
+  media: ['media', 'streaming', 'content platform', 'publishing'],
+  saas: ['saas', 'b2b', 'enterprise software']
+};
+
+const REQUIRED_HEADING = /^(requirements|required|must[- ]haves?|qualifications|minimum qualifications|basic qualifications|what you('|’)ll need|what we('|’)re looking for|you have|you should have|skills required|key skills|who you are)\b/i;
+const PREFERRED_HEADING = /^(nice[- ]to[- ]haves?|preferred|preferred qualifications|bonus( points)?|good[- ]to[- ]haves?|desired|pluses|extra credit)\b/i;
+const OTHER_HEADING = /^(responsibilities|what you('|’)ll do|about( the)? (us|company|role|team)|the role|benefits|perks|why join|how to apply|our stack|tech stack)\b/i;
+// A line that marks its own skills as optional: "Kubernetes is a plus", "Go preferred"
+const PREFERRED_LINE = /\b(nice[- ]to[- ]have|is a plus|are a plus|a bonus|preferred|good[- ]to[- ]have|bonus|desirable|ideally)\b/i;
+const TITLE_LINE = /^(job title|title|position|role)\s*[:\-]\s*(.+)$/i;
+const YEARS_REGEX = /(\d{1,2})\s*(?:\+|plus)?\s*(?:(?:-|–|to)\s*(\d{1,2}))?\s*\+?\s*(?:years?|yrs?)\b/i;
+
+/**
+ * Pull the structure out of a job posting with rules: title, seniority, years of experience, domain and
+ * the taxonomy skills it asks for, split into required and preferred
+ * @param {string} text - Job description text
+ * @returns {Object} { title, seniority, years_experience: { min, max } | null, domain,
+ * required_skills, preferred_skills } where skills are { name, category, matched }
+ */
+export function parseJobDescriptionText(text) {
+  const lines = String(text || '').split('\n').map(line => line.trim()).filter(Boolean);
+  const title = findTitle(lines);
+  const yearsExperience = findYears(text);
+
+  const required = new Map();
+  const preferred = new Map();
+  let section = 'other';
+
+  for (const line of lines) {
+    const heading = line.replace(/^[#*\-•\s]+|[:*\s]+$/g, '');
+    if (line.length <= 60 && REQUIRED_HEADING.test(heading)) section = 'required';
+    else if (line.length <= 60 && PREFERRED_HEADING.test(heading)) section = 'preferred';
+    else if (line.length <= 60 && OTHER_HEADING.test(heading)) section = 'other';
+
+    const optional = section === 'preferred' || PREFERRED_LINE.test(line);
+    for (const match of findTaxonomySkillsInText(line)) {
+      const skill = { name: match.name, category: match.category, matched: match.matched };
+      (optional ? preferred : required).set(match.name, skill);
+    }
+  }
+
+  // Asked for anywhere as a requirement wins over a mention as a nice-to-have
+  for (const name of required.keys()) preferred.delete(name);
+
+  return {
+    title,
+    seniority: findSeniority(title, text, yearsExperience),
+    years_experience: yearsExperience,
+    domain: findDomain(text),
+    required_skills: [...required.values()],
+    preferred_skills: [...preferred.values()]
+  };
+}
+
+function findTitle(lines) {
+  for (const line of lines) {
+    const match = line.match(TITLE_LINE);
+    if (match) return match[2].trim();
+  }
+  // Postings usually open with the title; skip a first line that reads like a sentence
+  const first = lines[0] || '';
+  return first && first.length <= 80 && first.split(/\s+/).length <= 10 && !/[.!?]$/.test(first) ? first : null;
+}
+
+function findYears(text) {
+  const match = String(text || '').match(YEARS_REGEX);
+  if (!match) return null;
+  const min = Number(match[1]);
+  const max = match[2] ? Number(match[2]) : null;
+  return { min, max: max !== null && max >= min ? max : null };
+}
+
+// The body mentions other people's levels ("work with senior engineers"), so only the title is matched
+// against every level; otherwise years of experience decide, and the body can only mark an internship
+function findSeniority(title, text, yearsExperience) {
+  const level = title && SENIORITY_PATTERNS.find(([, pattern]) => pattern.test(title));
+  if (level) return level[0];
+  if (yearsExperience) {
+    if (yearsExperience.min >= 5) return 'senior';
+    if (yearsExperience.min >= 2) return 'mid';
+    return 'junior';
+  }
+  return /\b(internship|intern position|entry[- ]level)\b/i.test(text || '') ? (/intern/i.test(text) ? 'intern' : 'junior') : null;
+}
+
+function findDomain(text) {
+  const lower = String(text || '').toLowerCase();
+  let best = null;
+  let bestHits = 0;
+
+  for (const [domain, keywords] of Object.entries(DOMAIN_KEYWORDS)) {
+    const hits = keywords.filter(keyword => new RegExp(`\\b${keyword.replace(/[-/]/g, '\\$&')}\\b`).test(lower)).length;
+    if (hits > bestHits) {
+      best = domain;
+      bestHits = hits;
+    }
+  }
+  return best;
+}
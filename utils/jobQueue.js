@@ -0,0 +1,145 @@
+import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
+
+// Finished jobs are kept this long so clients can still poll for the result
+const DEFAULT_RETENTION_MS = 60 * 60 * 1000;
+
+/**
+ * In-process job store. Any object with the same async create/get/update methods (e.g. one backed by a
+ * Supabase table) can be passed to createJobQueue instead.
+ * @param {Object} options - { retentionMs } how long finished jobs are kept
+ * @returns {Object} { create(job), get(id), update(id, changes) }
+ */
+export function createMemoryJobStore({ retentionMs = DEFAULT_RETENTION_MS } = {}) {
+  const jobs = new Map();
+
+  const evictExpired = () => {
+    const cutoff = Date.now() - retentionMs;
+    for (const [id, job] of jobs) {
+      if (job.finished_at && Date.parse(job.finished_at) < cutoff) {
+        jobs.delete(id);
+      }
+    }
+  };
+
+  return {
+    async create(job) {
+      evictExpired();
+      jobs.set(job.id, { ...job });
+      return { ...job };
+    },
+    async get(id) {
+      const job = jobs.get(id);
+      return job ? { ...job } : null;
+    },
+    async update(id, changes) {
+      const job = jobs.get(id);
+      if (!job) return null;
+      Object.assign(job, changes);
+      return { ...job };
+    }
+  };
+}
+
+/**
+ * Queue that runs jobs in this process with a concurrency limit and reports their stage changes
+ * @param {Object} options - { store } implementing create/get/update (memory store by default) and
+ * { concurrency } maximum number of jobs running at once
+ * @returns {Object} { enqueue, get, subscribe }
+ */
+export function createJobQueue({ store = createMemoryJobStore(), concurrency = 2 } = {}) {
+  const pending = [];
+  const events = new EventEmitter();
+  events.setMaxListeners(0);
+  let running = 0;
+
+  const update = async (id, changes) => {
+    const job = await store.update(id, { ...changes, updated_at: new Date().toISOString() });
+    if (job) events.emit(id, job);
+    return job;
+  };
+
+  const runNext = () => {
+    while (running < concurrency && pending.length > 0) {
+      const { id, handler } = pending.shift();
+      running++;
+      execute(id, handler).finally(() => {
+        running--;
+        runNext();
+      });
+    }
+  };
+
+  const execute = async (id, handler) => {
+    const startedAt = new Date().toISOString();
+    try {
+      await update(id, { status: 'running', started_at: startedAt });
+      const result = await handler({
+        setStage: stage => update(id, { stage }),
+        setProgress: progress => update(id, { progress })
+      });
+      await update(id, { status: 'done', stage: 'done', result, finished_at: new Date().toISOString() });
+    } catch (error) {
+      console.error(`Job ${id} failed:`, error);
+      // A persistent store can fail here too; nothing awaits execute, so the error must not escape
+      try {
+        await update(id, { status: 'failed', stage: 'failed', error: error.message, finished_at: new Date().toISOString() });
+      } catch (updateError) {
+        console.error(`Failed to mark job ${id} as failed:`, updateError);
+      }
+    }
+  };
+
+  /**
+   * Add a job to the queue
+   * @param {string} type - Job type, e.g. 'resume'
+   * @param {Function} handler - async ({ setStage, setProgress }) => result
+   * @param {Object} options - { userId } owning the job and { stage } to start in (default 'queued')
+   * @returns {Object} The created job
+   */
+  async function enqueue(type, handler, { userId = null, stage = 'queued' } = {}) {
+    const now = new Date().toISOString();
+    const job = await store.create({
+      id: randomUUID(),
+      type,
+      user_id: userId,
+      status: 'queued',
+      stage,
+      progress: null,
+      result: null,
+      error: null,
+      created_at: now,
+      updated_at: now,
+      started_at: null,
+      finished_at: null
+    });
+
+    pending.push({ id: job.id, handler });
+    console.log(`Queued ${type} job ${job.id} (${pending.length} pending, ${running} running)`);
+    runNext();
+
+    return job;
+  }
+
+  /**
+   * Fetch a job
+   * @param {string} id - Job ID
+   * @returns {Object|null} Job or null if unknown (or already evicted)
+   */
+  async function get(id) {
+    return store.get(id);
+  }
+
+  /**
+   * Listen for changes to one job
+   * @param {string} id - Job ID
+   * @param {Function} listener - Called with the updated job
+   * @returns {Function} Unsubscribe
+   */
+  function subscribe(id, listener) {
+    events.on(id, listener);
+    return () => events.off(id, listener);
+  }
+
+  return { enqueue, get, subscribe };
+}
@@ -0,0 +1,234 @@
+import { formatIsoMonth } from './dateRange.js';
+import { normalizeResume, normalizeLevel } from './resumeSchema.js';
+
+export const JSON_RESUME_SCHEMA_URL = 'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json';
+
+// JSON Resume skill levels written on export, per our level
+const EXPORT_LEVELS = { beginner: 'Beginner', intermediate: 'Intermediate', advanced: 'Advanced' };
+// Profile networks recognised from a link's host name
+const NETWORKS = {
+  'github.com': 'GitHub',
+  'gitlab.com': 'GitLab',
+  'linkedin.com': 'LinkedIn',
+  'twitter.com': 'Twitter',
+  'x.com': 'X',
+  'leetcode.com': 'LeetCode',
+  'kaggle.com': 'Kaggle',
+  'medium.com': 'Medium',
+  'stackoverflow.com': 'Stack Overflow'
+};
+
+/**
+ * Convert a parsed resume to a JSON Resume (https://jsonresume.org/schema) document.
+ * experience -> work, projects -> projects, education -> education, technical_skills -> skills, with one
+ * skills entry per run of same-level skills in a category, so per-skill levels survive the round trip.
+ * Technologies of a role go to the role's keywords, which JSON Resume allows as an extra property.
+ * @param {Object} resume - Parsed resume
+ * @returns {Object} JSON Resume document
+ */
+export function toJsonResume(resume) {
+  const contact = resume?.contact || {};
+  const basics = compact({
+    name: resume?.name || undefined,
+    email: contact.email || undefined,
+    phone: contact.phone || undefined,
+    summary: resume?.summary || undefined,
+    location: contact.location ? splitLocation(contact.location) : undefined,
+    profiles: list(contact.links).map(link => compact({ network: networkOf(link), url: link }))
+  });
+
+  return compact({
+    $schema: JSON_RESUME_SCHEMA_URL,
+    basics,
+    work: list(resume?.experience).map(item => compact({
+      name: item.company || undefined,
+      position: item.role || undefined,
+      ...exportDates(item),
+      highlights: descriptionLines(item.description),
+      keywords: list(item.technologies)
+    })),
+    projects: list(resume?.projects).map(item => compact({
+      name: item.name || undefined,
+      type: item.type || undefined,
+      description: item.description || undefined,
+      ...exportDates(item),
+      keywords: list(item.technologies)
+    })),
+    education: list(resume?.education).map(item => compact({
+      institution: item.institution || undefined,
+      studyType: item.degree || undefined,
+      score: item.grade || undefined,
+      ...exportDates(item)
+    })),
+    skills: exportSkills(resume?.technical_skills),
+    certificates: list(resume?.certifications).map(item => compact({
+      name: item.name,
+      issuer: item.issuer || undefined,
+      date: item.date || undefined
+    })),
+    awards: list(resume?.awards).map(item => compact({
+      title: item.title,
+      awarder: item.issuer || undefined,
+      date: item.date || undefined,
+      summary: item.description || undefined
+    }))
+  });
+}
+
+/**
+ * Convert a JSON Resume document to our parsed resume shape
+ * work -> experience, projects -> projects, education -> education, skills -> technical_skills
+ * @param {Object} document - JSON Resume document
+ * @returns {Object} Normalized parsed resume
+ */
+export function fromJsonResume(document) {
+  const basics = document?.basics || {};
+  const location = basics.location || {};
+
+  const resume = {
+    name: text(basics.name),
+    contact: {
+      email: text(basics.email),
+      phone: text(basics.phone),
+      location: [location.address, location.city, location.region, location.countryCode].map(text).filter(Boolean).join(', ') || null,
+      links: [
+        text(basics.url),
+        ...list(basics.profiles).map(profile => text(profile.url) || (profile.username ? `${profile.network || 'profile'}: ${profile.username}` : null))
+      ].filter(Boolean)
+    },
+    summary: text(basics.summary) || text(basics.label),
+    experience: list(document?.work).map(item => ({
+      company: text(item.name) || text(item.company),
+      role: text(item.position),
+      duration: importDuration(item),
+      description: [text(item.summary), ...list(item.highlights).map(text)].filter(Boolean).join('\n') || null,
+      technologies: list(item.keywords).map(text).filter(Boolean)
+    })),
+    projects: list(document?.projects).filter(item => text(item.name)).map(item => ({
+      name: text(item.name),
+      type: text(item.type),
+      duration: importDuration(item),
+      description: [text(item.description), ...list(item.highlights).map(text)].filter(Boolean).join('\n') || null,
+      technologies: list(item.keywords).map(text).filter(Boolean)
+    })),
+    education: list(document?.education).map(item => ({
+      institution: text(item.institution),
+      degree: [text(item.studyType), text(item.area)].filter(Boolean).join(' in ') || null,
+      grade: text(item.score),
+      duration: importDuration(item)
+    })),
+    technical_skills: importSkills(document?.skills),
+    certifications: list(document?.certificates).filter(item => text(item.name)).map(item => ({
+      name: text(item.name),
+      issuer: text(item.issuer),
+      date: text(item.date)
+    })),
+    awards: list(document?.awards).filter(item => text(item.title)).map(item => ({
+      title: text(item.title),
+      issuer: text(item.awarder),
+      date: text(item.date),
+      description: text(item.summary)
+    }))
+  };
+
+  return normalizeResume(resume);
+}
+
+function exportDates(item) {
+  return {
+    startDate: item.start_date || undefined,
+    // JSON Resume marks an ongoing entry by leaving endDate out
+    endDate: item.current ? undefined : (item.end_date || undefined)
+  };
+}
+
+// Rebuild a duration that normalizeResume parses back into the same start/end/current
+function importDuration(item) {
+  const start = isoMonth(item.startDate, 'start');
+  if (!start) return null;
+  const end = isoMonth(item.endDate, 'end');
+  return `${formatIsoMonth(start)} - ${end ? formatIsoMonth(end) : 'Present'}`;
+}
+
+function exportSkills(technicalSkills) {
+  const groups = [];
+  for (const category of list(technicalSkills)) {
+    // One group per run of skills with the same level, which keeps the skills in their order
+    let run = null;
+    for (const skill of list(category.skills)) {
+      const name = typeof skill === 'string' ? skill : skill?.name;
+      if (!name) continue;
+      const level = typeof skill === 'string' ? null : (skill.level || null);
+      if (!run || run.level !== level) {
+        run = { name: category.category, level, keywords: [] };
+        groups.push(run);
+      }
+      run.keywords.push(name);
+    }
+  }
+  return groups.map(({ name, level, keywords }) => compact({
+    name,
+    level: level ? EXPORT_LEVELS[level] || level : undefined,
+    keywords
+  }));
+}
+
+// Entries sharing a name (split by level on export) are merged back into one category
+function importSkills(skills) {
+  const categories = new Map();
+  for (const group of list(skills)) {
+    const name = text(group.name) || 'Other';
+    const level = normalizeLevel(group.level);
+    // A group without keywords is a single skill, e.g. { "name": "Python", "level": "Advanced" }
+    const names = list(group.keywords).length > 0 ? list(group.keywords).map(text).filter(Boolean) : [name];
+    const categoryName = list(group.keywords).length > 0 ? name : 'Other';
+
+    if (!categories.has(categoryName)) categories.set(categoryName, []);
+    categories.get(categoryName).push(...names.map(skill => ({ name: skill, level })));
+  }
+  return [...categories].map(([category, categorySkills]) => ({ category, skills: categorySkills }));
+}
+
+function splitLocation(location) {
+  const [city, ...rest] = location.split(',').map(part => part.trim()).filter(Boolean);
+  return compact({ city, region: rest.join(', ') || undefined });
+}
+
+function networkOf(link) {
+  const host = String(link).replace(/^https?:\/\//i, '').replace(/^www\./i, '').split('/')[0].toLowerCase();
+  return NETWORKS[host] || undefined;
+}
+
+// "2020-03-15" -> "2020-03"; a bare year is its first or last month depending on the edge
+function isoMonth(value, edge) {
+  const match = String(value || '').match(/^(\d{4})(?:-(\d{2}))?/);
+  if (!match) return null;
+  return `${match[1]}-${match[2] || (edge === 'start' ? '01' : '12')}`;
+}
+
+function descriptionLines(description) {
+  return String(description || '')
+    .split('\n')
+    .map(line => line.replace(/^[\s•◦▪\-*–·]+/, '').trim())
+    .filter(Boolean);
+}
+
+function text(value) {
+  return typeof value === 'string' && value.trim() ? value.trim() : null;
+}
+
+function list(value) {
+  return Array.isArray(value) ? value.filter(item => item !== null && item !== undefined) : [];
+}
+
+// Drop undefined fields and empty arrays/objects so the document only holds what we know
+function compact(object) {
+  const result = {};
+  for (const [key, value] of Object.entries(object)) {
+    if (value === undefined || value === null) continue;
+    if (Array.isArray(value) && value.length === 0) continue;
+    if (typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length === 0) continue;
+    result[key] = value;
+  }
+  return result;
+}
@@ -1,18 +1,34 @@
 import multer from 'multer';
 import fs from 'fs';
+import path from 'path';
+
+// Resume formats accepted on upload. The real format is detected from the file's
+// magic bytes when it is parsed, this filter only rejects obviously wrong uploads.
+const RESUME_MIMETYPES = [
+  'application/pdf',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.oasis.opendocument.text',
+  'application/rtf',
+  'text/rtf',
+  'text/markdown',
+  'text/x-markdown',
+  'text/plain'
+];
+const RESUME_EXTENSIONS = ['.pdf', '.docx', '.odt', '.rtf', '.md', '.markdown', '.txt'];
+
+export const UPLOAD_DIR = './uploads';
 
 // Configure multer for file uploads
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
-    const uploadDir = './uploads';
-    if (!fs.existsSync(uploadDir)) {
-      fs.mkdirSync(uploadDir, { recursive: true });
+    if (!fs.existsSync(UPLOAD_DIR)) {
+      fs.mkdirSync(UPLOAD_DIR, { recursive: true });
     }
-    cb(null, uploadDir);
+    cb(null, UPLOAD_DIR);
   },
   filename: (req, file, cb) => {
-    // Generate unique filename
-    const uniqueName = `${Date.now()}-${Math.round(Math.random() * 1E9)}-${file.originalname}`;
+    // Generate unique filename, prefixed with the uploader so DELETE /me can find stray files
+    const uniqueName = `${req.user?.id || 'anonymous'}-${Date.now()}-${Math.round(Math.random() * 1E9)}-${file.originalname}`;
     cb(null, uniqueName);
   }
 });
@@ -20,10 +36,11 @@ const storage = multer.diskStorage({
 const upload = multer({
   storage: storage,
   fileFilter: (req, file, cb) => {
-    if (file.mimetype === 'application/pdf') {
+    const extension = path.extname(file.originalname).toLowerCase();
+    if (RESUME_MIMETYPES.includes(file.mimetype) || RESUME_EXTENSIONS.includes(extension)) {
       cb(null, true);
     } else {
-      cb(new Error('Only PDF files are allowed!'), false);
+      cb(new Error('Only PDF, DOCX, ODT, RTF, Markdown and plain text files are allowed!'), false);
     }
   },
   limits: {
@@ -31,4 +48,40 @@ const upload = multer({
   }
 });
 
-export { upload };
\ No newline at end of file
+// Cohort onboarding: a zip of resumes ('resumes') and a CSV mapping file names to user IDs ('mapping')
+const cohortUpload = multer({
+  storage: storage,
+  fileFilter: (req, file, cb) => {
+    const extension = path.extname(file.originalname).toLowerCase();
+    if (file.fieldname === 'resumes' && extension === '.zip') {
+      cb(null, true);
+    } else if (file.fieldname === 'mapping' && extension === '.csv') {
+      cb(null, true);
+    } else {
+      cb(new Error('Upload a .zip of resumes as "resumes" and a .csv mapping as "mapping"'), false);
+    }
+  },
+  limits: {
+    fileSize: 200 * 1024 * 1024 // 200MB limit
+  }
+}).fields([
+  { name: 'resumes', maxCount: 1 },
+  { name: 'mapping', maxCount: 1 }
+]);
+
+// LinkedIn data export: the archive LinkedIn emails after "Get a copy of your data" ('archive')
+const linkedinUpload = multer({
+  storage: storage,
+  fileFilter: (req, file, cb) => {
+    if (path.extname(file.originalname).toLowerCase() === '.zip') {
+      cb(null, true);
+    } else {
+      cb(new Error('Upload the LinkedIn data export .zip as "archive"'), false);
+    }
+  },
+  limits: {
+    fileSize: 20 * 1024 * 1024 // 20MB limit
+  }
+}).single('archive');
+
+export { upload, cohortUpload, linkedinUpload };
\ No newline at end of file
@@ -1,13 +1,16 @@
 import fs from 'fs';
 import { exec } from 'child_process';
 import { promisify } from 'util';
+import { extractPdfText } from './pdfTextExtractor.js';
+import { assessTextQuality, MIN_TEXT_QUALITY } from './textQuality.js';
 
 const execAsync = promisify(exec);
 
 /**
  * Parse PDF file and extract text content using multiple fallback methods
  * @param {string} filePath - Path to the PDF file
- * @returns {string} Extracted text content
+ * @returns {Object} Extracted text, the method that produced it, a quality assessment,
+ * per-page lines (content-stream method only) and the outcome of every attempted method
  */
 export async function parseResume(filePath) {
   try {
@@ -15,46 +18,46 @@ export async function parseResume(filePath) {
     if (!fs.existsSync(filePath)) {
       throw new Error(`File not found: ${filePath}`);
     }
-    
+
     console.log(`Parsing PDF: ${filePath}`);
-    
-    // Method 1: Try using pdf-lib (most reliable)
-    try {
-      const { PDFDocument } = await import('pdf-lib');
-      
-      const dataBuffer = fs.readFileSync(filePath);
-      const pdfDoc = await PDFDocument.load(dataBuffer);
-      const pages = pdfDoc.getPages();
-      
-      let fullText = '';
-      
-      // Extract text using pdf-lib's basic text extraction
-      for (let i = 0; i < pages.length; i++) {
-        const page = pages[i];
-        // This is a basic approach - pdf-lib doesn't have built-in text extraction
-        // but we can try to get some basic info
-        fullText += `Page ${i + 1} content\n`;
+
+    const attempts = [];
+    let best = null;
+
+    const record = (method, text, pages = null) => {
+      const quality = assessTextQuality(text);
+      attempts.push({ method, quality: quality.score });
+      if (!best || quality.score > best.quality.score) {
+        best = { text: text.trim(), method, quality, pages };
       }
-      
-      if (fullText.trim()) {
-        console.log(`Successfully extracted text using pdf-lib`);
-        return fullText.trim();
+      return quality.score >= MIN_TEXT_QUALITY;
+    };
+
+    // Method 1: Decode page content streams in pure JavaScript
+    try {
+      const { text, pages } = await extractPdfText(fs.readFileSync(filePath));
+      if (record('content-stream', text, pages)) {
+        console.log(`Successfully extracted ${text.length} characters from PDF content streams`);
+        return { ...best, attempts };
       }
-    } catch (pdfLibError) {
-      console.warn('pdf-lib method failed:', pdfLibError.message);
+      console.warn(`Content stream extraction quality too low (${best.quality.score})`);
+    } catch (extractError) {
+      console.warn('Content stream method failed:', extractError.message);
+      attempts.push({ method: 'content-stream', error: extractError.message });
     }
-    
+
     // Method 2: Try using pdftotext command line tool (if available in container)
     try {
       const { stdout } = await execAsync(`pdftotext "${filePath}" -`);
-      if (stdout && stdout.trim()) {
+      if (stdout && stdout.trim() && record('pdftotext', stdout)) {
         console.log(`Successfully extracted ${stdout.length} characters using pdftotext`);
-        return stdout.trim();
+        return { ...best, attempts };
       }
     } catch (pdfToTextError) {
       console.warn('pdftotext method failed:', pdfToTextError.message);
+      attempts.push({ method: 'pdftotext', error: pdfToTextError.message });
     }
-    
+
     // Method 3: Try using strings command as last resort
     try {
       const { stdout } = await execAsync(`strings "${filePath}"`);
@@ -64,28 +67,23 @@ export async function parseResume(filePath) {
           .split('\n')
           .filter(line => line.length > 3 && /[a-zA-Z]/.test(line))
           .join('\n');
-        
-        if (cleanText.trim()) {
+
+        if (cleanText.trim() && record('strings', cleanText)) {
           console.log(`Successfully extracted ${cleanText.length} characters using strings command`);
-          return cleanText.trim();
+          return { ...best, attempts };
         }
       }
     } catch (stringsError) {
       console.warn('strings method failed:', stringsError.message);
+      attempts.push({ method: 'strings', error: stringsError.message });
     }
-    
-    // Method 4: Return a manual processing message if all else fails
-    console.warn('All PDF parsing methods failed, requesting manual processing');
-    return `PDF parsing failed for file: ${filePath}. Please manually extract the text content from this resume:
 
-1. Education details
-2. Work experience 
-3. Skills and technologies
-4. Projects
-5. Contact information
+    // No method produced usable text - hand back the best attempt so the caller can decide
+    console.warn('All PDF parsing methods produced low quality text');
+    return best
+      ? { ...best, attempts }
+      : { text: '', method: null, quality: assessTextQuality(''), pages: null, attempts };
 
-Please provide this information in a structured format for processing.`;
-    
   } catch (error) {
     console.error('Error parsing PDF:', error);
     throw new Error(`Failed to parse PDF: ${error.message}`);
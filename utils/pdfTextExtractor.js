@@ -0,0 +1,763 @@
+import {
+  PDFDocument,
+  PDFName,
+  PDFDict,
+  PDFArray,
+  PDFNumber,
+  PDFRawStream,
+  PDFContentStream,
+  decodePDFRawStream
+} from 'pdf-lib';
+
+// Maximum nesting of form XObjects we follow when looking for text
+const MAX_XOBJECT_DEPTH = 5;
+
+// WinAnsiEncoding differs from Latin-1 only in the 0x80-0x9F range
+const WIN_ANSI_OVERRIDES = {
+  0x80: '€', 0x82: '‚', 0x83: 'ƒ', 0x84: '„', 0x85: '…', 0x86: '†', 0x87: '‡', 0x88: 'ˆ',
+  0x89: '‰', 0x8a: 'Š', 0x8b: '‹', 0x8c: 'Œ', 0x8e: 'Ž', 0x91: '‘', 0x92: '’', 0x93: '“',
+  0x94: '”', 0x95: '•', 0x96: '–', 0x97: '—', 0x98: '˜', 0x99: '™', 0x9a: 'š', 0x9b: '›',
+  0x9c: 'œ', 0x9e: 'ž', 0x9f: 'Ÿ'
+};
+
+// Upper half (0x80-0xFF) of MacRomanEncoding
+const MAC_ROMAN_HIGH =
+  'ÄÅÇÉÑÖÜáàâäãåçéèêëíìîïñóòôöõúùûü†°¢£§•¶ß®©™´¨≠ÆØ∞±≤≥¥µ∂∑∏π∫ªºΩæø' +
+  '¿¡¬√ƒ≈∆«»… ÀÃÕŒœ–—“”‘’÷◊ÿŸ⁄€‹›ﬁﬂ‡·‚„‰ÂÊÁËÈÍÎÏÌÓÔÒÚÛÙıˆ˜¯˘˙˚¸˝˛ˇ';
+
+// Glyph names commonly found in /Differences arrays that are not single letters or digits
+const GLYPH_NAMES = {
+  space: ' ', exclam: '!', quotedbl: '"', numbersign: '#', dollar: '$', percent: '%',
+  ampersand: '&', quotesingle: "'", quoteright: '’', quoteleft: '‘', parenleft: '(',
+  parenright: ')', asterisk: '*', plus: '+', comma: ',', hyphen: '-', minus: '-', period: '.',
+  slash: '/', colon: ':', semicolon: ';', less: '<', equal: '=', greater: '>', question: '?',
+  at: '@', bracketleft: '[', backslash: '\\', bracketright: ']', asciicircum: '^',
+  underscore: '_', grave: '`', braceleft: '{', bar: '|', braceright: '}', asciitilde: '~',
+  bullet: '•', endash: '–', emdash: '—', quotedblleft: '“', quotedblright: '”',
+  quotesinglbase: '‚', quotedblbase: '„', ellipsis: '…', fi: 'fi', fl: 'fl', ff: 'ff',
+  ffi: 'ffi', ffl: 'ffl', copyright: '©', registered: '®', trademark: '™', degree: '°',
+  periodcentered: '·', middot: '·', section: '§', paragraph: '¶', dagger: '†',
+  daggerdbl: '‡', Euro: '€', sterling: '£', yen: '¥', cent: '¢', nbspace: ' ',
+  zero: '0', one: '1', two: '2', three: '3', four: '4', five: '5', six: '6', seven: '7',
+  eight: '8', nine: '9'
+};
+
+/**
+ * Extract text from a PDF by decoding each page's content stream
+ * @param {Buffer|Uint8Array} data - Raw PDF bytes
+ * @returns {Object} Extracted text plus per-page line structure
+ */
+export async function extractPdfText(data) {
+  const pdfDoc = await PDFDocument.load(data, { ignoreEncryption: true, updateMetadata: false });
+  const pages = [];
+
+  pdfDoc.getPages().forEach((page, index) => {
+    const fontCache = new Map();
+    const items = [];
+
+    try {
+      const contentBytes = readPageContents(page.node);
+      interpretContent(contentBytes, page.node.Resources(), items, fontCache, [1, 0, 0, 1, 0, 0], 0);
+    } catch (error) {
+      console.warn(`Failed to interpret content stream on page ${index + 1}:`, error.message);
+    }
+
+    pages.push({
+      number: index + 1,
+      lines: buildLines(items)
+    });
+  });
+
+  const text = pages
+    .map(page => page.lines.join('\n'))
+    .filter(pageText => pageText.trim())
+    .join('\n\n');
+
+  return { text, pages };
+}
+
+/**
+ * Concatenate and decode all content streams of a page
+ * @param {PDFPageLeaf} pageNode - pdf-lib page node
+ * @returns {Uint8Array} Decoded content bytes
+ */
+function readPageContents(pageNode) {
+  const contents = pageNode.Contents();
+  if (!contents) return new Uint8Array(0);
+
+  const streams = contents instanceof PDFArray
+    ? contents.asArray().map(ref => pageNode.context.lookup(ref))
+    : [contents];
+
+  const chunks = streams.map(stream => decodeStream(stream)).filter(Boolean);
+  const total = chunks.reduce((sum, chunk) => sum + chunk.length + 1, 0);
+  const bytes = new Uint8Array(total);
+  let offset = 0;
+  for (const chunk of chunks) {
+    bytes.set(chunk, offset);
+    offset += chunk.length;
+    bytes[offset++] = 0x0a; // streams are separated by whitespace
+  }
+  return bytes;
+}
+
+/**
+ * Decode a PDF stream object, returning null for unsupported filters
+ * @param {PDFObject} stream - Stream object
+ * @returns {Uint8Array|null} Decoded bytes
+ */
+function decodeStream(stream) {
+  try {
+    if (stream instanceof PDFRawStream) {
+      return decodePDFRawStream(stream).decode();
+    }
+    if (stream instanceof PDFContentStream) {
+      return stream.getContents();
+    }
+  } catch (error) {
+    console.warn('Skipping undecodable stream:', error.message);
+  }
+  return null;
+}
+
+/**
+ * Look up a key on a PDF dictionary, resolving indirect references
+ * @param {PDFDict} dict - Dictionary
+ * @param {string} key - Key without the leading slash
+ * @returns {PDFObject|undefined} Resolved value
+ */
+function lookup(dict, key) {
+  if (!dict || typeof dict.lookup !== 'function') return undefined;
+  return dict.lookup(PDFName.of(key));
+}
+
+function nameOf(obj) {
+  return obj instanceof PDFName ? obj.decodeText() : undefined;
+}
+
+function numberOf(obj, fallback = 0) {
+  return obj instanceof PDFNumber ? obj.asNumber() : fallback;
+}
+
+function multiply(m1, m2) {
+  return [
+    m1[0] * m2[0] + m1[1] * m2[2],
+    m1[0] * m2[1] + m1[1] * m2[3],
+    m1[2] * m2[0] + m1[3] * m2[2],
+    m1[2] * m2[1] + m1[3] * m2[3],
+    m1[4] * m2[0] + m1[5] * m2[2] + m2[4],
+    m1[4] * m2[1] + m1[5] * m2[3] + m2[5]
+  ];
+}
+
+/**
+ * Run the text-related operators of a content stream and collect positioned text items
+ * @param {Uint8Array} bytes - Decoded content stream
+ * @param {PDFDict} resources - Resource dictionary in scope
+ * @param {Array} items - Output list of text items
+ * @param {Map} fontCache - Decoded fonts keyed by font dictionary
+ * @param {Array} baseCtm - Transformation matrix inherited from the caller
+ * @param {number} depth - Form XObject nesting depth
+ */
+function interpretContent(bytes, resources, items, fontCache, baseCtm, depth) {
+  const fonts = lookup(resources, 'Font');
+  const xObjects = lookup(resources, 'XObject');
+
+  let gs = { ctm: baseCtm };
+  const gsStack = [];
+  let text = { charSpacing: 0, wordSpacing: 0, scale: 1, leading: 0, rise: 0, font: null, fontSize: 0 };
+  const textStack = [];
+  let tm = [1, 0, 0, 1, 0, 0];
+  let tlm = [1, 0, 0, 1, 0, 0];
+  let operands = [];
+
+  const moveLine = (tx, ty) => {
+    tlm = multiply([1, 0, 0, 1, tx, ty], tlm);
+    tm = tlm.slice();
+  };
+
+  const showText = (bytesOrArray) => {
+    const font = text.font;
+    if (!font) return;
+
+    const segments = Array.isArray(bytesOrArray) ? bytesOrArray : [bytesOrArray];
+    for (const segment of segments) {
+      if (typeof segment === 'number') {
+        // TJ adjustments are in thousandths of text space; large negative values are visual spaces
+        const shift = (-segment / 1000) * text.fontSize * text.scale;
+        if (-segment > 200) {
+          pushItem(' ', shift);
+        }
+        tm = multiply([1, 0, 0, 1, shift, 0], tm);
+        continue;
+      }
+
+      for (const glyph of font.decode(segment)) {
+        let advance = (glyph.width / 1000) * text.fontSize + text.charSpacing;
+        if (glyph.isSpace) advance += text.wordSpacing;
+        advance *= text.scale;
+        pushItem(glyph.text, advance);
+        tm = multiply([1, 0, 0, 1, advance, 0], tm);
+      }
+    }
+  };
+
+  const pushItem = (str, advance) => {
+    if (!str) return;
+    const trm = multiply([text.fontSize * text.scale, 0, 0, text.fontSize, 0, text.rise], multiply(tm, gs.ctm));
+    const size = Math.hypot(trm[2], trm[3]) || text.fontSize || 1;
+    const scaleX = Math.hypot(gs.ctm[0], gs.ctm[1]) * Math.hypot(tm[0], tm[1]) || 1;
+    items.push({ text: str, x: trm[4], y: trm[5], width: advance * scaleX, size });
+  };
+
+  for (const token of tokenize(bytes)) {
+    if (token.type !== 'op') {
+      operands.push(token.value);
+      continue;
+    }
+
+    const op = token.value;
+    const num = (i) => (typeof operands[i] === 'number' ? operands[i] : 0);
+
+    switch (op) {
+      case 'q':
+        gsStack.push(gs);
+        textStack.push(text);
+        gs = { ...gs };
+        text = { ...text };
+        break;
+      case 'Q':
+        if (gsStack.length) gs = gsStack.pop();
+        if (textStack.length) text = textStack.pop();
+        break;
+      case 'cm':
+        gs = { ...gs, ctm: multiply(operands.slice(0, 6).map((_, i) => num(i)), gs.ctm) };
+        break;
+      case 'BT':
+        tm = [1, 0, 0, 1, 0, 0];
+        tlm = [1, 0, 0, 1, 0, 0];
+        break;
+      case 'Tf': {
+        const fontName = operands[0]?.name;
+        text.fontSize = num(1);
+        text.font = fontName ? loadFont(lookup(fonts, fontName), fontCache) : null;
+        break;
+      }
+      case 'Tc': text.charSpacing = num(0); break;
+      case 'Tw': text.wordSpacing = num(0); break;
+      case 'Tz': text.scale = num(0) / 100; break;
+      case 'TL': text.leading = num(0); break;
+      case 'Ts': text.rise = num(0); break;
+      case 'Td': moveLine(num(0), num(1)); break;
+      case 'TD':
+        text.leading = -num(1);
+        moveLine(num(0), num(1));
+        break;
+      case 'Tm':
+        tlm = [num(0), num(1), num(2), num(3), num(4), num(5)];
+        tm = tlm.slice();
+        break;
+      case 'T*': moveLine(0, -text.leading); break;
+      case 'Tj':
+        if (operands[0] instanceof Uint8Array) showText(operands[0]);
+        break;
+      case 'TJ':
+        if (Array.isArray(operands[0])) showText(operands[0]);
+        break;
+      case "'":
+        moveLine(0, -text.leading);
+        if (operands[0] instanceof Uint8Array) showText(operands[0]);
+        break;
+      case '"':
+        text.wordSpacing = num(0);
+        text.charSpacing = num(1);
+        moveLine(0, -text.leading);
+        if (operands[2] instanceof Uint8Array) showText(operands[2]);
+        break;
+      case 'Do': {
+        const xObject = lookup(xObjects, operands[0]?.name);
+        if (depth < MAX_XOBJECT_DEPTH && xObject && nameOf(lookup(xObject.dict, 'Subtype')) === 'Form') {
+          const formBytes = decodeStream(xObject);
+          const matrix = lookup(xObject.dict, 'Matrix');
+          const formMatrix = matrix instanceof PDFArray
+            ? matrix.asArray().map(value => numberOf(value))
+            : [1, 0, 0, 1, 0, 0];
+          const formResources = lookup(xObject.dict, 'Resources') || resources;
+          if (formBytes) {
+            interpretContent(formBytes, formResources, items, fontCache, multiply(formMatrix, gs.ctm), depth + 1);
+          }
+        }
+        break;
+      }
+      default:
+        break;
+    }
+    operands = [];
+  }
+}
+
+/**
+ * Tokenize a content stream into operands and operators
+ * @param {Uint8Array} bytes - Decoded content stream
+ * @returns {Generator<Object>} Tokens of type 'op' or 'operand'
+ */
+function* tokenize(bytes) {
+  const length = bytes.length;
+  let i = 0;
+  const arrayStack = [];
+
+  const isWhite = (c) => c === 0x20 || c === 0x0a || c === 0x0d || c === 0x09 || c === 0x0c || c === 0x00;
+  const isDelim = (c) => c === 0x28 || c === 0x29 || c === 0x3c || c === 0x3e || c === 0x5b ||
+    c === 0x5d || c === 0x7b || c === 0x7d || c === 0x2f || c === 0x25;
+
+  const emit = function* (value) {
+    if (arrayStack.length) {
+      arrayStack[arrayStack.length - 1].push(value);
+    } else {
+      yield { type: 'operand', value };
+    }
+  };
+
+  while (i < length) {
+    const c = bytes[i];
+
+    if (isWhite(c)) { i++; continue; }
+
+    if (c === 0x25) { // comment
+      while (i < length && bytes[i] !== 0x0a && bytes[i] !== 0x0d) i++;
+      continue;
+    }
+
+    if (c === 0x28) { // literal string
+      const { value, end } = readLiteralString(bytes, i + 1);
+      i = end;
+      yield* emit(value);
+      continue;
+    }
+
+    if (c === 0x3c) {
+      if (bytes[i + 1] === 0x3c) { // dictionary (only used by marked content) - skip it
+        let nesting = 0;
+        while (i < length) {
+          if (bytes[i] === 0x3c && bytes[i + 1] === 0x3c) { nesting++; i += 2; continue; }
+          if (bytes[i] === 0x3e && bytes[i + 1] === 0x3e) { nesting--; i += 2; if (nesting === 0) break; continue; }
+          if (bytes[i] === 0x28) { i = readLiteralString(bytes, i + 1).end; continue; }
+          i++;
+        }
+        yield* emit(null);
+        continue;
+      }
+      let hex = '';
+      i++;
+      while (i < length && bytes[i] !== 0x3e) {
+        if (!isWhite(bytes[i])) hex += String.fromCharCode(bytes[i]);
+        i++;
+      }
+      i++;
+      if (hex.length % 2) hex += '0';
+      const value = new Uint8Array(hex.length / 2);
+      for (let j = 0; j < value.length; j++) {
+        value[j] = parseInt(hex.substr(j * 2, 2), 16) || 0;
+      }
+      yield* emit(value);
+      continue;
+    }
+
+    if (c === 0x5b) { arrayStack.push([]); i++; continue; }
+    if (c === 0x5d) {
+      i++;
+      const array = arrayStack.pop() || [];
+      yield* emit(array);
+      continue;
+    }
+
+    if (c === 0x2f) { // name
+      let j = i + 1;
+      while (j < length && !isWhite(bytes[j]) && !isDelim(bytes[j])) j++;
+      const raw = Buffer.from(bytes.subarray(i + 1, j)).toString('latin1');
+      i = j;
+      yield* emit({ name: raw.replace(/#([0-9a-fA-F]{2})/g, (_, h) => String.fromCharCode(parseInt(h, 16))) });
+      continue;
+    }
+
+    // Number or operator keyword
+    let j = i;
+    while (j < length && !isWhite(bytes[j]) && !isDelim(bytes[j])) j++;
+    if (j === i) { i++; continue; }
+    const word = Buffer.from(bytes.subarray(i, j)).toString('latin1');
+    i = j;
+
+    if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(word)) {
+      yield* emit(parseFloat(word));
+      continue;
+    }
+
+    if (word === 'BI') {
+      // Inline image: skip binary data up to the EI keyword
+      const idIndex = indexOfKeyword(bytes, 'ID', i);
+      const eiIndex = idIndex === -1 ? -1 : indexOfKeyword(bytes, 'EI', idIndex + 3);
+      i = eiIndex === -1 ? length : eiIndex + 2;
+      continue;
+    }
+
+    if (word === 'true' || word === 'false' || word === 'null') {
+      yield* emit(word === 'true' ? true : word === 'false' ? false : null);
+      continue;
+    }
+
+    if (arrayStack.length) continue; // operators never appear inside arrays
+    yield { type: 'op', value: word };
+  }
+}
+
+function indexOfKeyword(bytes, keyword, from) {
+  const a = keyword.charCodeAt(0);
+  const b = keyword.charCodeAt(1);
+  for (let i = from; i < bytes.length - 1; i++) {
+    const before = i === 0 ? 0x20 : bytes[i - 1];
+    const after = i + 2 < bytes.length ? bytes[i + 2] : 0x20;
+    if (bytes[i] === a && bytes[i + 1] === b && /\s/.test(String.fromCharCode(before)) && /\s/.test(String.fromCharCode(after))) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Read a literal (parenthesised) string starting after the opening parenthesis
+ * @param {Uint8Array} bytes - Content bytes
+ * @param {number} start - Index after '('
+ * @returns {Object} String bytes and the index after the closing parenthesis
+ */
+function readLiteralString(bytes, start) {
+  const out = [];
+  let depth = 1;
+  let i = start;
+
+  while (i < bytes.length) {
+    const c = bytes[i];
+    if (c === 0x5c) { // backslash escape
+      const next = bytes[i + 1];
+      i += 2;
+      switch (next) {
+        case 0x6e: out.push(0x0a); break; // n
+        case 0x72: out.push(0x0d); break; // r
+        case 0x74: out.push(0x09); break; // t
+        case 0x62: out.push(0x08); break; // b
+        case 0x66: out.push(0x0c); break; // f
+        case 0x0d: if (bytes[i] === 0x0a) i++; break; // line continuation
+        case 0x0a: break;
+        default:
+          if (next >= 0x30 && next <= 0x37) {
+            let octal = next - 0x30;
+            for (let k = 0; k < 2 && bytes[i] >= 0x30 && bytes[i] <= 0x37; k++) {
+              octal = octal * 8 + (bytes[i] - 0x30);
+              i++;
+            }
+            out.push(octal & 0xff);
+          } else if (next !== undefined) {
+            out.push(next);
+          }
+      }
+      continue;
+    }
+    if (c === 0x28) depth++;
+    if (c === 0x29) {
+      depth--;
+      if (depth === 0) { i++; break; }
+    }
+    out.push(c);
+    i++;
+  }
+
+  return { value: Uint8Array.from(out), end: i };
+}
+
+/**
+ * Build a decoder for a font resource: byte codes -> unicode text and glyph widths
+ * @param {PDFDict} fontDict - Font dictionary
+ * @param {Map} fontCache - Cache of decoders
+ * @returns {Object|null} Font decoder
+ */
+function loadFont(fontDict, fontCache) {
+  if (!(fontDict instanceof PDFDict)) return null;
+  if (fontCache.has(fontDict)) return fontCache.get(fontDict);
+
+  const subtype = nameOf(lookup(fontDict, 'Subtype'));
+  const isComposite = subtype === 'Type0';
+  const toUnicode = parseToUnicode(lookup(fontDict, 'ToUnicode'));
+
+  let codeLengths = isComposite ? [2] : [1];
+  if (toUnicode && toUnicode.codeLengths.length && isComposite) {
+    codeLengths = toUnicode.codeLengths;
+  }
+
+  const widthOf = isComposite ? compositeWidths(fontDict) : simpleWidths(fontDict);
+  const encoding = isComposite ? null : simpleEncoding(fontDict);
+
+  const font = {
+    decode(bytes) {
+      const glyphs = [];
+      let i = 0;
+      while (i < bytes.length) {
+        let length = codeLengths[0];
+        // Pick the first code length that has a ToUnicode mapping
+        if (codeLengths.length > 1) {
+          length = codeLengths.find(len => toUnicode.map.has(readCode(bytes, i, len))) || codeLengths[0];
+        }
+        const code = readCode(bytes, i, length);
+        i += length;
+
+        let str = toUnicode?.map.get(code);
+        if (str === undefined) {
+          str = encoding ? encoding(code) : '';
+        }
+        glyphs.push({
+          text: str.replace(/\u0000/g, ''),
+          width: widthOf(code),
+          isSpace: length === 1 && code === 0x20
+        });
+      }
+      return glyphs;
+    }
+  };
+
+  fontCache.set(fontDict, font);
+  return font;
+}
+
+function readCode(bytes, offset, length) {
+  let code = 0;
+  for (let k = 0; k < length && offset + k < bytes.length; k++) {
+    code = code * 256 + bytes[offset + k];
+  }
+  return code;
+}
+
+/**
+ * Parse a ToUnicode CMap stream
+ * @param {PDFObject} stream - ToUnicode stream
+ * @returns {Object|null} Map of code -> string and the code lengths in use
+ */
+function parseToUnicode(stream) {
+  const bytes = decodeStream(stream);
+  if (!bytes) return null;
+
+  const source = Buffer.from(bytes).toString('latin1');
+  const map = new Map();
+  const codeLengths = new Set();
+
+  const hexToCode = (hex) => parseInt(hex, 16);
+  const hexToString = (hex) => {
+    const padded = hex.length % 4 ? hex.padEnd(Math.ceil(hex.length / 4) * 4, '0') : hex;
+    let out = '';
+    for (let i = 0; i < padded.length; i += 4) {
+      out += String.fromCharCode(parseInt(padded.substr(i, 4), 16));
+    }
+    return out;
+  };
+
+  for (const block of source.matchAll(/begincodespacerange([\s\S]*?)endcodespacerange/g)) {
+    for (const range of block[1].matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>/g)) {
+      codeLengths.add(range[1].length / 2);
+    }
+  }
+
+  for (const block of source.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+    for (const entry of block[1].matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]*)>/g)) {
+      map.set(hexToCode(entry[1]), hexToString(entry[2]));
+      codeLengths.add(entry[1].length / 2);
+    }
+  }
+
+  for (const block of source.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+    const entries = block[1].matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>\s*(<[0-9a-fA-F]*>|\[[^\]]*\])/g);
+    for (const entry of entries) {
+      const low = hexToCode(entry[1]);
+      const high = hexToCode(entry[2]);
+      codeLengths.add(entry[1].length / 2);
+      if (high - low > 0xffff) continue;
+
+      if (entry[3].startsWith('[')) {
+        const targets = [...entry[3].matchAll(/<([0-9a-fA-F]*)>/g)].map(m => hexToString(m[1]));
+        targets.forEach((target, offset) => map.set(low + offset, target));
+      } else {
+        const base = entry[3].slice(1, -1);
+        const baseString = hexToString(base);
+        const lastCharCode = baseString.charCodeAt(baseString.length - 1);
+        for (let code = low; code <= high; code++) {
+          map.set(code, baseString.slice(0, -1) + String.fromCharCode(lastCharCode + (code - low)));
+        }
+      }
+    }
+  }
+
+  return {
+    map,
+    codeLengths: [...codeLengths].filter(len => len >= 1 && len <= 4).sort((a, b) => a - b)
+  };
+}
+
+/**
+ * Build the code -> character function for a simple (single byte) font
+ * @param {PDFDict} fontDict - Font dictionary
+ * @returns {Function} Encoding function
+ */
+function simpleEncoding(fontDict) {
+  const encoding = lookup(fontDict, 'Encoding');
+  let baseName = nameOf(encoding);
+  const differences = new Map();
+
+  if (encoding instanceof PDFDict) {
+    baseName = nameOf(lookup(encoding, 'BaseEncoding'));
+    const diffArray = lookup(encoding, 'Differences');
+    if (diffArray instanceof PDFArray) {
+      let code = 0;
+      for (const entry of diffArray.asArray()) {
+        if (entry instanceof PDFNumber) {
+          code = entry.asNumber();
+        } else if (entry instanceof PDFName) {
+          differences.set(code++, glyphNameToUnicode(entry.decodeText()));
+        }
+      }
+    }
+  }
+
+  return (code) => {
+    if (differences.has(code)) return differences.get(code);
+    if (baseName === 'MacRomanEncoding' && code >= 0x80) return MAC_ROMAN_HIGH[code - 0x80] || '';
+    if (WIN_ANSI_OVERRIDES[code]) return WIN_ANSI_OVERRIDES[code];
+    if (code < 0x20) return '';
+    return String.fromCharCode(code);
+  };
+}
+
+/**
+ * Map an Adobe glyph name to unicode text
+ * @param {string} name - Glyph name
+ * @returns {string} Unicode text ('' when unknown)
+ */
+function glyphNameToUnicode(name) {
+  const base = name.split('.')[0];
+  if (/^[A-Za-z]$/.test(base)) return base;
+  if (GLYPH_NAMES[base] !== undefined) return GLYPH_NAMES[base];
+
+  const uni = base.match(/^uni([0-9A-Fa-f]{4,})$/);
+  if (uni) {
+    return uni[1].match(/.{4}/g).map(hex => String.fromCharCode(parseInt(hex, 16))).join('');
+  }
+  const u = base.match(/^u([0-9A-Fa-f]{4,6})$/);
+  if (u) return String.fromCodePoint(parseInt(u[1], 16));
+
+  return '';
+}
+
+/**
+ * Glyph widths for a simple font (/FirstChar + /Widths)
+ * @param {PDFDict} fontDict - Font dictionary
+ * @returns {Function} code -> width in thousandths of text space
+ */
+function simpleWidths(fontDict) {
+  const widths = lookup(fontDict, 'Widths');
+  const firstChar = numberOf(lookup(fontDict, 'FirstChar'));
+  const values = widths instanceof PDFArray
+    ? widths.asArray().map(value => numberOf(fontDict.context.lookup(value)))
+    : [];
+
+  return (code) => {
+    const width = values[code - firstChar];
+    return width || 500;
+  };
+}
+
+/**
+ * Glyph widths for a composite font (/DescendantFonts[0] /W and /DW)
+ * @param {PDFDict} fontDict - Type0 font dictionary
+ * @returns {Function} CID -> width in thousandths of text space
+ */
+function compositeWidths(fontDict) {
+  const descendants = lookup(fontDict, 'DescendantFonts');
+  const descendant = descendants instanceof PDFArray ? descendants.lookup(0) : null;
+  const defaultWidth = numberOf(lookup(descendant, 'DW'), 1000);
+  const widths = new Map();
+
+  const w = lookup(descendant, 'W');
+  if (w instanceof PDFArray) {
+    const entries = w.asArray().map(value => fontDict.context.lookup(value));
+    let i = 0;
+    while (i < entries.length) {
+      const first = numberOf(entries[i]);
+      const next = entries[i + 1];
+      if (next instanceof PDFArray) {
+        next.asArray().forEach((value, offset) => widths.set(first + offset, numberOf(fontDict.context.lookup(value))));
+        i += 2;
+      } else {
+        const last = numberOf(next);
+        const width = numberOf(entries[i + 2]);
+        for (let cid = first; cid <= last && cid - first < 0xffff; cid++) widths.set(cid, width);
+        i += 3;
+      }
+    }
+  }
+
+  return (code) => widths.get(code) ?? defaultWidth;
+}
+
+/**
+ * Arrange positioned text items into lines in reading order
+ * @param {Array} items - Text items with page coordinates
+ * @returns {Array<string>} Lines of text, blank strings marking paragraph breaks
+ */
+function buildLines(items) {
+  const visible = items.filter(item => item.text.length > 0);
+  if (visible.length === 0) return [];
+
+  // Sort top-to-bottom (PDF y grows upwards), then left-to-right
+  visible.sort((a, b) => (b.y - a.y) || (a.x - b.x));
+
+  const rows = [];
+  for (const item of visible) {
+    const row = rows[rows.length - 1];
+    const tolerance = Math.max(item.size, row?.size || 0) * 0.5;
+    if (row && Math.abs(row.y - item.y) <= tolerance) {
+      row.items.push(item);
+    } else {
+      rows.push({ y: item.y, size: item.size, items: [item] });
+    }
+  }
+
+  const lines = [];
+  let previous = null;
+
+  for (const row of rows) {
+    row.items.sort((a, b) => a.x - b.x);
+
+    let line = '';
+    let cursor = null;
+    for (const item of row.items) {
+      if (cursor !== null) {
+        const gap = item.x - cursor;
+        const needsSpace = !line.endsWith(' ') && !item.text.startsWith(' ');
+        if (gap > row.size * 2.5 && needsSpace) {
+          line += '   '; // wide gaps usually separate columns or right-aligned dates
+        } else if (gap > row.size * 0.15 && needsSpace) {
+          line += ' ';
+        }
+      }
+      line += item.text;
+      cursor = Math.max(cursor ?? -Infinity, item.x + item.width);
+    }
+
+    line = line.replace(/\s+$/, '').replace(/ {4,}/g, '   ');
+    if (!line.trim()) continue;
+
+    // Leave a blank line where the vertical gap is much larger than the font size
+    if (previous && previous.y - row.y > Math.max(previous.size, row.size) * 2) {
+      lines.push('');
+    }
+    lines.push(line);
+    previous = row;
+  }
+
+  return lines;
+}
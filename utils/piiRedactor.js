@@ -0,0 +1,142 @@
+// Replaces personal data with placeholder tokens like [EMAIL_1] before text is sent to OpenAI,
+// and puts the original values back into whatever comes back.
+
+export const PII_CATEGORIES = ['email', 'phone', 'url', 'address', 'name'];
+
+const PATTERNS = {
+  email: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g,
+  url: /\b(?:https?:\/\/|www\.)[^\s|,;()<>\[\]]+|\b(?:github\.com|gitlab\.com|linkedin\.com|leetcode\.com|behance\.net|dribbble\.com|medium\.com|twitter\.com|x\.com)\/[^\s|,;()<>\[\]]+/gi,
+  phone: /(?:\+\d{1,3}[\s.-]?)?(?:\(?\d{2,5}\)?[\s.-]?){2,4}\d{2,5}/g,
+  // House number, capitalised street name and a street suffix, optionally followed by the unit
+  address: /\b\d{1,5}[A-Za-z]?,?[ \t]+(?:[A-Z0-9][\w.'-]*[ \t]+){0,4}(?:Street|St|Road|Rd|Avenue|Ave|Lane|Ln|Boulevard|Blvd|Drive|Dr|Court|Ct|Terrace|Highway|Hwy|Marg|Nagar)\b\.?(?:,?[ \t]*(?:Apt|Apartment|Suite|Unit|Flat|#)\.?[ \t]*[\w-]+)?/g
+};
+
+// Order matters: emails contain domains and URLs contain digits that look like phone numbers
+const MATCH_ORDER = ['email', 'url', 'phone', 'address'];
+
+const TOKEN_REGEX = /\[(EMAIL|URL|PHONE|ADDRESS|NAME)_(\d+)\]/g;
+
+/**
+ * Categories to redact, from PII_REDACTION_CATEGORIES (comma separated, "none" to disable)
+ * @returns {Array} Enabled categories, all of PII_CATEGORIES by default
+ */
+export function getConfiguredCategories() {
+  const configured = process.env.PII_REDACTION_CATEGORIES;
+  if (!configured) return [...PII_CATEGORIES];
+  if (configured.trim().toLowerCase() === 'none') return [];
+
+  const categories = configured.split(',').map(category => category.trim().toLowerCase()).filter(Boolean);
+  const unknown = categories.filter(category => !PII_CATEGORIES.includes(category));
+  if (unknown.length > 0) {
+    console.warn(`Ignoring unknown PII redaction categories: ${unknown.join(', ')}`);
+  }
+  return categories.filter(category => PII_CATEGORIES.includes(category));
+}
+
+/**
+ * Create a redactor. The same value always maps to the same token, so a redactor can be shared by
+ * every prompt about one resume and restore() can undo all of them. Values are compared case-sensitively:
+ * "JANE DOE" and "Jane Doe" get tokens of their own so each comes back as it was written.
+ * @param {Object} options - { categories } to redact (defaults to the configured ones) and
+ * { knownValues } per category for values that cannot be found by pattern, e.g. { name: ['Jane Doe'] }
+ * @returns {Object} { redact(text), restore(value), audit() }
+ */
+export function createRedactor({ categories = getConfiguredCategories(), knownValues = {} } = {}) {
+  const enabled = new Set(categories);
+  const tokensByValue = new Map();
+  const valuesByToken = new Map();
+  const counts = {};
+
+  const tokenFor = (category, value) => {
+    const key = `${category}:${value}`;
+    if (!tokensByValue.has(key)) {
+      counts[category] = (counts[category] || 0) + 1;
+      const token = `[${category.toUpperCase()}_${counts[category]}]`;
+      tokensByValue.set(key, token);
+      valuesByToken.set(token, value);
+    }
+    return tokensByValue.get(key);
+  };
+
+  const known = Object.entries(knownValues)
+    .filter(([category]) => enabled.has(category))
+    .flatMap(([category, values]) => (Array.isArray(values) ? values : [values])
+      .filter(value => typeof value === 'string' && value.trim().length > 1)
+      .map(value => ({ category, value: value.trim() })))
+    // Longest first so "Jane Doe" is replaced before "Jane"
+    .sort((a, b) => b.value.length - a.value.length);
+
+  /**
+   * Replace PII in text with tokens
+   * @param {string} text - Text about to be sent out
+   * @returns {string} Redacted text
+   */
+  function redact(text) {
+    if (!text || typeof text !== 'string' || enabled.size === 0) return text;
+    let redacted = text;
+
+    for (const category of MATCH_ORDER) {
+      if (!enabled.has(category)) continue;
+      redacted = redacted.replace(PATTERNS[category], match => {
+        if (category === 'phone' && !looksLikePhone(match)) return match;
+        if (category === 'url') {
+          // Keep trailing punctuation outside the token
+          const trailing = match.match(/[.)]+$/)?.[0] || '';
+          return tokenFor(category, match.slice(0, match.length - trailing.length)) + trailing;
+        }
+        return tokenFor(category, match);
+      });
+    }
+
+    for (const { category, value } of known) {
+      redacted = redacted.replace(new RegExp(escapeRegex(value), 'gi'), match => tokenFor(category, match));
+    }
+
+    return redacted;
+  }
+
+  /**
+   * Put original values back in place of tokens, in strings nested anywhere inside value
+   * @param {*} value - Text or parsed JSON returned by the model
+   * @returns {*} Value with tokens replaced
+   */
+  function restore(value) {
+    if (typeof value === 'string') {
+      return value.replace(TOKEN_REGEX, token => valuesByToken.get(token) ?? token);
+    }
+    if (Array.isArray(value)) {
+      return value.map(restore);
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, restore(item)]));
+    }
+    return value;
+  }
+
+  /**
+   * Which categories were redacted so far, without the values themselves
+   * @returns {Object} { enabled, redacted, counts } - counts are distinct values per category
+   */
+  function audit() {
+    return {
+      enabled: [...enabled],
+      redacted: Object.keys(counts),
+      counts: { ...counts }
+    };
+  }
+
+  return { redact, restore, audit };
+}
+
+// A year range at the start, e.g. "2019-2021 96" from "Class XII 2019-2021 96%"
+const YEAR_RANGE_START_REGEX = /^(?:19|20)\d{2}\s*[-–—/]\s*(?:19|20)?\d{2}\b/;
+
+function looksLikePhone(match) {
+  const digits = match.replace(/\D/g, '');
+  // Year ranges, with or without a grade or score after them, and short numbers are not phone numbers
+  return digits.length >= 10 && digits.length <= 15 && !YEAR_RANGE_START_REGEX.test(match.trim());
+}
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
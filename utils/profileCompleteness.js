@@ -0,0 +1,156 @@
+import { parseDuration } from './dateRange.js';
+import { normalizeLevel } from './resumeSchema.js';
+
+// Points per section; they add up to 100
+const SECTION_WEIGHTS = {
+  goal: 20,
+  skills: 25,
+  projects: 20,
+  experience: 20,
+  leetcode: 15
+};
+// Skills and projects count in full from this many
+const TARGET_SKILLS = 5;
+const TARGET_PROJECTS = 2;
+// Entries named in a single action before the rest are summarized
+const MAX_NAMED_ENTRIES = 3;
+
+/**
+ * Score how complete a profile is and list what to do next. Sections the stored profile is missing
+ * but the parsed resume has are pointed out, so the user can bring them over instead of retyping them.
+ * @param {Object} profile - { goal, technical_skills, projects, experience } as stored in the payload
+ * @param {Object} options - { resume } getActiveResume's { current_goal, resume }, { leetcodeLinked } whether
+ * LeetCode stats are stored
+ * @returns {Object} { score, sections: [{ section, weight, earned, complete }], next_actions: [{ section, action, points }] }
+ * where score is a whole percentage and next_actions are ordered by the points they would add
+ */
+export function scoreProfileCompleteness(profile = {}, { resume = null, leetcodeLinked = false } = {}) {
+  const sections = [];
+  const actions = [];
+  const addSection = (section, fraction, sectionActions) => {
+    const weight = SECTION_WEIGHTS[section];
+    const earned = Math.round(weight * Math.min(Math.max(fraction, 0), 1) * 10) / 10;
+    sections.push({ section, weight, earned, complete: earned >= weight });
+    for (const action of sectionActions) {
+      actions.push({ section, action: action.text, points: Math.round(weight * action.share * 10) / 10 });
+    }
+  };
+
+  const goal = typeof profile.goal === 'string' ? profile.goal.trim() : '';
+  addSection('goal', goal ? 1 : 0, goal ? [] : [{
+    text: resume?.current_goal
+      ? `Set your learning goal; your resume upload suggested "${resume.current_goal}"`
+      : 'Set a learning goal, e.g. "Become a backend engineer", so gaps and study groups can be matched to it',
+    share: 1
+  }]);
+
+  const skills = (profile.technical_skills || []).flatMap(category => (Array.isArray(category?.skills) ? category.skills : []))
+    .map(skill => (typeof skill === 'string' ? { name: skill, level: null } : skill))
+    .filter(skill => skill?.name);
+  const leveled = skills.filter(skill => normalizeLevel(skill.level));
+  const unleveled = skills.filter(skill => !normalizeLevel(skill.level));
+  // Half for having enough skills, half for giving each of them a level
+  const countShare = Math.min(skills.length, TARGET_SKILLS) / TARGET_SKILLS;
+  const levelShare = skills.length > 0 ? leveled.length / skills.length : 0;
+  const skillActions = [];
+  if (skills.length < TARGET_SKILLS) {
+    const resumeSkills = countResumeSkills(resume?.resume);
+    const missing = TARGET_SKILLS - skills.length;
+    // With no skills at all, adding them (with levels) earns the whole section
+    skillActions.push({
+      text: resumeSkills > skills.length
+        ? `Add the skills from your resume with their levels: it lists ${resumeSkills}, your profile has ${skills.length}`
+        : `Add ${missing} more skill${missing === 1 ? '' : 's'} you have used, with your level in each`,
+      share: skills.length === 0 ? 1 : (1 - countShare) / 2
+    });
+  }
+  if (unleveled.length > 0) {
+    skillActions.push({
+      text: `Set a level (beginner, intermediate or advanced) for ${nameList(unleveled.map(skill => skill.name))}`,
+      share: (1 - levelShare) / 2
+    });
+  }
+  addSection('skills', countShare / 2 + levelShare / 2, skillActions);
+
+  const projects = Array.isArray(profile.projects) ? profile.projects : [];
+  const withTechnologies = projects.filter(project => Array.isArray(project?.technologies) && project.technologies.length > 0);
+  const projectShare = Math.min(withTechnologies.length, TARGET_PROJECTS) / TARGET_PROJECTS;
+  const projectActions = [];
+  if (projectShare < 1) {
+    const withoutTechnologies = projects.filter(project => !withTechnologies.includes(project));
+    const resumeProjects = Array.isArray(resume?.resume?.projects) ? resume.resume.projects.length : 0;
+    if (withoutTechnologies.length > 0) {
+      projectActions.push({
+        text: `List the technologies used in ${nameList(withoutTechnologies.map(project => project.name || 'your untitled project'))}`,
+        share: Math.min(withoutTechnologies.length, TARGET_PROJECTS - withTechnologies.length) / TARGET_PROJECTS
+      });
+    }
+    const stillMissing = TARGET_PROJECTS - withTechnologies.length - withoutTechnologies.length;
+    if (stillMissing > 0) {
+      const fromResume = Math.min(resumeProjects - projects.length, stillMissing);
+      projectActions.push({
+        text: fromResume > 0
+          ? `Add ${fromResume === 1 ? 'the project' : `${fromResume} projects`} from your resume that your profile is missing, with ${fromResume === 1 ? 'its' : 'their'} technologies`
+          : `Add ${stillMissing === 1 ? 'a project' : `${stillMissing} projects`} with the technologies you used`,
+        share: (fromResume > 0 ? fromResume : stillMissing) / TARGET_PROJECTS
+      });
+    }
+  }
+  addSection('projects', projectShare, projectActions);
+
+  const experience = Array.isArray(profile.experience) ? profile.experience : [];
+  const dated = experience.filter(isDated);
+  const experienceActions = [];
+  if (experience.length === 0) {
+    const resumeRoles = Array.isArray(resume?.resume?.experience) ? resume.resume.experience.length : 0;
+    experienceActions.push({
+      text: resumeRoles > 0
+        ? `Add the ${resumeRoles} role${resumeRoles === 1 ? '' : 's'} from your resume to your profile`
+        : 'Add work experience, internships or volunteer roles with their dates',
+      share: 1
+    });
+  } else if (dated.length < experience.length) {
+    const undated = experience.filter(entry => !isDated(entry));
+    experienceActions.push({
+      text: `Add start and end dates (e.g. "Jun 2023 - Present") to ${nameList(undated.map(entryName))}`,
+      share: undated.length / experience.length
+    });
+  }
+  addSection('experience', experience.length > 0 ? dated.length / experience.length : 0, experienceActions);
+
+  addSection('leetcode', leetcodeLinked ? 1 : 0, leetcodeLinked ? [] : [{
+    text: 'Link your LeetCode account so solved problems count as evidence for your DSA skills',
+    share: 1
+  }]);
+
+  const score = Math.round(sections.reduce((total, section) => total + section.earned, 0));
+  return {
+    score,
+    sections,
+    next_actions: actions
+      .filter(action => action.points > 0)
+      .sort((a, b) => b.points - a.points)
+  };
+}
+
+function isDated(entry) {
+  return Boolean(entry?.start_date || parseDuration(entry?.duration));
+}
+
+function entryName(entry) {
+  return [entry?.role, entry?.company].filter(Boolean).join(' at ') || 'an untitled role';
+}
+
+function countResumeSkills(resume) {
+  return (resume?.technical_skills || [])
+    .reduce((total, category) => total + (Array.isArray(category?.skills) ? category.skills.length : 0), 0);
+}
+
+// "A, B and C", or "A, B, C and 4 more"
+function nameList(names) {
+  if (names.length <= 1) return names[0] || '';
+  if (names.length > MAX_NAMED_ENTRIES) {
+    return `${names.slice(0, MAX_NAMED_ENTRIES).join(', ')} and ${names.length - MAX_NAMED_ENTRIES} more`;
+  }
+  return `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`;
+}
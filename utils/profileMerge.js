@@ -0,0 +1,191 @@
+import { SKILL_LEVELS, normalizeLevel } from './resumeSchema.js';
+
+const PATCH_FIELDS = ['name', 'goal', 'inferred_areas_of_strength', 'skills', 'projects', 'experience'];
+// Projects and experience entries are addressed by the id assigned when the profile is stored
+const ENTRY_LISTS = ['projects', 'experience'];
+
+/**
+ * Check a PATCH /user-profile body
+ * @param {Object} patch - { name, goal, inferred_areas_of_strength, skills: { upsert, remove },
+ * projects: { upsert, remove }, experience: { upsert, remove } }
+ * @returns {Array} Error messages, empty when the patch is usable
+ */
+export function validateProfilePatch(patch) {
+  if (!patch || typeof patch !== 'object' || Array.isArray(patch)) {
+    return ['Body must be an object'];
+  }
+
+  const errors = [];
+  const unknown = Object.keys(patch).filter(key => !PATCH_FIELDS.includes(key));
+  if (unknown.length > 0) {
+    errors.push(`Unknown fields: ${unknown.join(', ')}; expected ${PATCH_FIELDS.join(', ')}`);
+  }
+  if (unknown.length === Object.keys(patch).length) {
+    errors.push('Nothing to update');
+  }
+  if (patch.name !== undefined && (typeof patch.name !== 'string' || !patch.name.trim())) {
+    errors.push('name must be a non-empty string');
+  }
+  if (patch.goal !== undefined && patch.goal !== null && typeof patch.goal !== 'string') {
+    errors.push('goal must be a string or null');
+  }
+  if (patch.inferred_areas_of_strength !== undefined &&
+    (!Array.isArray(patch.inferred_areas_of_strength) || !patch.inferred_areas_of_strength.every(item => typeof item === 'string'))) {
+    errors.push('inferred_areas_of_strength must be an array of strings');
+  }
+
+  if (patch.skills !== undefined) {
+    errors.push(...validateOperations('skills', patch.skills, (skill, path) => {
+      if (!skill || typeof skill.name !== 'string' || !skill.name.trim()) return `${path}.name must be a non-empty string`;
+      if (skill.level !== undefined && skill.level !== null && !normalizeLevel(skill.level)) {
+        return `${path}.level must be one of ${SKILL_LEVELS.join(', ')} or null`;
+      }
+      if (skill.category !== undefined && typeof skill.category !== 'string') return `${path}.category must be a string`;
+      return null;
+    }));
+  }
+
+  for (const list of ENTRY_LISTS) {
+    if (patch[list] === undefined) continue;
+    errors.push(...validateOperations(list, patch[list], (entry, path) => {
+      if (!entry || typeof entry !== 'object' || Array.isArray(entry)) return `${path} must be an object`;
+      if (entry.id !== undefined && typeof entry.id !== 'string') return `${path}.id must be a string`;
+      return null;
+    }));
+  }
+
+  return errors;
+}
+
+/**
+ * Merge a validated patch into a stored profile
+ * @param {Object} stored - { name, goal, technical_skills, inferred_areas_of_strength, projects, experience }
+ * @param {Object} patch - Body accepted by validateProfilePatch
+ * @returns {Object} { profile, changes } where changes lists what was added, updated and removed, and
+ * not_found the skill names and entry ids the patch referred to that the profile does not have
+ */
+export function mergeProfile(stored, patch) {
+  const changes = { skills: { added: [], updated: [], removed: [] }, not_found: [] };
+  const profile = {
+    name: patch.name !== undefined ? patch.name.trim() : stored.name,
+    goal: patch.goal !== undefined ? patch.goal : (stored.goal || null),
+    inferred_areas_of_strength: patch.inferred_areas_of_strength ?? (stored.inferred_areas_of_strength || []),
+    technical_skills: mergeSkills(stored.technical_skills || [], patch.skills || {}, changes),
+    projects: stored.projects || [],
+    experience: stored.experience || []
+  };
+
+  for (const list of ENTRY_LISTS) {
+    changes[list] = { added: 0, replaced: [], removed: [] };
+    if (patch[list]) {
+      profile[list] = mergeEntries(profile[list], patch[list], list, changes);
+    }
+  }
+
+  return { profile, changes };
+}
+
+function validateOperations(field, operations, checkItem) {
+  if (!operations || typeof operations !== 'object' || Array.isArray(operations)) {
+    return [`${field} must be an object with upsert and/or remove`];
+  }
+  const errors = [];
+  if (operations.upsert !== undefined) {
+    if (!Array.isArray(operations.upsert)) {
+      errors.push(`${field}.upsert must be an array`);
+    } else {
+      operations.upsert.forEach((item, index) => {
+        const error = checkItem(item, `${field}.upsert[${index}]`);
+        if (error) errors.push(error);
+      });
+    }
+  }
+  if (operations.remove !== undefined &&
+    (!Array.isArray(operations.remove) || !operations.remove.every(item => typeof item === 'string'))) {
+    errors.push(`${field}.remove must be an array of ${field === 'skills' ? 'skill names' : 'ids'}`);
+  }
+  return errors;
+}
+
+function mergeSkills(technicalSkills, { upsert = [], remove = [] }, changes) {
+  const categories = technicalSkills.map(category => ({
+    ...category,
+    skills: (category.skills || []).map(skill => ({ ...skill }))
+  }));
+  const find = name => {
+    const key = name.trim().toLowerCase();
+    for (const category of categories) {
+      const index = category.skills.findIndex(skill => skill.name?.toLowerCase() === key);
+      if (index !== -1) return { category, index };
+    }
+    return null;
+  };
+
+  for (const name of remove) {
+    const found = find(name);
+    if (!found) {
+      changes.not_found.push(`skills:${name}`);
+      continue;
+    }
+    changes.skills.removed.push(found.category.skills[found.index].name);
+    found.category.skills.splice(found.index, 1);
+  }
+
+  for (const skill of upsert) {
+    const name = skill.name.trim();
+    const level = skill.level === undefined ? undefined : normalizeLevel(skill.level);
+    const found = find(name);
+
+    if (found && (!skill.category || skill.category === found.category.category)) {
+      if (level !== undefined) found.category.skills[found.index].level = level;
+      changes.skills.updated.push(found.category.skills[found.index].name);
+      continue;
+    }
+
+    // A new skill, or one moving to another category
+    let previous = null;
+    if (found) {
+      [previous] = found.category.skills.splice(found.index, 1);
+    }
+    const categoryName = skill.category || 'Other';
+    let category = categories.find(candidate => candidate.category === categoryName);
+    if (!category) {
+      category = { category: categoryName, skills: [] };
+      categories.push(category);
+    }
+    category.skills.push({ name, level: level !== undefined ? level : (previous?.level ?? null) });
+    changes.skills[found ? 'updated' : 'added'].push(name);
+  }
+
+  return categories.filter(category => category.skills.length > 0);
+}
+
+function mergeEntries(entries, { upsert = [], remove = [] }, list, changes) {
+  let merged = entries.map(entry => ({ ...entry }));
+
+  for (const id of remove) {
+    if (!merged.some(entry => entry.id === id)) {
+      changes.not_found.push(`${list}:${id}`);
+      continue;
+    }
+    merged = merged.filter(entry => entry.id !== id);
+    changes[list].removed.push(id);
+  }
+
+  for (const entry of upsert) {
+    if (entry.id === undefined) {
+      merged.push({ ...entry });
+      changes[list].added++;
+      continue;
+    }
+    const index = merged.findIndex(existing => existing.id === entry.id);
+    if (index === -1) {
+      changes.not_found.push(`${list}:${entry.id}`);
+      continue;
+    }
+    merged[index] = { ...entry };
+    changes[list].replaced.push(entry.id);
+  }
+
+  return merged;
+}
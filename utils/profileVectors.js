@@ -0,0 +1,127 @@
+// user_profiles stores one named vector per profile section so a search can target, say, project
+// experience without the learning goal diluting the match
+export const PROFILE_VECTORS = ['skills', 'projects', 'experience', 'goal', 'strengths'];
+
+// Line prefixes of each section in profile_text, which is kept in the payload
+const SECTION_LABELS = {
+  skills: 'Skills',
+  projects: 'Projects',
+  experience: 'Experience',
+  goal: 'Learning Goals',
+  strengths: 'Areas of Strength'
+};
+
+/**
+ * Qdrant vectors config for the user_profiles collection
+ * @param {number} size - Embedding dimension
+ * @returns {Object} Named vectors config
+ */
+export function profileVectorsConfig(size = 1536) {
+  return Object.fromEntries(PROFILE_VECTORS.map(name => [name, { size, distance: 'Cosine' }]));
+}
+
+/**
+ * Build the text of each profile section, to be embedded separately
+ * @param {Object} data - { technical_skills, projects, experience, goal, inferred_areas_of_strength }
+ * @returns {Object} Section name -> "Label: ..." text, or null when the profile has nothing for it
+ */
+export function buildProfileSections({ technical_skills, inferred_areas_of_strength, goal, experience, projects }) {
+  const sections = Object.fromEntries(PROFILE_VECTORS.map(name => [name, null]));
+
+  if (technical_skills && Array.isArray(technical_skills)) {
+    const skillsList = [];
+    for (const category of technical_skills) {
+      if (category.skills && Array.isArray(category.skills)) {
+        for (const skill of category.skills) {
+          skillsList.push(`${skill.level} in ${skill.name}`);
+        }
+      }
+    }
+    if (skillsList.length > 0) {
+      sections.skills = `${SECTION_LABELS.skills}: ${skillsList.join(', ')}`;
+    }
+  }
+
+  if (projects && Array.isArray(projects)) {
+    const projectDescriptions = projects.map(project => `${project.name} using ${technologyString(project.technologies)}`);
+    if (projectDescriptions.length > 0) {
+      sections.projects = `${SECTION_LABELS.projects}: ${projectDescriptions.join('. ')}`;
+    }
+  }
+
+  if (experience && Array.isArray(experience)) {
+    const experienceDescriptions = experience.map(exp =>
+      `${exp.duration || ''} ${exp.role} at ${exp.company} (${technologyString(exp.technologies)})`
+    );
+    if (experienceDescriptions.length > 0) {
+      sections.experience = `${SECTION_LABELS.experience}: ${experienceDescriptions.join('. ')}`;
+    }
+  }
+
+  if (goal) {
+    sections.goal = `${SECTION_LABELS.goal}: ${goal}`;
+  }
+
+  if (inferred_areas_of_strength) {
+    let strengthString = '';
+    if (Array.isArray(inferred_areas_of_strength)) {
+      strengthString = inferred_areas_of_strength.join(', ');
+    } else if (typeof inferred_areas_of_strength === 'string') {
+      strengthString = inferred_areas_of_strength;
+    }
+    if (strengthString) {
+      sections.strengths = `${SECTION_LABELS.strengths}: ${strengthString}`;
+    }
+  }
+
+  return sections;
+}
+
+/**
+ * Split a stored profile_text back into its sections, for points written before named vectors
+ * @param {string} profileText - profile_text payload
+ * @returns {Object} Section name -> text, or null when the section is missing
+ */
+export function splitProfileText(profileText) {
+  const sections = Object.fromEntries(PROFILE_VECTORS.map(name => [name, null]));
+  for (const line of String(profileText || '').split('\n')) {
+    const name = PROFILE_VECTORS.find(candidate => line.startsWith(`${SECTION_LABELS[candidate]}: `));
+    if (name) sections[name] = line.trim();
+  }
+  return sections;
+}
+
+/**
+ * Validate the vectors a profile search should query, with their weights
+ * @param {Array|Object} vectors - Names (equal weights) or { name: weight }
+ * @returns {Object} { weights } or { error }
+ */
+export function resolveVectorWeights(vectors) {
+  const entries = Array.isArray(vectors)
+    ? vectors.map(name => [name, 1])
+    : Object.entries(vectors || {});
+  if (entries.length === 0) {
+    return { error: `vectors must name at least one of: ${PROFILE_VECTORS.join(', ')}` };
+  }
+
+  const weights = {};
+  for (const [name, weight] of entries) {
+    if (!PROFILE_VECTORS.includes(name)) {
+      return { error: `Unknown profile vector "${name}"; expected one of: ${PROFILE_VECTORS.join(', ')}` };
+    }
+    if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0) {
+      return { error: `Weight for "${name}" must be a non-negative number` };
+    }
+    if (weight > 0) weights[name] = weight;
+  }
+  if (Object.keys(weights).length === 0) {
+    return { error: 'At least one vector needs a weight above 0' };
+  }
+  return { weights };
+}
+
+function technologyString(technologies) {
+  if (Array.isArray(technologies)) return technologies.join(', ');
+  if (typeof technologies === 'string') return technologies;
+  return 'various technologies';
+}
@@ -0,0 +1,103 @@
+/**
+ * Compare two parsed resumes and report what changed between them
+ * @param {Object} before - Older parsed resume
+ * @param {Object} after - Newer parsed resume
+ * @returns {Object} Added/removed skills, roles, education and certifications, and added/removed/changed projects
+ */
+export function diffResumes(before = {}, after = {}) {
+  const skills = diffKeyed(skillNames(before), skillNames(after), name => name);
+
+  const roleKey = item => `${item.role || ''} @ ${item.company || ''}`;
+  const roles = diffKeyed(before.experience, after.experience, roleKey);
+
+  const projectKey = item => item.name || '';
+  const projects = diffKeyed(before.projects, after.projects, projectKey);
+  const changedProjects = projects.common
+    .map(([oldProject, newProject]) => diffProject(oldProject, newProject))
+    .filter(Boolean);
+
+  const education = diffKeyed(before.education, after.education, item => `${item.degree || ''} @ ${item.institution || ''}`);
+  const certifications = diffKeyed(before.certifications, after.certifications, item => item.name || '');
+
+  return {
+    skills: { added: skills.added, removed: skills.removed },
+    experience: {
+      added: roles.added.map(summarizeRole),
+      removed: roles.removed.map(summarizeRole)
+    },
+    projects: {
+      added: projects.added.map(project => project.name),
+      removed: projects.removed.map(project => project.name),
+      changed: changedProjects
+    },
+    education: {
+      added: education.added.map(item => ({ degree: item.degree || null, institution: item.institution || null })),
+      removed: education.removed.map(item => ({ degree: item.degree || null, institution: item.institution || null }))
+    },
+    certifications: {
+      added: certifications.added.map(item => item.name),
+      removed: certifications.removed.map(item => item.name)
+    },
+    has_changes: Boolean(
+      skills.added.length || skills.removed.length ||
+      roles.added.length || roles.removed.length ||
+      projects.added.length || projects.removed.length || changedProjects.length ||
+      education.added.length || education.removed.length ||
+      certifications.added.length || certifications.removed.length
+    )
+  };
+}
+
+function skillNames(resume) {
+  if (!Array.isArray(resume?.technical_skills)) return [];
+  return resume.technical_skills.flatMap(category =>
+    (Array.isArray(category?.skills) ? category.skills : [])
+      .map(skill => (typeof skill === 'string' ? skill : skill?.name))
+      .filter(Boolean)
+  );
+}
+
+/**
+ * Match list items between two versions by a case-insensitive key
+ * @returns {Object} { added, removed, common: [[before, after]] }
+ */
+function diffKeyed(beforeItems, afterItems, keyOf) {
+  const index = items => {
+    const map = new Map();
+    for (const item of Array.isArray(items) ? items : []) {
+      if (item === null || item === undefined) continue;
+      const key = String(keyOf(item)).trim().toLowerCase();
+      if (key && !map.has(key)) map.set(key, item);
+    }
+    return map;
+  };
+
+  const beforeMap = index(beforeItems);
+  const afterMap = index(afterItems);
+
+  return {
+    added: [...afterMap.entries()].filter(([key]) => !beforeMap.has(key)).map(([, item]) => item),
+    removed: [...beforeMap.entries()].filter(([key]) => !afterMap.has(key)).map(([, item]) => item),
+    common: [...afterMap.entries()].filter(([key]) => beforeMap.has(key)).map(([key, item]) => [beforeMap.get(key), item])
+  };
+}
+
+function summarizeRole(item) {
+  return { company: item.company || null, role: item.role || null, duration: item.duration || null };
+}
+
+function diffProject(before, after) {
+  const technologies = diffKeyed(before.technologies, after.technologies, name => name);
+  const descriptionChanged = (before.description || '').trim() !== (after.description || '').trim();
+
+  if (!descriptionChanged && technologies.added.length === 0 && technologies.removed.length === 0) {
+    return null;
+  }
+
+  return {
+    name: after.name,
+    description_changed: descriptionChanged,
+    technologies_added: technologies.added,
+    technologies_removed: technologies.removed
+  };
+}
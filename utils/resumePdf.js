@@ -0,0 +1,306 @@
+import fs from 'fs';
+import { PDFDocument, StandardFonts, rgb } from 'pdf-lib';
+import fontkit from '@pdf-lib/fontkit';
+import { formatIsoMonth } from './dateRange.js';
+
+// Letter size in points
+const PAGE_WIDTH = 612;
+const PAGE_HEIGHT = 792;
+
+/**
+ * Layouts the resume can be rendered with
+ */
+export const RESUME_TEMPLATES = {
+  classic: {
+    fonts: [StandardFonts.TimesRoman, StandardFonts.TimesRomanBold],
+    margin: 54,
+    nameSize: 22,
+    headingSize: 12,
+    bodySize: 10.5,
+    lineGap: 3,
+    sectionGap: 12,
+    accent: rgb(0, 0, 0),
+    centerHeader: true,
+    uppercaseHeadings: true
+  },
+  modern: {
+    fonts: [StandardFonts.Helvetica, StandardFonts.HelveticaBold],
+    margin: 48,
+    nameSize: 24,
+    headingSize: 12,
+    bodySize: 10,
+    lineGap: 3,
+    sectionGap: 14,
+    accent: rgb(0.13, 0.37, 0.66),
+    centerHeader: false,
+    uppercaseHeadings: false
+  },
+  compact: {
+    fonts: [StandardFonts.Helvetica, StandardFonts.HelveticaBold],
+    margin: 36,
+    nameSize: 18,
+    headingSize: 10.5,
+    bodySize: 9,
+    lineGap: 2,
+    sectionGap: 8,
+    accent: rgb(0.2, 0.2, 0.2),
+    centerHeader: true,
+    uppercaseHeadings: true
+  }
+};
+
+export const DEFAULT_RESUME_TEMPLATE = 'modern';
+
+/**
+ * Render a parsed resume to PDF: header, summary, education, experience, projects, technical skills
+ * and certifications. Set RESUME_PDF_FONT (and optionally RESUME_PDF_BOLD_FONT) to a TTF/OTF file to
+ * render characters outside the standard fonts' Latin set; otherwise such characters are replaced.
+ * @param {Object} resume - Parsed resume
+ * @param {Object} options - { template } name from RESUME_TEMPLATES
+ * @returns {Uint8Array} PDF bytes
+ */
+export async function renderResumePdf(resume, { template = DEFAULT_RESUME_TEMPLATE } = {}) {
+  const style = RESUME_TEMPLATES[template];
+  if (!style) {
+    throw new Error(`Unknown resume template "${template}". Available: ${Object.keys(RESUME_TEMPLATES).join(', ')}`);
+  }
+
+  const pdfDoc = await PDFDocument.create();
+  pdfDoc.setTitle(resume?.name ? `${resume.name} - Resume` : 'Resume');
+  pdfDoc.setCreator('SkillMap Engine');
+  const [regular, bold] = await embedFonts(pdfDoc, style);
+  const writer = createWriter(pdfDoc, style, regular, bold);
+
+  writer.header(resume?.name || 'Resume', contactLine(resume?.contact));
+
+  if (typeof resume?.summary === 'string' && resume.summary.trim()) {
+    writer.heading('Summary');
+    writer.paragraph(resume.summary);
+  }
+
+  const education = listOf(resume?.education);
+  if (education.length > 0) {
+    writer.heading('Education');
+    for (const item of education) {
+      writer.entry(item.institution || item.degree || '', dateRange(item));
+      writer.paragraph([item.degree && item.institution ? item.degree : null, item.grade].filter(Boolean).join(' | '));
+    }
+  }
+
+  const experience = listOf(resume?.experience);
+  if (experience.length > 0) {
+    writer.heading('Experience');
+    for (const item of experience) {
+      writer.entry([item.role, item.company].filter(Boolean).join(', '), dateRange(item));
+      writer.bullets(bulletLines(item.description));
+      if (listOf(item.technologies).length > 0) {
+        writer.paragraph(`Technologies: ${item.technologies.join(', ')}`);
+      }
+    }
+  }
+
+  const projects = listOf(resume?.projects);
+  if (projects.length > 0) {
+    writer.heading('Projects');
+    for (const item of projects) {
+      const technologies = listOf(item.technologies).length > 0 ? ` | ${item.technologies.join(', ')}` : '';
+      writer.entry(`${item.name || ''}${technologies}`, dateRange(item));
+      writer.bullets(bulletLines(item.description));
+    }
+  }
+
+  const skills = listOf(resume?.technical_skills).filter(category => listOf(category.skills).length > 0);
+  if (skills.length > 0) {
+    writer.heading('Technical Skills');
+    for (const category of skills) {
+      const names = category.skills.map(skill => (typeof skill === 'string' ? skill : skill?.name)).filter(Boolean);
+      writer.labelled(category.category, names.join(', '));
+    }
+  }
+
+  const certifications = listOf(resume?.certifications);
+  if (certifications.length > 0) {
+    writer.heading('Certifications');
+    writer.bullets(certifications.map(item => [item.name, item.issuer, item.date].filter(Boolean).join(', ')));
+  }
+
+  return pdfDoc.save();
+}
+
+async function embedFonts(pdfDoc, style) {
+  const regularPath = process.env.RESUME_PDF_FONT;
+  if (regularPath) {
+    try {
+      pdfDoc.registerFontkit(fontkit);
+      const boldPath = process.env.RESUME_PDF_BOLD_FONT || regularPath;
+      return [
+        await pdfDoc.embedFont(fs.readFileSync(regularPath), { subset: true }),
+        await pdfDoc.embedFont(fs.readFileSync(boldPath), { subset: true })
+      ];
+    } catch (error) {
+      console.warn(`Could not load resume font ${regularPath}, using the template font:`, error.message);
+    }
+  }
+  return Promise.all(style.fonts.map(name => pdfDoc.embedFont(name)));
+}
+
+/**
+ * Page writer that flows text top to bottom and starts a new page when one fills up
+ */
+function createWriter(pdfDoc, style, regular, bold) {
+  const width = PAGE_WIDTH - style.margin * 2;
+  const lineHeight = size => size + style.lineGap;
+  let page = pdfDoc.addPage([PAGE_WIDTH, PAGE_HEIGHT]);
+  let y = PAGE_HEIGHT - style.margin;
+
+  const ensureSpace = (height) => {
+    if (y - height < style.margin) {
+      page = pdfDoc.addPage([PAGE_WIDTH, PAGE_HEIGHT]);
+      y = PAGE_HEIGHT - style.margin;
+    }
+  };
+
+  const drawLine = (text, { font = regular, size = style.bodySize, x = style.margin, color = rgb(0, 0, 0) } = {}) => {
+    ensureSpace(lineHeight(size));
+    y -= size;
+    page.drawText(encodable(text, font), { x, y, size, font, color });
+    y -= style.lineGap;
+  };
+
+  const wrap = (text, font, size, maxWidth) => {
+    const lines = [];
+    let current = '';
+    for (const word of encodable(text, font).split(/\s+/).filter(Boolean)) {
+      const candidate = current ? `${current} ${word}` : word;
+      if (current && font.widthOfTextAtSize(candidate, size) > maxWidth) {
+        lines.push(current);
+        current = word;
+      } else {
+        current = candidate;
+      }
+    }
+    if (current) lines.push(current);
+    return lines;
+  };
+
+  return {
+    header(name, contact) {
+      const nameWidth = bold.widthOfTextAtSize(encodable(name, bold), style.nameSize);
+      drawLine(name, {
+        font: bold,
+        size: style.nameSize,
+        color: style.accent,
+        x: style.centerHeader ? (PAGE_WIDTH - nameWidth) / 2 : style.margin
+      });
+      for (const line of wrap(contact, regular, style.bodySize, width)) {
+        const lineWidth = regular.widthOfTextAtSize(line, style.bodySize);
+        drawLine(line, { x: style.centerHeader ? (PAGE_WIDTH - lineWidth) / 2 : style.margin });
+      }
+    },
+
+    heading(title) {
+      // Keep a heading together with at least its first line
+      ensureSpace(style.sectionGap + lineHeight(style.headingSize) + lineHeight(style.bodySize) * 2);
+      y -= style.sectionGap;
+      drawLine(style.uppercaseHeadings ? title.toUpperCase() : title, { font: bold, size: style.headingSize, color: style.accent });
+      page.drawLine({
+        start: { x: style.margin, y: y + 1 },
+        end: { x: PAGE_WIDTH - style.margin, y: y + 1 },
+        thickness: 0.6,
+        color: style.accent
+      });
+      y -= style.lineGap;
+    },
+
+    entry(title, dates) {
+      const datesText = encodable(dates || '', regular);
+      const datesWidth = datesText ? regular.widthOfTextAtSize(datesText, style.bodySize) : 0;
+      const titleLines = wrap(title, bold, style.bodySize, width - datesWidth - (datesText ? 12 : 0));
+      ensureSpace(lineHeight(style.bodySize) * Math.max(1, titleLines.length) + style.lineGap);
+      y -= style.lineGap;
+
+      titleLines.forEach((line, index) => {
+        if (index === 0 && datesText) {
+          page.drawText(datesText, {
+            x: PAGE_WIDTH - style.margin - datesWidth,
+            y: y - style.bodySize,
+            size: style.bodySize,
+            font: regular
+          });
+        }
+        drawLine(line, { font: bold });
+      });
+      if (titleLines.length === 0 && datesText) drawLine(datesText);
+    },
+
+    paragraph(text) {
+      if (!text || !String(text).trim()) return;
+      for (const line of wrap(String(text), regular, style.bodySize, width)) {
+        drawLine(line);
+      }
+    },
+
+    bullets(items) {
+      const indent = style.bodySize * 1.2;
+      for (const item of items) {
+        wrap(item, regular, style.bodySize, width - indent).forEach((line, index) => {
+          if (index === 0) {
+            ensureSpace(lineHeight(style.bodySize));
+            page.drawText(encodable('•', regular), { x: style.margin + 2, y: y - style.bodySize, size: style.bodySize, font: regular });
+          }
+          drawLine(line, { x: style.margin + indent });
+        });
+      }
+    },
+
+    labelled(label, text) {
+      const labelText = `${label}: `;
+      const labelWidth = bold.widthOfTextAtSize(encodable(labelText, bold), style.bodySize);
+      wrap(text, regular, style.bodySize, width - labelWidth).forEach((line, index) => {
+        if (index === 0) {
+          ensureSpace(lineHeight(style.bodySize));
+          page.drawText(encodable(labelText, bold), { x: style.margin, y: y - style.bodySize, size: style.bodySize, font: bold });
+        }
+        drawLine(line, { x: style.margin + labelWidth });
+      });
+    }
+  };
+}
+
+/**
+ * Replace characters the font cannot draw, so a name in another script does not abort the whole PDF
+ */
+function encodable(text, font) {
+  const value = String(text ?? '').replace(/[\t\r\n]+/g, ' ');
+  let supported;
+  try {
+    supported = new Set(font.getCharacterSet());
+  } catch {
+    return value;
+  }
+  return [...value].map(char => (supported.has(char.codePointAt(0)) ? char : '?')).join('');
+}
+
+function contactLine(contact) {
+  if (!contact) return '';
+  return [contact.email, contact.phone, contact.location, ...listOf(contact.links)].filter(Boolean).join(' | ');
+}
+
+function dateRange(item) {
+  if (item?.start_date) {
+    const end = item.current ? 'Present' : formatIsoMonth(item.end_date);
+    return [formatIsoMonth(item.start_date), end].filter(Boolean).join(' - ');
+  }
+  return item?.duration || '';
+}
+
+function bulletLines(description) {
+  return String(description || '')
+    .split('\n')
+    .map(line => line.replace(/^[\s•◦▪\-*–·]+/, '').trim())
+    .filter(Boolean);
+}
+
+function listOf(value) {
+  return Array.isArray(value) ? value.filter(Boolean) : [];
+}
@@ -0,0 +1,330 @@
+import { parseDuration } from './dateRange.js';
+
+export const SKILL_LEVELS = ['beginner', 'intermediate', 'advanced'];
+
+const nullableString = { type: ['string', 'null'] };
+const stringArray = { type: 'array', items: { type: 'string' } };
+const dateFields = {
+  duration: nullableString,
+  start_date: { type: ['string', 'null'], pattern: '^\\d{4}-\\d{2}$' },
+  end_date: { type: ['string', 'null'], pattern: '^\\d{4}-\\d{2}$' },
+  current: { type: 'boolean' }
+};
+
+/**
+ * JSON Schema (draft-07 subset) for a parsed resume as stored in resumes.resume_text
+ */
+export const RESUME_SCHEMA = {
+  type: 'object',
+  required: ['name', 'education', 'experience', 'projects', 'technical_skills'],
+  properties: {
+    name: nullableString,
+    contact: {
+      type: ['object', 'null'],
+      properties: {
+        email: nullableString,
+        phone: nullableString,
+        location: nullableString,
+        links: stringArray
+      }
+    },
+    summary: nullableString,
+    education: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['institution'],
+        properties: {
+          degree: nullableString,
+          institution: nullableString,
+          grade: nullableString,
+          ...dateFields
+        }
+      }
+    },
+    experience: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['company', 'role', 'technologies'],
+        properties: {
+          company: nullableString,
+          role: nullableString,
+          description: nullableString,
+          technologies: stringArray,
+          ...dateFields
+        }
+      }
+    },
+    projects: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['name', 'technologies'],
+        properties: {
+          name: { type: 'string', minLength: 1 },
+          type: nullableString,
+          description: nullableString,
+          technologies: stringArray,
+          ...dateFields
+        }
+      }
+    },
+    technical_skills: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['category', 'skills'],
+        properties: {
+          category: { type: 'string', minLength: 1 },
+          skills: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['name'],
+              properties: {
+                name: { type: 'string', minLength: 1 },
+                level: { type: ['string', 'null'], enum: [...SKILL_LEVELS, null] }
+              }
+            }
+          }
+        }
+      }
+    },
+    certifications: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['name'],
+        properties: { name: { type: 'string', minLength: 1 }, issuer: nullableString, date: nullableString }
+      }
+    },
+    awards: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['title'],
+        properties: {
+          title: { type: 'string', minLength: 1 },
+          issuer: nullableString,
+          date: nullableString,
+          description: nullableString
+        }
+      }
+    },
+    inferred_areas_of_strength: stringArray,
+    possible_gaps: stringArray,
+    sections: { type: 'array' },
+    source_map: { type: 'object' }
+  }
+};
+
+/**
+ * Validate a parsed resume (or some of its fields) against RESUME_SCHEMA
+ * @param {Object} resume - Parsed resume
+ * @param {Object} options - { fields } to validate only those top-level properties
+ * @returns {Object} { valid, errors } with errors as "path: message" strings
+ */
+export function validateResume(resume, { fields = null } = {}) {
+  const errors = [];
+
+  if (!isType(resume, 'object')) {
+    return { valid: false, errors: ['$: expected a JSON object'] };
+  }
+
+  if (fields) {
+    for (const field of fields) {
+      if (resume[field] === undefined) {
+        errors.push(`${field}: is required`);
+      } else {
+        validateValue(resume[field], RESUME_SCHEMA.properties[field], field, errors);
+      }
+    }
+  } else {
+    validateValue(resume, RESUME_SCHEMA, '$', errors);
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+function validateValue(value, schema, path, errors) {
+  if (!schema) return;
+
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+  if (schema.type && !types.some(type => isType(value, type))) {
+    errors.push(`${path}: expected ${types.join(' or ')}, got ${describe(value)}`);
+    return;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength && value.trim().length < schema.minLength) {
+      errors.push(`${path}: must not be empty`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${path}: must match ${schema.pattern}`);
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => validateValue(item, schema.items, `${path}[${index}]`, errors));
+  }
+
+  if (isType(value, 'object') && schema.properties) {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push(`${path}.${key}: is required`);
+      }
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties)) {
+      if (value[key] !== undefined) {
+        validateValue(value[key], propertySchema, path === '$' ? key : `${path}.${key}`, errors);
+      }
+    }
+  }
+}
+
+function isType(value, type) {
+  switch (type) {
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'array': return Array.isArray(value);
+    case 'null': return value === null;
+    default: return typeof value === type;
+  }
+}
+
+function describe(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * Normalize the fields of a parsed resume that are present: durations become ISO start/end dates with a
+ * current flag, technologies become deduplicated string arrays and skills become { name, level } objects
+ * @param {Object} resume - Parsed resume (complete or partial)
+ * @returns {Object} Normalized copy
+ */
+export function normalizeResume(resume) {
+  if (!isType(resume, 'object')) return resume;
+  const normalized = { ...resume };
+
+  for (const field of ['education', 'experience', 'projects']) {
+    if (normalized[field] === null) normalized[field] = [];
+    if (Array.isArray(normalized[field])) {
+      normalized[field] = normalized[field].filter(item => isType(item, 'object')).map(item => normalizeTimedEntry(item, field));
+    }
+  }
+
+  if (normalized.technical_skills !== undefined) {
+    normalized.technical_skills = normalizeTechnicalSkills(normalized.technical_skills);
+  }
+
+  for (const field of ['inferred_areas_of_strength', 'possible_gaps']) {
+    if (normalized[field] !== undefined) {
+      normalized[field] = toStringList(normalized[field]);
+    }
+  }
+
+  for (const field of ['certifications', 'awards']) {
+    if (normalized[field] === null) normalized[field] = [];
+  }
+
+  if (isType(normalized.contact, 'object')) {
+    normalized.contact = {
+      ...normalized.contact,
+      links: dedupeStrings(toStringList(normalized.contact.links))
+    };
+  }
+
+  return normalized;
+}
+
+function normalizeTimedEntry(entry, field) {
+  const item = { ...entry };
+
+  // Older prompts used "years" for education
+  if (item.duration === undefined && typeof item.years === 'string') {
+    item.duration = item.years;
+  }
+  if (typeof item.duration === 'number') item.duration = String(item.duration);
+  if (item.duration === undefined) item.duration = null;
+
+  const dates = parseDuration(item.duration);
+  item.start_date = dates?.start_date ?? item.start_date ?? null;
+  item.end_date = dates ? dates.end_date : (item.end_date ?? null);
+  item.current = dates ? dates.current : Boolean(item.current);
+
+  if (field !== 'education') {
+    item.technologies = dedupeStrings(toStringList(item.technologies));
+  }
+  if (Array.isArray(item.description)) {
+    item.description = item.description.filter(line => typeof line === 'string').join('\n');
+  }
+
+  return item;
+}
+
+function normalizeTechnicalSkills(technicalSkills) {
+  if (!Array.isArray(technicalSkills)) return technicalSkills;
+
+  return technicalSkills
+    .filter(category => isType(category, 'object'))
+    .map(category => {
+      // A single skill object instead of a list
+      const rawSkills = Array.isArray(category.skills)
+        ? category.skills
+        : (category.skills ? [category.skills] : []);
+
+      const seen = new Set();
+      const skills = [];
+      for (const skill of rawSkills) {
+        const name = typeof skill === 'string' ? skill : skill?.name;
+        if (typeof name !== 'string' || !name.trim()) continue;
+        const key = name.trim().toLowerCase();
+        if (seen.has(key)) continue;
+        seen.add(key);
+        skills.push({ name: name.trim(), level: normalizeLevel(typeof skill === 'string' ? null : skill.level) });
+      }
+
+      return { ...category, category: category.category || 'Other', skills };
+    });
+}
+
+/**
+ * Map free-form level names onto beginner / intermediate / advanced
+ * @param {string} level - Level as given
+ * @returns {string|null} Normalized level, null when unknown
+ */
+export function normalizeLevel(level) {
+  if (typeof level !== 'string') return null;
+  const value = level.trim().toLowerCase();
+  if (['beginner', 'basic', 'novice', 'elementary', 'familiar'].includes(value)) return 'beginner';
+  if (['intermediate', 'proficient', 'working knowledge', 'competent'].includes(value)) return 'intermediate';
+  if (['advanced', 'expert', 'master', 'strong', 'fluent'].includes(value)) return 'advanced';
+  return null;
+}
+
+function toStringList(value) {
+  if (typeof value === 'string') {
+    return value.split(/\s*[,;\n]\s*/).filter(Boolean);
+  }
+  if (!Array.isArray(value)) return [];
+  return value
+    .map(item => (typeof item === 'string' ? item : item?.name))
+    .filter(item => typeof item === 'string' && item.trim())
+    .map(item => item.trim());
+}
+
+function dedupeStrings(values) {
+  const seen = new Set();
+  return values.filter(value => {
+    const key = value.toLowerCase();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
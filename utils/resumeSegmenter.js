@@ -0,0 +1,180 @@
+// Section labels the segmenter can assign, in the order they usually appear
+export const SECTION_LABELS = [
+  'contact',
+  'summary',
+  'education',
+  'experience',
+  'projects',
+  'skills',
+  'certifications',
+  'awards',
+  'other'
+];
+
+// Known heading phrases per label (normalized: lowercase, '&' -> 'and', no punctuation)
+const HEADING_PHRASES = {
+  contact: ['contact', 'contact information', 'contact details', 'personal details', 'personal information'],
+  summary: [
+    'summary', 'professional summary', 'career summary', 'profile', 'professional profile', 'about',
+    'about me', 'objective', 'career objective', 'personal statement'
+  ],
+  education: [
+    'education', 'academic background', 'academics', 'academic qualifications', 'educational background',
+    'education and training', 'qualifications'
+  ],
+  experience: [
+    'experience', 'work experience', 'professional experience', 'employment', 'employment history',
+    'work history', 'internships', 'internship experience', 'relevant experience', 'career history'
+  ],
+  projects: ['projects', 'personal projects', 'academic projects', 'key projects', 'selected projects', 'side projects'],
+  skills: [
+    'skills', 'technical skills', 'core competencies', 'competencies', 'technologies', 'tech stack',
+    'tools and technologies', 'skills and tools', 'technical proficiencies', 'key skills'
+  ],
+  certifications: [
+    'certifications', 'certificates', 'licenses and certifications', 'certifications and courses',
+    'courses', 'relevant coursework', 'coursework', 'training'
+  ],
+  awards: [
+    'awards', 'honors', 'honours', 'achievements', 'honors and awards', 'awards and achievements',
+    'accomplishments', 'awards and honors'
+  ],
+  other: [
+    'extracurricular activities', 'extracurriculars', 'activities', 'volunteering', 'volunteer experience',
+    'languages', 'interests', 'hobbies', 'hobbies and interests', 'references', 'publications',
+    'leadership', 'positions of responsibility', 'soft skills'
+  ]
+};
+
+// Last word of a heading that identifies the section when the full phrase is unknown
+const HEADING_KEYWORDS = {
+  summary: ['summary', 'objective', 'profile'],
+  education: ['education'],
+  experience: ['experience', 'internships', 'employment'],
+  projects: ['projects'],
+  skills: ['skills', 'technologies'],
+  certifications: ['certifications', 'certificates'],
+  awards: ['awards', 'achievements', 'honors', 'honours']
+};
+
+const MAX_HEADING_WORDS = 5;
+const MAX_HEADING_LENGTH = 45;
+
+/**
+ * Split resume text into labelled sections using heading heuristics
+ * @param {string} text - Raw resume text
+ * @returns {Array} Sections with label, heading and character offsets into the original text:
+ * start/end span the whole section, content_start is where the text after the heading begins
+ */
+export function segmentResume(text) {
+  if (!text || typeof text !== 'string') return [];
+
+  const lines = [];
+  const linePattern = /[^\n]*(\n|$)/g;
+  let match;
+  while ((match = linePattern.exec(text)) !== null && match.index < text.length) {
+    lines.push({ text: match[0].replace(/\r?\n$/, ''), start: match.index, end: match.index + match[0].length });
+  }
+
+  const headings = [];
+  lines.forEach((line, index) => {
+    const label = classifyHeading(line.text, lines[index + 1]?.text);
+    // Unrecognised all-caps lines above the first real section are usually the candidate's name
+    if (label === 'other' && headings.length === 0) return;
+    if (label) {
+      headings.push({ label, heading: line.text.trim(), start: line.start, contentStart: line.end });
+    }
+  });
+
+  const sections = [];
+
+  // Anything before the first heading is the resume header: name and contact details
+  const firstHeadingStart = headings.length > 0 ? headings[0].start : text.length;
+  if (text.slice(0, firstHeadingStart).trim()) {
+    sections.push(buildSection(text, 'contact', null, 0, 0, firstHeadingStart));
+  }
+
+  headings.forEach((heading, index) => {
+    const end = index + 1 < headings.length ? headings[index + 1].start : text.length;
+    sections.push(buildSection(text, heading.label, heading.heading, heading.start, heading.contentStart, end));
+  });
+
+  return sections;
+}
+
+/**
+ * Concatenate the text of every section with the given label
+ * @param {Array} sections - Output of segmentResume
+ * @param {string} label - Section label
+ * @returns {string} Joined section contents ('' when absent)
+ */
+export function getSectionText(sections, label) {
+  return sections
+    .filter(section => section.label === label)
+    .map(section => section.text)
+    .join('\n\n')
+    .trim();
+}
+
+function buildSection(text, label, heading, start, contentStart, end) {
+  return {
+    label,
+    heading,
+    start,
+    content_start: contentStart,
+    end,
+    text: text.slice(contentStart, end).trim()
+  };
+}
+
+/**
+ * Decide whether a line is a section heading and which section it opens
+ * @param {string} line - Candidate line
+ * @param {string} nextLine - Following line, headings are never the last line
+ * @returns {string|null} Section label or null
+ */
+function classifyHeading(line, nextLine) {
+  const raw = line.trim();
+  if (!raw || raw.length > MAX_HEADING_LENGTH || nextLine === undefined) return null;
+
+  const normalized = normalizeHeading(raw);
+  if (!normalized) return null;
+
+  const words = normalized.split(' ');
+  if (words.length > MAX_HEADING_WORDS) return null;
+
+  for (const label of SECTION_LABELS) {
+    if (HEADING_PHRASES[label]?.includes(normalized)) {
+      return label;
+    }
+  }
+
+  // Unknown phrase: only trust lines that are formatted like headings
+  const letters = raw.replace(/[^A-Za-z]/g, '');
+  const isUpperCase = letters.length >= 3 && letters === letters.toUpperCase();
+  const endsWithColon = /:\s*$/.test(raw);
+  const rawWords = raw.replace(/:\s*$/, '').trim().split(/\s+/);
+  const isTitleCase = rawWords.every(word => word.length <= 3 || /^[A-Z]/.test(word));
+  if (!isUpperCase && !(endsWithColon && isTitleCase && words.length <= 3)) return null;
+
+  const lastWord = words[words.length - 1];
+  for (const [label, keywords] of Object.entries(HEADING_KEYWORDS)) {
+    if (keywords.includes(lastWord)) {
+      return label;
+    }
+  }
+
+  // An all-caps multi-word line we cannot place still ends the previous section
+  return isUpperCase && words.length >= 2 && !/\d/.test(raw) ? 'other' : null;
+}
+
+function normalizeHeading(heading) {
+  return heading
+    .replace(/^[\s•◦▪\-*#\d.)]+/, '')
+    .replace(/:\s*$/, '')
+    .replace(/&/g, ' and ')
+    .toLowerCase()
+    .replace(/[^a-z\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
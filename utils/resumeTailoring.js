@@ -0,0 +1,84 @@
+import { extractTargetKeywords } from './atsScoring.js';
+import { findTaxonomySkillsInText } from './skillMatcher.js';
+
+// Limits applied only when tailoring to a target, so a one-page resume stays focused on it
+const MAX_BULLETS_PER_ENTRY = 5;
+const MAX_PROJECTS = 4;
+const MAX_SKILLS_PER_CATEGORY = 10;
+
+/**
+ * Reorder and trim a parsed resume for a goal or job description: the most relevant bullets, projects,
+ * technologies and skills come first and the least relevant are dropped past the limits above.
+ * Roles and education keep their order, and nothing is reworded.
+ * @param {Object} resume - Parsed resume
+ * @param {string} target - Goal or job description text
+ * @returns {Object} { resume, keywords, dropped: { bullets, projects, skills } }; the resume is a copy
+ */
+export function tailorResume(resume, target) {
+  const tailored = structuredClone(resume || {});
+  const keywords = extractTargetKeywords(target);
+  const dropped = { bullets: 0, projects: 0, skills: 0 };
+  if (keywords.length === 0) {
+    return { resume: tailored, keywords, dropped };
+  }
+
+  const relevance = createRelevanceScorer(keywords);
+
+  for (const entry of [...(tailored.experience || []), ...(tailored.projects || [])]) {
+    if (typeof entry?.description === 'string' && entry.description.trim()) {
+      const lines = entry.description.split('\n').filter(line => line.trim());
+      const kept = rankByRelevance(lines, relevance).slice(0, MAX_BULLETS_PER_ENTRY);
+      dropped.bullets += lines.length - kept.length;
+      entry.description = kept.join('\n');
+    }
+    if (Array.isArray(entry?.technologies)) {
+      entry.technologies = rankByRelevance(entry.technologies, relevance);
+    }
+  }
+
+  if (Array.isArray(tailored.projects)) {
+    const ranked = rankByRelevance(tailored.projects, project => relevance(
+      [project?.name, project?.description, ...(project?.technologies || [])].join(' ')
+    ));
+    dropped.projects = Math.max(0, ranked.length - MAX_PROJECTS);
+    tailored.projects = ranked.slice(0, MAX_PROJECTS);
+  }
+
+  if (Array.isArray(tailored.technical_skills)) {
+    for (const category of tailored.technical_skills) {
+      if (!Array.isArray(category?.skills)) continue;
+      const ranked = rankByRelevance(category.skills, skill => relevance(typeof skill === 'string' ? skill : skill?.name));
+      dropped.skills += Math.max(0, ranked.length - MAX_SKILLS_PER_CATEGORY);
+      category.skills = ranked.slice(0, MAX_SKILLS_PER_CATEGORY);
+    }
+    tailored.technical_skills = rankByRelevance(tailored.technical_skills, category => (category?.skills || [])
+      .reduce((total, skill) => total + relevance(typeof skill === 'string' ? skill : skill?.name), 0));
+  }
+
+  return { resume: tailored, keywords, dropped };
+}
+
+/**
+ * Scorer counting how many target keywords a piece of text mentions, by taxonomy skill or as plain words
+ */
+function createRelevanceScorer(keywords) {
+  const terms = keywords.map(keyword => ({
+    skill: findTaxonomySkillsInText(keyword)[0]?.name || null,
+    plain: keyword.toLowerCase().replace(/[^a-z0-9+#]+/g, ' ').trim()
+  }));
+
+  return (text) => {
+    if (typeof text !== 'string' || !text.trim()) return 0;
+    const skills = new Set(findTaxonomySkillsInText(text).map(match => match.name));
+    const normalized = ` ${text.toLowerCase().replace(/[^a-z0-9+#]+/g, ' ')} `;
+    return terms.filter(term => (term.skill && skills.has(term.skill)) || (term.plain && normalized.includes(` ${term.plain} `))).length;
+  };
+}
+
+// Most relevant first; ties keep their original order
+function rankByRelevance(items, score) {
+  return items
+    .map((item, index) => ({ item, index, score: score(item) }))
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .map(({ item }) => item);
+}
@@ -0,0 +1,230 @@
+import { SKILL_LEVELS, normalizeLevel } from './resumeSchema.js';
+import { buildSkillTimeline } from './skillTimeline.js';
+import { matchTaxonomySkill, findTaxonomySkillsInText } from './skillMatcher.js';
+
+// Score needed for each level; a self-assessment alone (at most 3 points) never reaches advanced
+const LEVEL_THRESHOLDS = { advanced: 6, intermediate: 3 };
+const SELF_ASSESSMENT_POINTS = { beginner: 0.5, intermediate: 2, advanced: 3 };
+const ROLE_POINTS = 1.5;
+const PROJECT_POINTS = 1;
+const MAX_ROLE_POINTS = 4.5;
+const MAX_PROJECT_POINTS = 3;
+// Professional months -> points, highest first
+const TENURE_POINTS = [[36, 3], [18, 2], [6, 1]];
+// Problems solved in a DSA skill's LeetCode tags -> points, highest first
+const LEETCODE_POINTS = [[100, 3], [30, 2], [5, 1]];
+// Not used in this many months counts against the level
+const STALE_MONTHS = 36;
+
+// LeetCode tags (lowercase) behind each DSA taxonomy skill
+const LEETCODE_TAGS = {
+  'Arrays & Strings': ['array', 'string', 'two pointers', 'sliding window', 'matrix', 'prefix sum', 'hash table', 'counting'],
+  'Linked Lists': ['linked list', 'doubly-linked list'],
+  'Stacks & Queues': ['stack', 'queue', 'monotonic stack', 'monotonic queue'],
+  'Heaps & Priority Queues': ['heap (priority queue)', 'heap', 'priority queue'],
+  'Trees & Graphs': ['tree', 'binary tree', 'binary search tree', 'graph', 'depth-first search', 'breadth-first search', 'dfs', 'bfs',
+    'union find', 'union-find', 'topological sort', 'shortest path', 'trie', 'minimum spanning tree'],
+  'Dynamic Programming': ['dynamic programming', 'memoization'],
+  'Searching & Sorting': ['binary search', 'sorting', 'quickselect', 'bucket sort', 'radix sort', 'merge sort', 'counting sort']
+};
+
+/**
+ * Infer a level for each skill from the evidence in a profile: roles and projects that used it, professional
+ * tenure, how recently it was used, LeetCode tag counts for DSA skills, and the self-assessed level.
+ * Overrides replace the inferred level but keep the evidence, so the two can be compared.
+ * @param {Object} profile - { technical_skills, experience, projects }
+ * @param {Object} options - { leetcodeTags } lowercase tag -> problems solved, { overrides } skill name ->
+ * { level, reason }, { now } for recency
+ * @returns {Array} [{ skill, category, level, inferred_level, confidence, self_assessed, override, evidence }]
+ * where evidence items are { type, detail, points }
+ */
+export function inferSkillLevels({ technical_skills = [], experience = [], projects = [] } = {}, { leetcodeTags = {}, overrides = {}, now = new Date() } = {}) {
+  const timeline = buildSkillTimeline({ experience, projects }, { now });
+  const nowMonth = now.getUTCFullYear() * 12 + now.getUTCMonth();
+  const skills = collectSkills(technical_skills, experience, projects, leetcodeTags);
+  const overrideFor = name => overrides[name] || overrides[Object.keys(overrides).find(key => key.toLowerCase() === name.toLowerCase())];
+
+  return [...skills.values()].map(skill => {
+    const evidence = [];
+
+    const roles = (experience || []).filter(entry => entryUses(entry, skill));
+    if (roles.length > 0) {
+      evidence.push({
+        type: 'roles',
+        detail: `Used in ${roles.length} role${roles.length === 1 ? '' : 's'}: ${roles.map(role => [role.role, role.company].filter(Boolean).join(' at ')).join('; ')}`,
+        points: Math.min(roles.length * ROLE_POINTS, MAX_ROLE_POINTS)
+      });
+    }
+
+    const usedInProjects = (projects || []).filter(entry => entryUses(entry, skill));
+    if (usedInProjects.length > 0) {
+      evidence.push({
+        type: 'projects',
+        detail: `Used in ${usedInProjects.length} project${usedInProjects.length === 1 ? '' : 's'}: ${usedInProjects.map(project => project.name).filter(Boolean).join('; ')}`,
+        points: Math.min(usedInProjects.length * PROJECT_POINTS, MAX_PROJECT_POINTS)
+      });
+    }
+
+    const tenure = findByName(timeline.technologies, skill.name) || findByName(timeline.skills, skill.key);
+    if (tenure?.months > 0) {
+      evidence.push({
+        type: 'tenure',
+        detail: `${tenure.months} months of professional use`,
+        points: tieredPoints(tenure.months, TENURE_POINTS)
+      });
+    }
+    if (tenure?.last_used) {
+      const [year, month] = tenure.last_used.split('-').map(Number);
+      const monthsAgo = nowMonth - (year * 12 + month - 1);
+      if (tenure.current) {
+        evidence.push({ type: 'recency', detail: 'Used in a current role or project', points: 0.5 });
+      } else if (monthsAgo >= STALE_MONTHS) {
+        evidence.push({ type: 'recency', detail: `Last used ${tenure.last_used}, ${Math.floor(monthsAgo / 12)} years ago`, points: -1 });
+      } else {
+        evidence.push({ type: 'recency', detail: `Last used ${tenure.last_used}`, points: 0 });
+      }
+    }
+
+    const tags = LEETCODE_TAGS[skill.key];
+    if (tags) {
+      const solved = tags.reduce((total, tag) => total + (leetcodeTags[tag] || 0), 0);
+      if (solved > 0) {
+        evidence.push({
+          type: 'leetcode',
+          detail: `${solved} LeetCode problems solved in ${tags.filter(tag => leetcodeTags[tag]).join(', ')}`,
+          points: tieredPoints(solved, LEETCODE_POINTS)
+        });
+      }
+    }
+
+    if (skill.selfAssessed) {
+      evidence.push({
+        type: 'self_assessment',
+        detail: `Self-assessed as ${skill.selfAssessed}`,
+        points: SELF_ASSESSMENT_POINTS[skill.selfAssessed]
+      });
+    }
+
+    const score = evidence.reduce((total, item) => total + item.points, 0);
+    const inferredLevel = levelFor(score);
+    const override = overrideFor(skill.name) || overrideFor(skill.key) || null;
+
+    return {
+      skill: skill.name,
+      category: skill.category,
+      level: override ? override.level : inferredLevel,
+      inferred_level: inferredLevel,
+      confidence: confidence(evidence, skill.selfAssessed),
+      self_assessed: skill.selfAssessed,
+      override: override ? { level: override.level, reason: override.reason, created_at: override.created_at || null } : null,
+      evidence
+    };
+  });
+}
+
+/**
+ * LeetCode tag counts from either a stored user_leetcode_embeddings payload ("<tag>_problems" keys)
+ * or getLeetCodeStats' categoryStats
+ * @param {Object} source - { payload } or { categoryStats }
+ * @returns {Object} Lowercase tag -> problems solved
+ */
+export function leetcodeTagCounts({ payload = null, categoryStats = null } = {}) {
+  const counts = {};
+  if (payload) {
+    for (const [key, value] of Object.entries(payload)) {
+      if (key.endsWith('_problems') && typeof value === 'number') {
+        counts[key.slice(0, -'_problems'.length).replace(/_/g, ' ')] = value;
+      }
+    }
+  }
+  if (categoryStats) {
+    for (const difficulty of Object.values(categoryStats)) {
+      for (const [tag, stats] of Object.entries(difficulty || {})) {
+        const key = tag.toLowerCase();
+        counts[key] = (counts[key] || 0) + (stats?.totalSolved || 0);
+      }
+    }
+  }
+  return counts;
+}
+
+// Listed skills first, then taxonomy skills the entries show but the list misses, then DSA skills with LeetCode
+// evidence. Skills are keyed by the name as written, so two listed skills matching one taxonomy entry both stay;
+// the taxonomy name (`key`) is only used to find evidence.
+function collectSkills(technicalSkills, experience, projects, leetcodeTags) {
+  const skills = new Map();
+  const coveredKeys = new Set();
+  const add = (name, category, selfAssessed = null, { listed = false } = {}) => {
+    const match = matchTaxonomySkill(name);
+    const key = match ? match.name : name;
+    if (skills.has(name.toLowerCase()) || (!listed && coveredKeys.has(key.toLowerCase()))) return;
+    skills.set(name.toLowerCase(), { key, name, category: category || match?.category || 'Other', selfAssessed });
+    coveredKeys.add(key.toLowerCase());
+  };
+
+  for (const category of technicalSkills || []) {
+    for (const skill of Array.isArray(category.skills) ? category.skills : []) {
+      const name = typeof skill === 'string' ? skill : skill?.name;
+      if (name) add(name, category.category, normalizeLevel(skill?.level), { listed: true });
+    }
+  }
+  for (const entry of [...(experience || []), ...(projects || [])]) {
+    for (const match of entryTaxonomySkills(entry)) add(match.name, match.category);
+  }
+  const minimumSolved = LEETCODE_POINTS[LEETCODE_POINTS.length - 1][0];
+  for (const [skillName, tags] of Object.entries(LEETCODE_TAGS)) {
+    if (tags.reduce((total, tag) => total + (leetcodeTags[tag] || 0), 0) >= minimumSolved) add(skillName);
+  }
+  return skills;
+}
+
+function entryTaxonomySkills(entry) {
+  const technologies = Array.isArray(entry?.technologies) ? entry.technologies : [];
+  return [
+    ...technologies.map(technology => matchTaxonomySkill(technology) || findTaxonomySkillsInText(technology)[0]).filter(Boolean),
+    ...findTaxonomySkillsInText(typeof entry?.description === 'string' ? entry.description : '')
+  ];
+}
+
+// An entry uses a skill when it lists the skill as written or mentions the same taxonomy skill
+function entryUses(entry, { key, name }) {
+  const names = new Set([key.toLowerCase(), name.toLowerCase()]);
+  const technologies = Array.isArray(entry?.technologies) ? entry.technologies : [];
+  return technologies.some(technology => names.has(technology.toLowerCase()))
+    || entryTaxonomySkills(entry).some(match => match.name.toLowerCase() === key.toLowerCase());
+}
+
+// Timeline entries are keyed by the name as first written
+function findByName(map, name) {
+  const lower = name.toLowerCase();
+  const found = Object.keys(map).find(key => key.toLowerCase() === lower);
+  return found ? map[found] : null;
+}
+
+function tieredPoints(value, tiers) {
+  const tier = tiers.find(([minimum]) => value >= minimum);
+  return tier ? tier[1] : 0;
+}
+
+function levelFor(score) {
+  if (score >= LEVEL_THRESHOLDS.advanced) return 'advanced';
+  if (score >= LEVEL_THRESHOLDS.intermediate) return 'intermediate';
+  return 'beginner';
+}
+
+// More independent kinds of evidence give more confidence; a self-assessment the rest of the evidence
+// contradicts by two levels takes some away. The rest of the evidence is scaled up by half to make up
+// for the self-assessment's missing points before it is turned into a level.
+function confidence(evidence, selfAssessed) {
+  const sources = new Set(evidence.filter(item => item.points > 0 && item.type !== 'recency').map(item => item.type));
+  let value = 0.2 + 0.2 * sources.size;
+
+  const objective = evidence.filter(item => item.type !== 'self_assessment');
+  if (selfAssessed && objective.length > 0) {
+    const objectiveLevel = levelFor(objective.reduce((total, item) => total + item.points, 0) * 1.5);
+    if (Math.abs(SKILL_LEVELS.indexOf(objectiveLevel) - SKILL_LEVELS.indexOf(selfAssessed)) >= 2) {
+      value -= 0.2;
+    }
+  }
+  return Math.round(Math.min(Math.max(value, 0.1), 0.95) * 100) / 100;
+}
@@ -0,0 +1,86 @@
+import { skill_taxonomy } from '../taxonomy/skill_taxonomy.js';
+
+// Longest alias (in words) we look for when scanning free text
+const MAX_ALIAS_WORDS = 4;
+
+/**
+ * Normalize a skill name for comparison: "Node.js", "node js" and "NodeJS" all become "nodejs"
+ * @param {string} name - Skill name or alias
+ * @returns {string} Comparison key
+ */
+export function normalizeSkillName(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/&/g, 'and')
+    .replace(/[^a-z0-9+#]/g, '');
+}
+
+// Comparison key -> taxonomy skill, built once from names and aliases. Exact aliases are everyday words
+// ("strings", "node", "logging") that only name the skill when they are the whole term, so the
+// free-text index leaves them out.
+const SKILL_INDEX = buildSkillIndex({ exact: true });
+const TEXT_INDEX = buildSkillIndex({ exact: false });
+
+function buildSkillIndex({ exact }) {
+  const index = new Map();
+  for (const category of skill_taxonomy) {
+    for (const skill of category.skills) {
+      const entry = { category: category.category, name: skill.name };
+      for (const term of [skill.name, ...(skill.aliases || []), ...(exact ? skill.exact_aliases || [] : [])]) {
+        const key = normalizeSkillName(term);
+        if (key && !index.has(key)) {
+          index.set(key, entry);
+        }
+      }
+    }
+  }
+  return index;
+}
+
+/**
+ * Map a skill or technology name onto the taxonomy
+ * @param {string} term - Skill name as written by the user or resume
+ * @returns {Object|null} { category, name } of the taxonomy skill, or null if unknown
+ */
+export function matchTaxonomySkill(term) {
+  return SKILL_INDEX.get(normalizeSkillName(term)) || null;
+}
+
+/**
+ * Find every taxonomy skill mentioned in free text
+ * @param {string} text - Text to scan
+ * @returns {Array} Matches { category, name, matched } where matched is the text as written
+ */
+export function findTaxonomySkillsInText(text) {
+  if (!text || typeof text !== 'string') return [];
+
+  // Split on separators but keep characters that are part of names like "Node.js" or "C++"
+  const tokens = [...text.matchAll(/[^\s,;|()\[\]{}:•◦▪·/]+/g)]
+    .map(match => {
+      const value = match[0].replace(/^[.\-]+|[.\-]+$/g, '');
+      const start = match.index + match[0].indexOf(value);
+      return { value, start, end: start + value.length };
+    })
+    .filter(token => token.value);
+  const matches = [];
+  const seen = new Set();
+
+  for (let i = 0; i < tokens.length; i++) {
+    // Prefer the longest alias starting at this token ("github actions" over "github")
+    for (let size = Math.min(MAX_ALIAS_WORDS, tokens.length - i); size >= 1; size--) {
+      const phrase = tokens.slice(i, i + size).map(token => token.value).join(' ');
+      const skill = TEXT_INDEX.get(normalizeSkillName(phrase));
+      if (skill) {
+        const key = normalizeSkillName(phrase);
+        if (!seen.has(key)) {
+          seen.add(key);
+          matches.push({ ...skill, matched: text.slice(tokens[i].start, tokens[i + size - 1].end) });
+        }
+        i += size - 1;
+        break;
+      }
+    }
+  }
+
+  return matches;
+}
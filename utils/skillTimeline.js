@@ -0,0 +1,142 @@
+import { parseDuration } from './dateRange.js';
+import { matchTaxonomySkill, findTaxonomySkillsInText } from './skillMatcher.js';
+
+/**
+ * Work out how long and how recently each skill was used from the dated entries of a resume.
+ * Overlapping roles are merged, so two concurrent jobs using React count each month once.
+ * @param {Object} resume - { experience, projects } with duration or start_date/end_date/current per entry
+ * @param {Object} options - { now } date used for ongoing ("Present") entries
+ * @returns {Object} { total_professional_months, first_role_start, skills, technologies, computed_at } where
+ * skills (taxonomy names) and technologies (as written) map to { months, project_months, last_used, current }
+ */
+export function buildSkillTimeline({ experience = [], projects = [] } = {}, { now = new Date() } = {}) {
+  const nowMonth = now.getUTCFullYear() * 12 + now.getUTCMonth();
+  const roles = datedEntries(experience, nowMonth);
+  const projectEntries = datedEntries(projects, nowMonth);
+
+  const technologies = new Map();
+  const skills = new Map();
+  const record = (map, key, name, entry, kind) => {
+    if (!map.has(key)) {
+      map.set(key, { name, professional: [], project: [] });
+    }
+    map.get(key)[kind].push(entry);
+  };
+
+  for (const [kind, entries] of [['professional', roles], ['project', projectEntries]]) {
+    for (const entry of entries) {
+      for (const technology of entry.technologies) {
+        record(technologies, technology.toLowerCase(), technology, entry, kind);
+      }
+      for (const skill of entrySkills(entry)) {
+        record(skills, skill.toLowerCase(), skill, entry, kind);
+      }
+    }
+  }
+
+  return {
+    total_professional_months: countMonths(roles),
+    first_role_start: roles.length > 0 ? toIsoMonth(Math.min(...roles.map(role => role.start))) : null,
+    skills: summarize(skills, nowMonth),
+    technologies: summarize(technologies, nowMonth),
+    computed_at: now.toISOString()
+  };
+}
+
+/**
+ * Entries with a usable date range, as inclusive month indexes
+ */
+function datedEntries(items, nowMonth) {
+  if (!Array.isArray(items)) return [];
+
+  return items
+    .map(item => {
+      const dates = item?.start_date
+        ? { start_date: item.start_date, end_date: item.end_date || null, current: Boolean(item.current) }
+        : parseDuration(item?.duration);
+      const start = monthIndex(dates?.start_date);
+      if (start === null) return null;
+
+      const end = dates.current || !dates.end_date ? nowMonth : monthIndex(dates.end_date);
+      if (end === null || end < start) return null;
+
+      return {
+        start,
+        end: Math.min(end, nowMonth),
+        current: Boolean(dates.current),
+        technologies: uniqueStrings(item.technologies),
+        description: typeof item.description === 'string' ? item.description : ''
+      };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Taxonomy skills behind an entry's technologies, plus skills named in its description
+ */
+function entrySkills(entry) {
+  const names = new Set();
+  for (const technology of entry.technologies) {
+    const match = matchTaxonomySkill(technology) || findTaxonomySkillsInText(technology)[0];
+    names.add(match ? match.name : technology);
+  }
+  for (const match of findTaxonomySkillsInText(entry.description)) {
+    names.add(match.name);
+  }
+  return [...names];
+}
+
+function summarize(usage, nowMonth) {
+  const summary = {};
+  for (const { name, professional, project } of usage.values()) {
+    const all = [...professional, ...project];
+    const lastUsed = Math.max(...all.map(entry => entry.end));
+    summary[name] = {
+      months: countMonths(professional),
+      project_months: countMonths(project),
+      last_used: toIsoMonth(lastUsed),
+      current: all.some(entry => entry.current && entry.end === nowMonth)
+    };
+  }
+  return summary;
+}
+
+/**
+ * Number of distinct months covered by a set of inclusive ranges
+ */
+function countMonths(entries) {
+  const ranges = entries.map(({ start, end }) => [start, end]).sort((a, b) => a[0] - b[0]);
+  let total = 0;
+  let current = null;
+
+  for (const [start, end] of ranges) {
+    if (current && start <= current[1] + 1) {
+      current[1] = Math.max(current[1], end);
+    } else {
+      if (current) total += current[1] - current[0] + 1;
+      current = [start, end];
+    }
+  }
+  if (current) total += current[1] - current[0] + 1;
+
+  return total;
+}
+
+function monthIndex(isoMonth) {
+  const match = String(isoMonth || '').match(/^(\d{4})-(\d{2})$/);
+  return match ? Number(match[1]) * 12 + Number(match[2]) - 1 : null;
+}
+
+function toIsoMonth(index) {
+  return `${Math.floor(index / 12)}-${String((index % 12) + 1).padStart(2, '0')}`;
+}
+
+function uniqueStrings(values) {
+  const seen = new Map();
+  for (const value of Array.isArray(values) ? values : []) {
+    if (typeof value === 'string' && value.trim() && !seen.has(value.trim().toLowerCase())) {
+      seen.set(value.trim().toLowerCase(), value.trim());
+    }
+  }
+  return [...seen.values()];
+}
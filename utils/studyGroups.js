@@ -0,0 +1,168 @@
+// How much the learning goal and the shared gap skills count towards two users' similarity
+const GOAL_WEIGHT = 0.7;
+const GAP_WEIGHT = 0.3;
+const LEVEL_POINTS = { beginner: 1, intermediate: 2, advanced: 3 };
+
+/**
+ * Split users into study groups of similar goals and overlapping gaps, each with a stronger member.
+ * The strongest third of the users are the candidate anchors; one anchor per group is picked so the
+ * anchors' goals are as far apart as possible, and every other user joins the most similar group that
+ * still has room and holds nobody they are excluded from.
+ * @param {Array} users - [{ user_id, user_name, goal_vector, gaps: [skill names], skills: { name: level } }]
+ * @param {Object} options - { groupSize } target members per group, { maxGroupSize } hard limit used
+ * when exclusions leave no other choice, { excludedPairs } [[user_id, user_id]] never to be grouped
+ * @returns {Object} { groups: [{ members, anchor_id, shared_gaps, similarity }], unassigned: [{ user_id, reason }] }
+ */
+export function formStudyGroups(users, { groupSize = 4, maxGroupSize = groupSize + 1, excludedPairs = [] } = {}) {
+  if (users.length === 0) return { groups: [], unassigned: [] };
+
+  const excluded = new Set(excludedPairs.flatMap(([a, b]) => [`${a}|${b}`, `${b}|${a}`]));
+  const people = users.map(user => ({
+    ...user,
+    gapSet: new Set(user.gaps || []),
+    strength: skillStrength(user.skills)
+  }));
+  const similarity = similarityMatrix(people);
+
+  const groupCount = Math.ceil(people.length / groupSize);
+  // Even sizes: every group gets base members and `extra` of them one more
+  const base = Math.floor(people.length / groupCount);
+  let extra = people.length % groupCount;
+
+  const anchors = pickAnchors(people, similarity, groupCount);
+  const groups = anchors.map(index => ({ anchor: index, members: [index] }));
+  const assigned = new Set(anchors);
+
+  // Users with the clearest preference are placed first
+  const remaining = people.map((_, index) => index)
+    .filter(index => !assigned.has(index))
+    .sort((a, b) => bestAffinity(b, groups, similarity) - bestAffinity(a, groups, similarity));
+
+  const unassigned = [];
+  for (const index of remaining) {
+    const allowed = groups.filter(group => !group.members.some(member => excluded.has(`${people[index].user_id}|${people[member].user_id}`)));
+    const withRoom = allowed.filter(group => group.members.length < base || (extra > 0 && group.members.length === base));
+    const candidates = withRoom.length > 0 ? withRoom : allowed.filter(group => group.members.length < maxGroupSize);
+
+    if (candidates.length === 0) {
+      unassigned.push({
+        user_id: people[index].user_id,
+        reason: allowed.length === 0 ? 'excluded from every group' : 'every allowed group is full'
+      });
+      continue;
+    }
+
+    const best = candidates.reduce((top, group) =>
+      groupAffinity(index, group, similarity) > groupAffinity(index, top, similarity) ? group : top
+    );
+    if (best.members.length === base) extra--;
+    best.members.push(index);
+  }
+
+  return {
+    groups: groups.map(group => describeGroup(group, people, similarity)),
+    unassigned
+  };
+}
+
+/**
+ * Cosine similarity of two vectors
+ * @param {Array} a - Vector
+ * @param {Array} b - Vector
+ * @returns {number} Similarity, 0 when either vector is missing
+ */
+export function cosineSimilarity(a, b) {
+  if (!a || !b || a.length !== b.length) return 0;
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+function similarityMatrix(people) {
+  return people.map(a => people.map(b => {
+    if (a === b) return 1;
+    const union = new Set([...a.gapSet, ...b.gapSet]);
+    const shared = [...a.gapSet].filter(skill => b.gapSet.has(skill)).length;
+    const gapOverlap = union.size > 0 ? shared / union.size : 0;
+    return GOAL_WEIGHT * cosineSimilarity(a.goal_vector, b.goal_vector) + GAP_WEIGHT * gapOverlap;
+  }));
+}
+
+// Mean level over the user's skills, weighted up slightly by how many skills they have
+function skillStrength(skills) {
+  const levels = Object.values(skills || {}).map(level => LEVEL_POINTS[level] || 0).filter(Boolean);
+  if (levels.length === 0) return 0;
+  const mean = levels.reduce((total, points) => total + points, 0) / levels.length;
+  return mean * Math.log2(levels.length + 1);
+}
+
+// Farthest-point selection among the strongest third, starting from the strongest user
+function pickAnchors(people, similarity, count) {
+  const byStrength = people.map((_, index) => index).sort((a, b) => people[b].strength - people[a].strength);
+  const pool = byStrength.slice(0, Math.max(count, Math.ceil(people.length / 3)));
+
+  const anchors = [pool[0]];
+  while (anchors.length < count) {
+    let next = null;
+    let nextScore = Infinity;
+    for (const candidate of pool) {
+      if (anchors.includes(candidate)) continue;
+      const closest = Math.max(...anchors.map(anchor => similarity[candidate][anchor]));
+      if (closest < nextScore) {
+        next = candidate;
+        nextScore = closest;
+      }
+    }
+    anchors.push(next);
+  }
+  return anchors;
+}
+
+function groupAffinity(index, group, similarity) {
+  return group.members.reduce((total, member) => total + similarity[index][member], 0) / group.members.length;
+}
+
+function bestAffinity(index, groups, similarity) {
+  return Math.max(...groups.map(group => groupAffinity(index, group, similarity)));
+}
+
+function describeGroup(group, people, similarity) {
+  const members = group.members.map(index => people[index]);
+
+  // Gap skills at least two members share, most shared first
+  const gapCounts = new Map();
+  for (const member of members) {
+    for (const skill of member.gapSet) gapCounts.set(skill, (gapCounts.get(skill) || 0) + 1);
+  }
+  const sharedGaps = [...gapCounts.entries()]
+    .filter(([, count]) => count >= 2)
+    .sort((a, b) => b[1] - a[1])
+    .map(([skill, count]) => ({ skill, members: count }));
+
+  let pairTotal = 0;
+  let pairs = 0;
+  for (let i = 0; i < group.members.length; i++) {
+    for (let j = i + 1; j < group.members.length; j++) {
+      pairTotal += similarity[group.members[i]][group.members[j]];
+      pairs++;
+    }
+  }
+
+  return {
+    anchor_id: people[group.anchor].user_id,
+    members: members.map(member => ({
+      user_id: member.user_id,
+      user_name: member.user_name || 'User',
+      role: member === people[group.anchor] ? 'anchor' : 'member',
+      strength: Math.round(member.strength * 100) / 100
+    })),
+    shared_gaps: sharedGaps,
+    similarity: pairs > 0 ? Math.round((pairTotal / pairs) * 100) / 100 : null
+  };
+}
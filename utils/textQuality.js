@@ -0,0 +1,64 @@
+// Minimum quality score (0-1) for extracted text to be worth sending to the LLM
+export const MIN_TEXT_QUALITY = 0.5;
+
+const COMMON_WORDS = new Set([
+  'the', 'and', 'for', 'with', 'in', 'of', 'to', 'a', 'an', 'on', 'at', 'by', 'as', 'is', 'from',
+  'experience', 'education', 'skills', 'projects', 'university', 'engineer', 'developer', 'project',
+  'using', 'built', 'developed', 'data', 'software', 'web', 'team', 'management', 'technologies'
+]);
+
+/**
+ * Assess how much extracted text looks like real human-readable text
+ * @param {string} text - Extracted text
+ * @returns {Object} Quality score (0-1) with the metrics it was derived from
+ */
+export function assessTextQuality(text) {
+  const content = typeof text === 'string' ? text : '';
+  const nonSpace = content.replace(/\s/g, '');
+
+  if (nonSpace.length === 0) {
+    return {
+      score: 0,
+      metrics: { characters: 0, words: 0, printable_ratio: 0, alpha_ratio: 0, wordlike_ratio: 0, common_word_hits: 0 }
+    };
+  }
+
+  // Characters that normally appear in resumes (letters in any script, digits, punctuation, symbols)
+  const printable = nonSpace.match(/[\p{L}\p{N}\p{P}\p{S}]/gu) || [];
+  const replacement = nonSpace.match(/[�\u0000-\u001F]/g) || [];
+  const alpha = nonSpace.match(/\p{L}/gu) || [];
+
+  const tokens = content.split(/\s+/).filter(Boolean);
+  // A word-like token is mostly letters and contains a vowel (glyph-id garbage rarely does)
+  const wordlike = tokens.filter(token => {
+    const letters = token.replace(/[^\p{L}]/gu, '');
+    return letters.length >= 2 &&
+      letters.length / token.length >= 0.6 &&
+      /[aeiouyAEIOUY]|[^\u0000-ɏ]/.test(letters);
+  });
+  const commonWordHits = tokens.filter(token => COMMON_WORDS.has(token.toLowerCase().replace(/[^a-z]/g, ''))).length;
+
+  const printableRatio = Math.max(0, (printable.length - replacement.length) / nonSpace.length);
+  const alphaRatio = alpha.length / nonSpace.length;
+  const wordlikeRatio = tokens.length > 0 ? wordlike.length / tokens.length : 0;
+
+  let score = 0.2 * printableRatio + 0.15 * Math.min(alphaRatio / 0.6, 1) + 0.5 * wordlikeRatio;
+  score += 0.15 * Math.min(commonWordHits / 5, 1);
+
+  // Very short output is almost never a full resume
+  if (nonSpace.length < 100) {
+    score *= nonSpace.length / 100;
+  }
+
+  return {
+    score: Math.round(score * 100) / 100,
+    metrics: {
+      characters: content.length,
+      words: tokens.length,
+      printable_ratio: Math.round(printableRatio * 100) / 100,
+      alpha_ratio: Math.round(alphaRatio * 100) / 100,
+      wordlike_ratio: Math.round(wordlikeRatio * 100) / 100,
+      common_word_hits: commonWordHits
+    }
+  };
+}
@@ -53,6 +53,7 @@ async function createUserProfileIndexes(collectionName) {
     { field_name: 'projects_count', field_schema: 'integer' },
     { field_name: 'experience_count', field_schema: 'integer' },
     { field_name: 'has_learning_goal', field_schema: 'bool' },
+    { field_name: 'profile_completeness', field_schema: 'integer' },
     { field_name: 'created_at', field_schema: 'datetime' }
   ];
   
@@ -94,3 +95,15 @@ export async function getCollectionInfo(collectionName) {
     throw error;
   }
 }
+
+/**
+ * Whether a collection stores named vectors rather than a single unnamed one
+ * @param {string} collectionName - Name of the collection
+ * @returns {boolean} True when points carry named vectors
+ */
+export async function usesNamedVectors(collectionName) {
+  const info = await qdrant.getCollection(collectionName);
+  const vectors = info.config?.params?.vectors;
+  // A single vector is configured as { size, distance }, named vectors as { name: { size, distance } }
+  return Boolean(vectors) && typeof vectors.size !== 'number';
+}
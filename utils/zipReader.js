@@ -0,0 +1,112 @@
+import zlib from 'zlib';
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_DIRECTORY_SIGNATURE = 0x02014b50;
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+
+// Refuse to inflate single entries larger than this (zip bomb guard)
+const DEFAULT_MAX_ENTRY_SIZE = 50 * 1024 * 1024;
+
+/**
+ * Check whether a buffer starts with a zip local file header
+ * @param {Buffer} buffer - File contents
+ * @returns {boolean} True for zip archives (including docx/odt)
+ */
+export function isZip(buffer) {
+  return buffer.length >= 4 && buffer.readUInt32LE(0) === LOCAL_HEADER_SIGNATURE;
+}
+
+/**
+ * List the entries of a zip archive held in memory
+ * @param {Buffer} buffer - Zip file contents
+ * @param {Object} options - { maxEntrySize } in bytes
+ * @returns {Array} Entries with name, sizes and a read() function returning the inflated Buffer
+ */
+export function readZipEntries(buffer, { maxEntrySize = DEFAULT_MAX_ENTRY_SIZE } = {}) {
+  const eocdOffset = findEndOfCentralDirectory(buffer);
+  if (eocdOffset === -1) {
+    throw new Error('Invalid zip archive: end of central directory not found');
+  }
+
+  const entryCount = buffer.readUInt16LE(eocdOffset + 10);
+  let offset = buffer.readUInt32LE(eocdOffset + 16);
+  const entries = [];
+
+  for (let i = 0; i < entryCount; i++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_SIGNATURE) {
+      throw new Error('Invalid zip archive: corrupt central directory');
+    }
+
+    const flags = buffer.readUInt16LE(offset + 8);
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localHeaderOffset = buffer.readUInt32LE(offset + 42);
+    // Bit 11 marks UTF-8 names, older archivers use CP437 which is close enough to latin1 for file names
+    const name = buffer.toString(flags & 0x800 ? 'utf8' : 'latin1', offset + 46, offset + 46 + nameLength);
+
+    entries.push({
+      name,
+      isDirectory: name.endsWith('/'),
+      encrypted: (flags & 0x1) === 1,
+      size,
+      compressedSize,
+      read: () => readEntryData(buffer, { name, method, compressedSize, size, localHeaderOffset, flags }, maxEntrySize)
+    });
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+/**
+ * Read a single entry by name
+ * @param {Buffer} buffer - Zip file contents
+ * @param {string} name - Entry path inside the archive
+ * @returns {Buffer|null} Entry contents or null when missing
+ */
+export function readZipEntry(buffer, name) {
+  const entry = readZipEntries(buffer).find(candidate => candidate.name === name);
+  return entry ? entry.read() : null;
+}
+
+function findEndOfCentralDirectory(buffer) {
+  // The EOCD record is at least 22 bytes and may be followed by a comment of up to 64KB
+  const minOffset = Math.max(0, buffer.length - 22 - 0xffff);
+  for (let offset = buffer.length - 22; offset >= minOffset; offset--) {
+    if (buffer.readUInt32LE(offset) === EOCD_SIGNATURE) {
+      return offset;
+    }
+  }
+  return -1;
+}
+
+function readEntryData(buffer, entry, maxEntrySize) {
+  if (entry.flags & 0x1) {
+    throw new Error(`Encrypted zip entries are not supported: ${entry.name}`);
+  }
+  if (entry.size > maxEntrySize) {
+    throw new Error(`Zip entry too large: ${entry.name}`);
+  }
+
+  const headerOffset = entry.localHeaderOffset;
+  if (buffer.readUInt32LE(headerOffset) !== LOCAL_HEADER_SIGNATURE) {
+    throw new Error(`Invalid zip archive: bad local header for ${entry.name}`);
+  }
+  const nameLength = buffer.readUInt16LE(headerOffset + 26);
+  const extraLength = buffer.readUInt16LE(headerOffset + 28);
+  const dataStart = headerOffset + 30 + nameLength + extraLength;
+  const data = buffer.subarray(dataStart, dataStart + entry.compressedSize);
+
+  if (entry.method === 0) {
+    return Buffer.from(data);
+  }
+  if (entry.method === 8) {
+    return zlib.inflateRawSync(data, { maxOutputLength: maxEntrySize });
+  }
+  throw new Error(`Unsupported zip compression method ${entry.method} for ${entry.name}`);
+}